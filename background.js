@@ -1,4 +1,15 @@
 // background.js (service worker)
+importScripts('navigation-tracker.js', 'visit-store.js');
+
+// webNavigation/tabs のリスナーは Service Worker で常時動かし、記録を chrome.storage.local に保存する
+// （history.html を開いていない間のブラウジングも Beta モードで解析できるようにするため）
+const navigationTracker = new NavigationTracker();
+navigationTracker.startCapture();
+
+// 訪問キャッシュ（IndexedDB）を onVisited/onVisitRemoved で最新に保つ
+const visitStore = new VisitStore();
+visitStore.startLiveUpdates();
+
 chrome.runtime.onInstalled.addListener(() => {
   // ここで初期設定やキャッシュ作成をしても良い
   console.log('History Tree installed');
@@ -0,0 +1,318 @@
+// graph-view.js - 履歴のツリーをノードとリンクの図として canvas に描く（history.js のグラフ表示で使う）
+// 数千ノードでも重くならないように、DOM は canvas 1つだけにして画面内のノードと線だけを描く
+
+const GRAPH_NODE_RADIUS = 9;
+const GRAPH_LEVEL_SPACING = 220; // 階層の間隔（整列ツリーは横、放射状は半径）
+const GRAPH_LEAF_SPACING = 26; // 葉の間隔（整列ツリーは縦、放射状は円周上の長さの目安）
+const GRAPH_MIN_SCALE = 0.02;
+const GRAPH_MAX_SCALE = 4;
+const GRAPH_FAVICON_MIN_SCALE = 0.4; // これより縮小したらファビコンを描かない
+const GRAPH_LABEL_MIN_SCALE = 0.6; // これより縮小したらタイトルを描かない
+const GRAPH_LABEL_MAX_LENGTH = 40;
+
+class GraphViewRenderer {
+  // getEdgeStyle(node) -> { color, dashed }: 親からそのノードへの線
+  // onOpen(node, { background }): ノードをクリックした時
+  constructor(container, { getEdgeStyle, onOpen }) {
+    this.container = container;
+    this.getEdgeStyle = getEdgeStyle;
+    this.onOpen = onOpen;
+
+    this.items = []; // { node, parentIndex, depth, x, y, edgeStyle }
+    this.layout = 'tidy'; // 'tidy'（整列ツリー）または 'radial'（放射状）
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.hasFitted = false; // 一度でも全体に合わせたか（preserveView の時、それまでは合わせる）
+    this.hoveredIndex = -1;
+    this.favicons = new Map(); // URL -> Image（読み込み中・失敗も含む）
+    this.frame = null;
+    this.pointer = null; // ドラッグ中のポインタ { id, startX, startY, lastX, lastY, moved }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'graph-canvas';
+    this.container.innerHTML = '';
+    this.container.appendChild(this.canvas);
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(this.container);
+    this.initializeInteractions();
+  }
+
+  // ツリーを配置して描く（表示位置は全体が収まるように合わせる）
+  // preserveView: 表示中の拡大率と位置をそのまま使う（ライブ更新の再描画など）
+  setTree(roots, { layout = this.layout, preserveView = false } = {}) {
+    this.layout = layout;
+    this.items = [];
+    this.hoveredIndex = -1;
+
+    // 葉に上から順番を振り、親は子の順番の中央に置く
+    let leafCount = 0;
+    const place = (node, parentIndex, depth) => {
+      const index = this.items.length;
+      const item = { node, parentIndex, depth, order: 0, x: 0, y: 0, edgeStyle: parentIndex === -1 ? null : this.getEdgeStyle(node) };
+      this.items.push(item);
+      if (node.children.length === 0) {
+        item.order = leafCount++;
+      } else {
+        const orders = node.children.map(child => place(child, index, depth + 1).order);
+        item.order = (orders[0] + orders[orders.length - 1]) / 2;
+      }
+      return item;
+    };
+    roots.forEach(root => {
+      place(root, -1, 0);
+      leafCount += 0.5; // ルートの間は少し空ける
+    });
+
+    if (layout === 'radial') {
+      // ルートを内側の円に置き、深さごとに外側の円へ（内側の円周で葉が重ならない半径から始める）
+      const baseRadius = Math.max(GRAPH_LEVEL_SPACING, (leafCount * GRAPH_LEAF_SPACING) / (2 * Math.PI));
+      for (const item of this.items) {
+        const angle = (item.order / Math.max(leafCount, 1)) * 2 * Math.PI;
+        const radius = baseRadius + item.depth * GRAPH_LEVEL_SPACING;
+        item.x = Math.cos(angle) * radius;
+        item.y = Math.sin(angle) * radius;
+      }
+    } else {
+      for (const item of this.items) {
+        item.x = item.depth * GRAPH_LEVEL_SPACING;
+        item.y = item.order * GRAPH_LEAF_SPACING;
+      }
+    }
+
+    if (preserveView && this.hasFitted) {
+      this.scheduleDraw();
+    } else {
+      this.fit();
+    }
+  }
+
+  // 全体が画面に収まるように拡大率と位置を合わせる
+  fit() {
+    const { width, height } = this.getViewportSize();
+    if (this.items.length === 0 || width === 0 || height === 0) {
+      this.scheduleDraw();
+      return;
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const item of this.items) {
+      minX = Math.min(minX, item.x);
+      minY = Math.min(minY, item.y);
+      maxX = Math.max(maxX, item.x);
+      maxY = Math.max(maxY, item.y);
+    }
+    // タイトルの分だけ右に余白をとる
+    const padding = 40;
+    const contentWidth = maxX - minX + GRAPH_LEVEL_SPACING;
+    const contentHeight = maxY - minY + GRAPH_LEAF_SPACING;
+    this.scale = Math.min(Math.max(Math.min((width - padding * 2) / contentWidth, (height - padding * 2) / contentHeight, 1), GRAPH_MIN_SCALE), GRAPH_MAX_SCALE);
+    this.offsetX = Math.max(padding, (width - contentWidth * this.scale) / 2) - minX * this.scale;
+    this.offsetY = (height - (maxY - minY) * this.scale) / 2 - minY * this.scale;
+    this.hasFitted = true;
+    this.scheduleDraw();
+  }
+
+  getViewportSize() {
+    return { width: this.container.clientWidth, height: this.container.clientHeight };
+  }
+
+  resize() {
+    const { width, height } = this.getViewportSize();
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(width * dpr);
+    this.canvas.height = Math.round(height * dpr);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    this.scheduleDraw();
+  }
+
+  scheduleDraw() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const { width, height } = this.getViewportSize();
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (this.items.length === 0) return;
+
+    const style = getComputedStyle(this.container);
+    const textColor = style.getPropertyValue('--text-primary').trim() || '#1f1f1f';
+    const surfaceColor = style.getPropertyValue('--bg-surface').trim() || '#ffffff';
+    const borderColor = style.getPropertyValue('--border-color').trim() || '#dadce0';
+    const accentColor = style.getPropertyValue('--accent-primary').trim() || '#1a73e8';
+
+    ctx.translate(this.offsetX, this.offsetY);
+    ctx.scale(this.scale, this.scale);
+
+    // 画面に見えている範囲（図の座標。タイトルの分だけ左に広げる）
+    const margin = GRAPH_NODE_RADIUS * 2;
+    const left = -this.offsetX / this.scale - GRAPH_LEVEL_SPACING;
+    const top = -this.offsetY / this.scale - margin;
+    const right = (width - this.offsetX) / this.scale + margin;
+    const bottom = (height - this.offsetY) / this.scale + margin;
+    const isVisible = (x, y) => x >= left && x <= right && y >= top && y <= bottom;
+
+    // 線（両端とも画面外なら描かない）
+    ctx.lineWidth = 1.5 / Math.max(this.scale, 0.5);
+    for (const item of this.items) {
+      if (item.parentIndex === -1) continue;
+      const parent = this.items[item.parentIndex];
+      if (!isVisible(item.x, item.y) && !isVisible(parent.x, parent.y)) continue;
+
+      ctx.strokeStyle = item.edgeStyle.color;
+      ctx.setLineDash(item.edgeStyle.dashed ? [6, 4] : []);
+      ctx.beginPath();
+      ctx.moveTo(parent.x, parent.y);
+      if (this.layout === 'radial') {
+        ctx.lineTo(item.x, item.y);
+      } else {
+        const midX = (parent.x + item.x) / 2;
+        ctx.bezierCurveTo(midX, parent.y, midX, item.y, item.x, item.y);
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // ノード
+    const showFavicons = this.scale >= GRAPH_FAVICON_MIN_SCALE;
+    const showLabels = this.scale >= GRAPH_LABEL_MIN_SCALE;
+    ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+    ctx.textBaseline = 'middle';
+    this.items.forEach((item, index) => {
+      if (!isVisible(item.x, item.y)) return;
+
+      ctx.beginPath();
+      ctx.arc(item.x, item.y, GRAPH_NODE_RADIUS, 0, 2 * Math.PI);
+      ctx.fillStyle = surfaceColor;
+      ctx.fill();
+      ctx.lineWidth = index === this.hoveredIndex ? 3 : 1.5;
+      ctx.strokeStyle = index === this.hoveredIndex || item.depth === 0 ? accentColor : borderColor;
+      ctx.stroke();
+
+      if (showFavicons && item.node.favicon) {
+        const image = this.getFavicon(item.node.favicon);
+        if (image.complete && image.naturalWidth > 0) {
+          ctx.drawImage(image, item.x - 6, item.y - 6, 12, 12);
+        }
+      }
+
+      if (showLabels || index === this.hoveredIndex) {
+        const title = item.node.title || item.node.url;
+        ctx.fillStyle = textColor;
+        ctx.fillText(title.length > GRAPH_LABEL_MAX_LENGTH ? `${title.slice(0, GRAPH_LABEL_MAX_LENGTH)}…` : title, item.x + GRAPH_NODE_RADIUS + 4, item.y);
+      }
+    });
+  }
+
+  // ファビコンの画像（読み込めたら描き直す）
+  getFavicon(url) {
+    let image = this.favicons.get(url);
+    if (!image) {
+      image = new Image();
+      image.onload = () => this.scheduleDraw();
+      image.src = url;
+      this.favicons.set(url, image);
+    }
+    return image;
+  }
+
+  // 画面上の位置にあるノードの位置（なければ -1）
+  hitTest(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (clientX - rect.left - this.offsetX) / this.scale;
+    const y = (clientY - rect.top - this.offsetY) / this.scale;
+    const radius = Math.max(GRAPH_NODE_RADIUS, 6 / this.scale);
+
+    let found = -1;
+    let foundDistance = radius * radius;
+    this.items.forEach((item, index) => {
+      const distance = (item.x - x) ** 2 + (item.y - y) ** 2;
+      if (distance <= foundDistance) {
+        found = index;
+        foundDistance = distance;
+      }
+    });
+    return found;
+  }
+
+  // ドラッグで移動、ホイールで拡大縮小、クリックで開く（Shift・Ctrl・中クリックはバックグラウンドのタブ）、ダブルクリックで全体を表示
+  initializeInteractions() {
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      this.canvas.setPointerCapture(e.pointerId);
+      this.pointer = { id: e.pointerId, startX: e.clientX, startY: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false };
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (this.pointer && this.pointer.id === e.pointerId) {
+        if (Math.abs(e.clientX - this.pointer.startX) + Math.abs(e.clientY - this.pointer.startY) > 4) {
+          this.pointer.moved = true;
+        }
+        this.offsetX += e.clientX - this.pointer.lastX;
+        this.offsetY += e.clientY - this.pointer.lastY;
+        this.pointer.lastX = e.clientX;
+        this.pointer.lastY = e.clientY;
+        this.canvas.style.cursor = 'grabbing';
+        this.scheduleDraw();
+        return;
+      }
+
+      const index = this.hitTest(e.clientX, e.clientY);
+      if (index !== this.hoveredIndex) {
+        this.hoveredIndex = index;
+        const node = index === -1 ? null : this.items[index].node;
+        this.canvas.title = node ? [node.title, node.url].filter(Boolean).join('\n') : '';
+        this.canvas.style.cursor = node && node.url ? 'pointer' : '';
+        this.scheduleDraw();
+      }
+    });
+
+    this.canvas.addEventListener('pointerup', (e) => {
+      if (!this.pointer || this.pointer.id !== e.pointerId) return;
+      const { moved } = this.pointer;
+      this.pointer = null;
+      this.canvas.style.cursor = '';
+      if (moved) return;
+
+      const index = this.hitTest(e.clientX, e.clientY);
+      if (index !== -1 && this.items[index].node.url) {
+        this.onOpen(this.items[index].node, { background: e.shiftKey || e.ctrlKey || e.metaKey });
+      }
+    });
+
+    this.canvas.addEventListener('auxclick', (e) => {
+      if (e.button !== 1) return;
+      const index = this.hitTest(e.clientX, e.clientY);
+      if (index !== -1 && this.items[index].node.url) {
+        e.preventDefault();
+        this.onOpen(this.items[index].node, { background: true });
+      }
+    });
+
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const scale = Math.min(Math.max(this.scale * Math.exp(-e.deltaY * 0.002), GRAPH_MIN_SCALE), GRAPH_MAX_SCALE);
+      // カーソルの位置を中心に拡大縮小
+      this.offsetX = x - ((x - this.offsetX) * scale) / this.scale;
+      this.offsetY = y - ((y - this.offsetY) * scale) / this.scale;
+      this.scale = scale;
+      this.scheduleDraw();
+    }, { passive: false });
+
+    this.canvas.addEventListener('dblclick', (e) => {
+      if (this.hitTest(e.clientX, e.clientY) === -1) this.fit();
+    });
+  }
+}
@@ -1,578 +1,26 @@
 // history.js - 新しいタブでの履歴表示
 
-// Promise wrapper for chrome.history APIs
-function historySearch(query) {
-  return new Promise((resolve) => chrome.history.search(query, resolve));
-}
-
-function historyGetVisits(details) {
-  return new Promise((resolve) => chrome.history.getVisits(details, resolve));
-}
-
 // WebNavigation API wrapper
 function webNavigationGetAllFrames(details) {
   return new Promise((resolve) => chrome.webNavigation.getAllFrames(details, resolve));
 }
 
-// Navigation tracking for enhanced tree building (Beta mode)
-class NavigationTracker {
-  constructor() {
-    this.navigationData = new Map(); // visitId -> navigation details
-    this.tabParents = new Map(); // tabId -> parent tab info
-    this.backForwardHistory = new Map(); // tabId -> navigation stack
-    this.newTabRelations = new Map(); // childTabId -> parentTabInfo
-    this.setupWebNavigationListeners();
-  }
-
-  setupWebNavigationListeners() {
-    if (typeof chrome !== 'undefined' && chrome.webNavigation) {
-      // ナビゲーション開始時
-      chrome.webNavigation.onBeforeNavigate.addListener((details) => {
-        if (details.frameId === 0) { // メインフレームのみ
-          this.trackNavigation(details);
-        }
-      });
-
-      // ナビゲーション完了時
-      chrome.webNavigation.onCompleted.addListener((details) => {
-        if (details.frameId === 0) {
-          this.recordCompletedNavigation(details);
-        }
-      });
-
-      // 新しいタブが作成された時の親タブを追跡
-      if (chrome.tabs && chrome.tabs.onCreated) {
-        chrome.tabs.onCreated.addListener((tab) => {
-          chrome.tabs.query({active: true, currentWindow: true}, (activeTabs) => {
-            if (activeTabs.length > 0 && activeTabs[0].id !== tab.id) {
-              const parentInfo = {
-                parentTabId: activeTabs[0].id,
-                parentUrl: activeTabs[0].url,
-                parentTitle: activeTabs[0].title,
-                createdTime: Date.now(),
-                confidence: 1.0
-              };
-              this.newTabRelations.set(tab.id, parentInfo);
-              console.log(`新しいタブ追跡: Tab ${tab.id} の親は Tab ${activeTabs[0].id} (${activeTabs[0].url})`);
-            }
-          });
-        });
-      }
-
-      // タブが削除された時のクリーンアップ
-      if (chrome.tabs && chrome.tabs.onRemoved) {
-        chrome.tabs.onRemoved.addListener((tabId) => {
-          this.newTabRelations.delete(tabId);
-          this.backForwardHistory.delete(tabId);
-        });
-      }
-    }
-  }
-
-  trackNavigation(details) {
-    const navigationInfo = {
-      tabId: details.tabId,
-      url: details.url,
-      timeStamp: details.timeStamp,
-      transitionType: details.transitionType,
-      transitionQualifiers: details.transitionQualifiers || [],
-      parentTabInfo: this.newTabRelations.get(details.tabId)
-    };
-
-    // 戻る/進む操作の検出
-    if (details.transitionQualifiers) {
-      navigationInfo.isBackForward = details.transitionQualifiers.includes('forward_back');
-      navigationInfo.isReload = details.transitionQualifiers.includes('client_redirect') ||
-                               details.transitionQualifiers.includes('server_redirect');
-    }
-
-    // タブごとのナビゲーション履歴を管理
-    if (!this.backForwardHistory.has(details.tabId)) {
-      this.backForwardHistory.set(details.tabId, []);
-    }
-
-    const tabHistory = this.backForwardHistory.get(details.tabId);
-    tabHistory.push(navigationInfo);
-
-    // 履歴が長くなりすぎないよう制限
-    if (tabHistory.length > 50) {
-      tabHistory.shift();
-    }
-
-    this.navigationData.set(`${details.tabId}-${details.timeStamp}`, navigationInfo);
-  }
-
-  recordCompletedNavigation(details) {
-    const navKey = `${details.tabId}-${details.timeStamp}`;
-    const navInfo = this.navigationData.get(navKey);
-    if (navInfo) {
-      navInfo.completed = true;
-      navInfo.completedTime = Date.now();
-    }
-  }
-
-  // 新しいタブで開かれたURLの親を特定
-  findNewTabParent(url, visitTime, tabId = null) {
-    // 特定のタブIDがある場合は直接検索
-    if (tabId && this.newTabRelations.has(tabId)) {
-      const parentInfo = this.newTabRelations.get(tabId);
-      const timeDiff = Math.abs(visitTime - parentInfo.createdTime);
-      if (timeDiff < 10000) { // 10秒以内なら関連性ありと判定
-        return {
-          parentUrl: parentInfo.parentUrl,
-          parentTitle: parentInfo.parentTitle,
-          parentTabId: parentInfo.parentTabId,
-          confidence: Math.max(0.5, 1 - (timeDiff / 10000)),
-          relationType: 'new_tab'
-        };
-      }
-    }
-
-    // 時間ベースの推定
-    for (const [currentTabId, parentInfo] of this.newTabRelations) {
-      const timeDiff = Math.abs(visitTime - parentInfo.createdTime);
-      if (timeDiff < 5000) { // 5秒以内なら関連性ありと判定
-        return {
-          parentUrl: parentInfo.parentUrl,
-          parentTitle: parentInfo.parentTitle,
-          parentTabId: parentInfo.parentTabId,
-          confidence: Math.max(0.3, 1 - (timeDiff / 5000)),
-          relationType: 'new_tab_time_based'
-        };
-      }
-    }
-    return null;
-  }
-
-  // 戻る動作を検出
-  detectBackNavigation(url, visitTime, tabId = null) {
-    const tabHistory = tabId ? this.backForwardHistory.get(tabId) : null;
-
-    if (tabHistory) {
-      // 同じタブでの戻る動作を検出
-      for (let i = tabHistory.length - 1; i >= 0; i--) {
-        const nav = tabHistory[i];
-        if (nav.isBackForward && nav.url === url) {
-          const timeDiff = Math.abs(visitTime - nav.timeStamp);
-          if (timeDiff < 1000) { // 1秒以内
-            return {
-              confidence: 0.9,
-              relationType: 'back_forward',
-              originalNavigation: nav
-            };
-          }
-        }
-      }
-    }
-
-    return null;
-  }
-
-  // ナビゲーション履歴を取得
-  getNavigationHistory(tabId) {
-    return this.backForwardHistory.get(tabId) || [];
-  }
-
-  // 階層移動を検出
-  detectHierarchyNavigation(fromUrl, toUrl, visitTime) {
-    try {
-      const from = new URL(fromUrl);
-      const to = new URL(toUrl);
-
-      if (from.hostname !== to.hostname) return null;
-
-      const fromParts = from.pathname.split('/').filter(Boolean);
-      const toParts = to.pathname.split('/').filter(Boolean);
-
-      // 深い階層から浅い階層への移動（一覧ページへの戻り）
-      if (fromParts.length > toParts.length) {
-        const isParentPath = toParts.every((part, index) => fromParts[index] === part);
-        if (isParentPath) {
-          const hierarchyDiff = fromParts.length - toParts.length;
-          return {
-            confidence: Math.min(0.9, 0.5 + (hierarchyDiff * 0.2)),
-            relationType: 'hierarchy_up',
-            hierarchyDiff: hierarchyDiff
-          };
-        }
-      }
-
-      // 浅い階層から深い階層への移動（詳細ページへ）
-      if (toParts.length > fromParts.length) {
-        const isChildPath = fromParts.every((part, index) => toParts[index] === part);
-        if (isChildPath) {
-          const hierarchyDiff = toParts.length - fromParts.length;
-          return {
-            confidence: Math.min(0.8, 0.4 + (hierarchyDiff * 0.15)),
-            relationType: 'hierarchy_down',
-            hierarchyDiff: hierarchyDiff
-          };
-        }
-      }
-
-    } catch (e) {
-      console.error('階層移動検出エラー:', e);
-    }
-
-    return null;
-  }
-}
-
-// === 集約モード強化版: Chu-Liu/Edmonds ベースの実装 ===
-
-const PARAMS = {
-  PATH_WEIGHT: 40,
-  ROOT_BONUS: 220,
-  DOMAIN_MATCH_BONUS: 20,
-  ID_PATTERN_BONUS: 30,
-  PATTERN_BONUS: 25,
-  RECENCY_HALF_LIFE_MS: 14 * 24 * 60 * 60 * 1000, // 14日
-  ALPHA: { count: 1.0, recency: 1.4, freq: 0.9, path: 1.0, root: 1.1, pattern: 0.6, domain: 0.4 },
-  TOP_K_INCOMING: 10, // 各ノードについて保持する上位incomingエッジ数（速度/品質トレードオフ）
-  HIERARCHY_SCORE_BONUS: 80, // URL 階層から推定した親子関係に与えるボーナス（大きめにすると階層が強く反映）
-  MIN_EDGE_SCORE: 0.01, // かなり低いスコアのエッジは省く
-  DEBUG: false
-};
-
-// --- ヘルパー: パス接頭辞一致数 ---
-function _countMatchingPathParts(parentParts, childParts) {
-  let matches = 0;
-  const minLen = Math.min(parentParts.length, childParts.length);
-  for (let i = 0; i < minLen; i++) {
-    if (parentParts[i] === childParts[i]) matches++;
-    else break;
-  }
-  return matches;
-}
-
-// --- スコア計算 ---
-function _computeEdgeScore(fromUrl, toUrl, meta, urlVisitMap, now, params = PARAMS) {
-  const al = params.ALPHA;
-  const count = meta.count || 1;
-  const lastTime = meta.lastTime || 0;
-  const visitCountTo = (urlVisitMap.get(toUrl)?.visitCount) || 1;
-
-  const w_count = Math.log(1 + count);
-  const age = Math.max(0, now - lastTime);
-  const w_recency = Math.exp(-age / params.RECENCY_HALF_LIFE_MS); // 0..1
-  const w_freq = Math.log(1 + visitCountTo);
-
-  let w_path = 0, w_root = 0, w_pattern = 0, w_domain = 0;
-  try {
-    const f = new URL(fromUrl);
-    const t = new URL(toUrl);
-    if (f.hostname === t.hostname) {
-      w_domain = params.DOMAIN_MATCH_BONUS;
-      const fromParts = f.pathname.split('/').filter(Boolean);
-      const toParts = t.pathname.split('/').filter(Boolean);
-      const matching = _countMatchingPathParts(fromParts, toParts);
-      if (matching > 0) {
-        w_path = (matching / Math.max(1, fromParts.length)) * params.PATH_WEIGHT;
-      }
-      if (fromParts.length === 0) { // ルートページはボーナス
-        w_root = params.ROOT_BONUS;
-      }
-      const fromLast = (fromParts[fromParts.length - 1] || '').toLowerCase();
-      if (['category','categories','tag','tags','section','posts','articles','products','product','blog'].includes(fromLast)) {
-        w_pattern += params.PATTERN_BONUS;
-      }
-      const toLast = (toParts[toParts.length - 1] || '');
-      if (/^\d+$/.test(toLast) || /^[a-f0-9-]{8,}$/.test(toLast)) {
-        w_pattern += params.ID_PATTERN_BONUS;
-      }
-    }
-  } catch (e) {
-    // 無効URLならパス/ドメインボーナスは無視
-  }
-
-  const score =
-    al.count * w_count +
-    al.recency * w_recency +
-    al.freq * w_freq +
-    al.path * w_path +
-    al.root * w_root +
-    al.pattern * w_pattern +
-    al.domain * w_domain;
-
-  return score;
-}
-
-// === Chu-Liu/Edmonds 実装（最大重み有向被覆木） ===
-// nodes: array of node keys (string URLs), root: root key (string), edges: [{u, v, w}]
-function edmondsMaximumArborescence(root, nodes, edges) {
-  // Implementation adapted for clarity; returns parentMap: Map(node -> parent) for nodes != root
-  // If node unreachable -> parent not set -> treated as child of root by caller.
-  const N = nodes.length;
-  const nodeIndex = new Map(nodes.map((n,i) => [n,i]));
-
-  // Build adjacency list of incoming edges per node
-  const incoming = Array(N).fill(0).map(() => []);
-  for (const e of edges) {
-    const u = nodeIndex.get(e.u);
-    const v = nodeIndex.get(e.v);
-    if (u === undefined || v === undefined) continue;
-    incoming[v].push({ u, w: e.w, edge: e });
-  }
-
-  // 1) For each node (except root), pick maximum incoming edge
-  const rootIdx = nodeIndex.get(root);
-  function solve(currNodes, currIncoming) {
-    const M = currNodes.length;
-    const idxMap = new Map(currNodes.map((n,i) => [n, i])); // map original idx -> 0..M-1
-    const invMap = currNodes.slice(); // index -> original idx
-
-    // pick best incoming for each node
-    const inEdge = Array(M).fill(null);
-    for (let i = 0; i < M; i++) {
-      const origIdx = invMap[i];
-      if (origIdx === rootIdx) continue;
-      const incs = currIncoming[origIdx] || [];
-      if (incs.length === 0) return null; // no incoming -> impossible
-      // pick max weight
-      let best = incs[0];
-      for (const it of incs) {
-        if (it.w > best.w) best = it;
-      }
-      inEdge[i] = { from: best.u, w: best.w, edge: best.edge, origFromIdx: best.u };
-    }
-
-    // detect cycles in inEdge graph
-    const vis = Array(M).fill(-1);
-    const comp = Array(M).fill(-1);
-    let compId = 0;
-    for (let i = 0; i < M; i++) {
-      if (vis[i] !== -1) continue;
-      let cur = i;
-      const path = [];
-      while (cur !== -1 && vis[cur] === -1) {
-        vis[cur] = i;
-        path.push(cur);
-        const e = inEdge[cur];
-        if (!e) { cur = -1; break; }
-        // e.from is original idx of parent; convert to local if exists in idxMap
-        const fromOrig = e.origFromIdx;
-        const fromLocal = idxMap.has(fromOrig) ? idxMap.get(fromOrig) : -1;
-        if (fromLocal === -1) { cur = -1; break; } // parent is outside -> no cycle here
-        cur = fromLocal;
-      }
-      if (cur !== -1 && vis[cur] === i) {
-        // found cycle, mark entire cycle with same comp id
-        let x;
-        do {
-          x = path.pop();
-          comp[x] = compId;
-        } while (x !== cur && path.length);
-        compId++;
-      }
-      // mark remaining nodes as no cycle
-    }
-
-    if (compId === 0) {
-      // no cycles -> build parent map and return mapping from original index -> parent original index
-      const resultParent = new Map();
-      for (let i = 0; i < M; i++) {
-        if (invMap[i] === rootIdx) continue;
-        const e = inEdge[i];
-        if (e) {
-          resultParent.set(invMap[i], e.origFromIdx);
-        }
-      }
-      return { resultParent, contracted: null };
-    }
-
-    // There are cycles: contract them
-    // map origIdx -> cycleId or new id
-    const cycleId = new Map();
-    let nextId = 0;
-    for (let i = 0; i < M; i++) {
-      if (comp[i] !== -1) {
-        // cycle node
-        if (!cycleId.has(comp[i])) cycleId.set(comp[i], nextId++);
-        cycleId.set(i, cycleId.get(comp[i]));
-      }
-    }
-    // nodes not in any cycle get unique ids
-    for (let i = 0; i < M; i++) {
-      if (comp[i] === -1) {
-        cycleId.set(i, nextId++);
-      }
-    }
-
-    const newCount = nextId;
-    // Build new incoming lists for contracted graph
-    const newIncoming = Array(newCount).fill(0).map(() => []);
-    const newNodes = [];
-    // For mapping back later
-    const mapping = new Map(); // newIdx -> array of old invMap indices
-    for (let i = 0; i < M; i++) {
-      const nid = cycleId.get(i);
-      if (!mapping.has(nid)) mapping.set(nid, []);
-      mapping.get(nid).push(invMap[i]);
-    }
-    for (let nid = 0; nid < newCount; nid++) newNodes.push(nid);
-
-    // For each edge origU -> origV in currIncoming (orig indices), reweight and add
-    // We'll iterate over all original incoming arrays
-    for (let origV of invMap) {
-      const vLocal = idxMap.get(origV);
-      const vNew = cycleId.get(vLocal);
-      const incs = currIncoming[origV] || [];
-      for (const e of incs) {
-        const uOrig = e.u;
-        const uLocal = idxMap.has(uOrig) ? idxMap.get(uOrig) : -1;
-        const uNew = uLocal === -1 ? null : cycleId.get(uLocal);
-        // edge from uOrig -> origV (orig indices)
-        // compute adjusted weight
-        let wAdj = e.w;
-        // if v is in cycle, subtract its chosen in-edge weight (inEdge of that vLocal)
-        if (vLocal !== -1 && comp[vLocal] !== -1) {
-          const inE = inEdge[vLocal];
-          if (inE) wAdj = e.w - inE.w;
-        }
-        // add edge to newIncoming for vNew with meta storing original edge
-        // uNew might equal vNew (internal cycle edge) -> skip
-        if (uNew !== vNew) {
-          newIncoming[uOrig] = newIncoming[uOrig] || []; // ensure exists for safety
-          // push to newIncoming by original indices mapping (we'll reshape later)
-          // Store as raw triple to be processed in next recursion
-          // For simpler implementation, collect as edges array external to this function
-        }
-      }
-    }
+// 折りたたんだノードのキーを保存する localStorage のキーと、保存する数の上限
+const COLLAPSED_KEYS_STORAGE_KEY = 'collapsedTreeKeys';
+const MAX_COLLAPSED_KEYS = 5000;
 
-    // Simpler alternative: fallback to greedy break of the weakest edge in each cycle
-    // (To avoid full complexity here, we'll return contracted null to signal caller do greedy)
-    return { resultParent: null, contracted: true, cycles: mapping };
-  }
-
-  // Top-level simple approach: try to construct parent by choosing max incoming then detect cycles
-  // If cycles exist, we will not do full complex contraction here due to complexity — instead
-  // we'll fallback to greedy cycle-breaking implemented outside. So edmonds returns best attempts
-  // as a parent map if no cycles, otherwise null to signal fallback required.
-  const Mfull = N;
-  const inEdge = Array(N).fill(null);
-  for (let v = 0; v < N; v++) {
-    if (v === rootIdx) continue;
-    const incs = incoming[v];
-    if (!incs || incs.length === 0) {
-      // unreachable -> leave null
-      inEdge[v] = null;
-      continue;
-    }
-    // pick best incoming
-    let best = incs[0];
-    for (const it of incs) {
-      if (it.w > best.w) best = it;
-    }
-    inEdge[v] = best; // { u, w, edge }
-  }
-
-  // detect cycles
-  const visited = Array(N).fill(false);
-  const stackmark = Array(N).fill(false);
-  const parentMap = new Map();
-  let hasCycle = false;
-  function dfs(u) {
-    visited[u] = true;
-    stackmark[u] = true;
-    const e = inEdge[u];
-    if (e && !visited[e.u]) {
-      dfs(e.u);
-    } else if (e && stackmark[e.u]) {
-      hasCycle = true;
-    }
-    stackmark[u] = false;
-  }
-  for (let i = 0; i < N; i++) {
-    if (i === rootIdx) continue;
-    if (!visited[i]) dfs(i);
-  }
-
-  if (hasCycle) return null; // signal fallback required
-  // build parentMap
-  for (let v = 0; v < N; v++) {
-    if (v === rootIdx) continue;
-    const e = inEdge[v];
-    if (e) parentMap.set(nodes[v], nodes[e.u]);
-  }
-  return parentMap;
-}
+// 表示設定を保存する localStorage のキー
+const COLLAPSE_DEPTH_STORAGE_KEY = 'collapseDepth';
+const GRAPH_SOURCE_STORAGE_KEY = 'graphSource';
+const GRAPH_LAYOUT_STORAGE_KEY = 'graphLayout';
 
-// --- Greedy fallback: cycle-break by weakest edge (previously described) ---
-function greedyResolve(nodes, incomingMap, params = PARAMS) {
-  const VIRTUAL_ROOT = '__ROOT__';
-  const parentChoice = new Map();
-  const candidateIdx = new Map();
-
-  for (const node of nodes) {
-    const arr = incomingMap.get(node) || [];
-    if (arr.length > 0) {
-      parentChoice.set(node, arr[0].from);
-      candidateIdx.set(node, 0);
-    } else {
-      parentChoice.set(node, VIRTUAL_ROOT);
-    }
-  }
-
-  function detectCycle(parentMap) {
-    const visited = new Set();
-    const inStack = new Set();
-    for (const start of nodes) {
-      if (visited.has(start)) continue;
-      let cur = start;
-      const stack = [];
-      while (cur !== VIRTUAL_ROOT && !visited.has(cur)) {
-        visited.add(cur);
-        inStack.add(cur);
-        stack.push(cur);
-        cur = parentMap.get(cur) || VIRTUAL_ROOT;
-        if (inStack.has(cur)) {
-          // collect cycle
-          const cycle = [];
-          for (let i = stack.length - 1; i >= 0; i--) {
-            const n = stack[i];
-            cycle.push(n);
-            if (n === cur) break;
-          }
-          return cycle.reverse();
-        }
-      }
-      for (const s of stack) inStack.delete(s);
-    }
-    return null;
-  }
-
-  let cycle = detectCycle(parentChoice);
-  while (cycle) {
-    // find weakest edge in cycle (child -> parent) by score
-    let weakest = { node: null, score: Infinity };
-    for (const child of cycle) {
-      const parent = parentChoice.get(child);
-      if (!parent || parent === VIRTUAL_ROOT) continue;
-      const arr = incomingMap.get(child) || [];
-      const idx = arr.findIndex(x => x.from === parent);
-      const sc = idx >= 0 ? arr[idx].score : -Infinity;
-      if (sc < weakest.score) weakest = { node: child, score: sc };
-    }
-    if (!weakest.node) break;
-    // advance candidate for that node
-    const arr = incomingMap.get(weakest.node) || [];
-    const curIdx = candidateIdx.get(weakest.node) || 0;
-    if (curIdx + 1 < arr.length) {
-      candidateIdx.set(weakest.node, curIdx + 1);
-      parentChoice.set(weakest.node, arr[curIdx + 1].from);
-    } else {
-      parentChoice.set(weakest.node, VIRTUAL_ROOT);
-    }
-    cycle = detectCycle(parentChoice);
-  }
-  return parentChoice;
-}
+// ツリーの1階層の字下げと、親のtoggleの中央（縦線の位置）
+const TREE_INDENT_PX = 44;
+const TREE_LINE_OFFSET_PX = 10;
 
 class HistoryManager {
   constructor() {
     this.allVisits = [];
-    this.filteredData = [];
     this.currentSearchTerm = '';
     this.isDarkMode = this.getPreferredTheme();
     this.daysInputTimeout = null; // 入力遅延タイマー
@@ -580,7 +28,16 @@ class HistoryManager {
     this.daysPerPage = 7; // デフォルト値、period inputから取得
     this.searchStartTime = null;
     this.searchEndTime = null;
-    this.viewMode = 'chronological'; // 'chronological', 'aggregated', or 'beta'
+    this.viewMode = 'chronological'; // 'chronological', 'aggregated', 'beta', 'topics', 'graph', or 'timeline'
+    this.graphSource = localStorage.getItem(GRAPH_SOURCE_STORAGE_KEY) || 'chronological'; // グラフ表示で描くツリー（'chronological', 'aggregated', 'beta'）
+    this.graphLayout = localStorage.getItem(GRAPH_LAYOUT_STORAGE_KEY) || 'tidy'; // 'tidy'（整列ツリー）または 'radial'（放射状）
+    this.graphView = null; // GraphViewRenderer（グラフ表示を初めて開いた時に作る）
+    this.timelineView = null; // TimelineViewRenderer（タイムライン表示を初めて開いた時に作る）
+    this.timeRange = null; // タイムラインで選んだ期間 { start, end }（一覧とグラフをこの期間で絞り込む）
+    this.incompleteRanges = []; // 履歴が多すぎて読み込みきれなかった範囲
+    this.loadController = null; // 進行中の読み込みの AbortController
+    this.collapsedKeys = this.loadCollapsedKeys(); // 折りたたまれたノードのキー（getNodeKey。再描画・再読み込みしても維持）
+    this.liveRenderTimeout = null; // ライブ更新の再描画タイマー
     this.stats = {
       totalSites: 0,
       totalVisits: 0,
@@ -588,9 +45,42 @@ class HistoryManager {
     };
 
     // NavigationTracker のインスタンスを作成（Beta機能用）
+    // 記録は background.js が行い、ここでは chrome.storage.local に保存された内容を参照する
     this.navigationTracker = new NavigationTracker();
 
+    // 訪問履歴のローカルキャッシュ（差分同期）
+    this.visitStore = new VisitStore();
+
+    // ツリー構築は Web Worker で行う（訪問を渡し、構築されたツリーを受け取る）
+    this.treeWorker = new Worker('tree-worker.js');
+    this.treeWorker.onmessage = (event) => this.handleTreeWorkerMessage(event.data);
+    this.treeWorker.onerror = (event) => this.rejectPendingBuilds(new Error(event.message));
+    this.pendingBuilds = new Map(); // requestId -> { resolve, reject }
+    this.nextBuildRequestId = 1;
+    this.latestBuildRequestId = 0;
+
+    // 時系列モードのセッション（訪問が途切れた間隔で区切る）
+    this.sessionGapMinutes = Number(localStorage.getItem('sessionGapMinutes')) || 30;
+    this.sessionFilterId = null; // 表示するセッション（null ならすべて）
+
+    this.draggedNode = null; // ドラッグ中のノード
+
+    this.treeNodes = []; // 表示中のツリー（ルートの一覧）
+    this.treeSessions = null; // 表示中のセッション（時系列モード以外は null）
+    this.treeRows = []; // 折りたたまれていない行を上から順に並べたもの（flattenTreeRows）
+    this.virtualTree = null; // 表示範囲の行だけを DOM に作る（VirtualTreeRenderer）
+    this.openExplanationKeys = new Set(); // 説明パネルを開いているノード（行を作り直しても開いたままにする）
+    this.openViaKeys = new Set(); // リダイレクトの中継ページの一覧を開いているノード
+    this.focusedRowKey = null; // キーボードで選択中の行（getRowKey。ライブ更新や折りたたみで行の位置が変わっても同じノード）
+
     this.initializeEventListeners();
+    this.initializeKeyboardNavigation();
+    this.initializeTopLevelDropZone();
+    this.initializeLiveUpdates();
+    this.initializeScoringConfig();
+    this.initializeParentOverrides();
+    this.initializeCanonicalRules();
+    this.initializeUrlPatternRules();
     this.applyTheme();
   }  getPreferredTheme() {
     // 保存された設定を確認
@@ -663,8 +153,76 @@ class HistoryManager {
     // モード切り替えのイベントリスナー
     document.getElementById('viewMode').addEventListener('change', (e) => {
       this.viewMode = e.target.value;
+      this.updateSessionControls();
+      this.updateViewControls();
       this.filterAndRenderData(); // 現在のデータを新しいモードで再描画
-    });    // テーマ切り替えボタンのイベントリスナー
+    });
+
+    // グラフ表示で描くツリーと配置
+    const graphSourceSelect = document.getElementById('graphSource');
+    graphSourceSelect.value = this.graphSource;
+    graphSourceSelect.addEventListener('change', (e) => {
+      this.graphSource = e.target.value;
+      localStorage.setItem(GRAPH_SOURCE_STORAGE_KEY, this.graphSource);
+      this.updateSessionControls();
+      this.filterAndRenderData();
+    });
+    const graphLayoutSelect = document.getElementById('graphLayout');
+    graphLayoutSelect.value = this.graphLayout;
+    graphLayoutSelect.addEventListener('change', (e) => {
+      this.graphLayout = e.target.value;
+      localStorage.setItem(GRAPH_LAYOUT_STORAGE_KEY, this.graphLayout);
+      if (this.graphView) this.graphView.setTree(this.graphRoots || [], { layout: this.graphLayout });
+    });
+
+    // タイムラインの表示幅と、選んだ期間の解除
+    document.getElementById('timelineSpan').addEventListener('change', (e) => {
+      if (!this.timelineView) return;
+      if (e.target.value) {
+        this.timelineView.setSpan(Number(e.target.value) * 60 * 1000);
+      } else {
+        this.timelineView.fit();
+      }
+    });
+    document.getElementById('clearTimeRange').addEventListener('click', () => this.setTimeRange(null));
+    this.updateViewControls();
+
+    // セッションの区切りの間隔（分）
+    const sessionGapInput = document.getElementById('sessionGap');
+    sessionGapInput.value = this.sessionGapMinutes;
+    sessionGapInput.addEventListener('change', (e) => {
+      const minutes = parseInt(e.target.value, 10);
+      if (!minutes || minutes < 1) {
+        e.target.value = this.sessionGapMinutes;
+        return;
+      }
+      this.sessionGapMinutes = minutes;
+      localStorage.setItem('sessionGapMinutes', String(minutes));
+      this.sessionFilterId = null; // 区切りが変わるとセッションのIDも変わる
+      this.filterAndRenderData();
+    });
+
+    // セッションでの絞り込み
+    document.getElementById('sessionFilter').addEventListener('change', (e) => {
+      this.setSessionFilter(e.target.value || null);
+    });
+    this.updateSessionControls();
+
+    // 展開/折りたたみの一括操作
+    document.getElementById('expandAll').addEventListener('click', () => this.expandAll());
+    document.getElementById('collapseAll').addEventListener('click', () => this.collapseBelowDepth(0));
+    const collapseDepthInput = document.getElementById('collapseDepth');
+    collapseDepthInput.value = localStorage.getItem(COLLAPSE_DEPTH_STORAGE_KEY) || '1';
+    document.getElementById('collapseToDepth').addEventListener('click', () => {
+      const depth = parseInt(collapseDepthInput.value, 10);
+      if (isNaN(depth) || depth < 0) {
+        collapseDepthInput.value = localStorage.getItem(COLLAPSE_DEPTH_STORAGE_KEY) || '1';
+        return;
+      }
+      localStorage.setItem(COLLAPSE_DEPTH_STORAGE_KEY, String(depth));
+      this.collapseBelowDepth(depth);
+    });
+    // テーマ切り替えボタンのイベントリスナー
     const themeToggle = document.getElementById('themeToggle');
     if (themeToggle) {
       themeToggle.addEventListener('click', () => {
@@ -672,6 +230,14 @@ class HistoryManager {
       });
     }
 
+    // 設定ページを開く
+    const openOptions = document.getElementById('openOptions');
+    if (openOptions) {
+      openOptions.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
     // システムのテーマ変更を監視
     window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
       if (!localStorage.getItem('theme')) {
@@ -681,6 +247,179 @@ class HistoryManager {
     });
   }
 
+  // chrome.history の変更を監視し、表示中のツリーを再取得せずにその場で更新する
+  initializeLiveUpdates() {
+    if (typeof chrome === 'undefined' || !chrome.history) return;
+
+    chrome.history.onVisited.addListener((item) => {
+      this.handleLiveVisit(item).catch((error) => console.error('ライブ更新エラー:', error));
+    });
+
+    chrome.history.onVisitRemoved.addListener((removed) => {
+      this.handleLiveVisitRemoved(removed);
+    });
+  }
+
+  // 設定ページで保存した集計モードのスコア設定を Worker に渡す（変更されたら再描画）
+  initializeScoringConfig() {
+    loadScoringConfig()
+      .then((config) => this.applyScoringConfig(config))
+      .catch((error) => console.error('スコア設定の読み込みエラー:', error));
+
+    onScoringConfigChanged((config) => this.applyScoringConfig(config));
+  }
+
+  applyScoringConfig(config) {
+    this.treeWorker.postMessage({ type: 'setParams', params: config.params });
+    if (this.viewMode === 'aggregated' && this.allVisits.length > 0) {
+      this.scheduleLiveRender();
+    }
+  }
+
+  // 手動で付け替えた親を Worker に渡す（このページや設定ページで変更されたら再描画）
+  initializeParentOverrides() {
+    loadParentOverrides()
+      .then((overrides) => this.applyParentOverrides(overrides))
+      .catch((error) => console.error('付け替えの読み込みエラー:', error));
+
+    onParentOverridesChanged((overrides) => this.applyParentOverrides(overrides));
+  }
+
+  applyParentOverrides(overrides) {
+    this.treeWorker.postMessage({ type: 'setParentOverrides', overrides });
+    if (this.allVisits.length > 0) {
+      this.scheduleLiveRender();
+    }
+  }
+
+  // 設定ページで編集したURL正規化のルールを Worker に渡す（変更されたら再描画）
+  initializeCanonicalRules() {
+    loadCanonicalRulesText()
+      .then((text) => this.applyCanonicalRules(text))
+      .catch((error) => console.error('URL正規化ルールの読み込みエラー:', error));
+
+    onCanonicalRulesChanged((text) => this.applyCanonicalRules(text));
+  }
+
+  applyCanonicalRules(text) {
+    this.treeWorker.postMessage({ type: 'setCanonicalRules', rulesText: text });
+    if (this.allVisits.length > 0) {
+      this.scheduleLiveRender();
+    }
+  }
+
+  // 設定ページで編集したURLパターンのルールを Worker に渡す（変更されたら再描画）
+  initializeUrlPatternRules() {
+    loadUrlPatternRules()
+      .then((rules) => this.applyUrlPatternRules(rules))
+      .catch((error) => console.error('URLパターンの読み込みエラー:', error));
+
+    onUrlPatternRulesChanged((rules) => this.applyUrlPatternRules(rules));
+  }
+
+  applyUrlPatternRules(rules) {
+    this.treeWorker.postMessage({ type: 'setUrlPatternRules', rules });
+    if ((this.viewMode === 'aggregated' || this.viewMode === 'beta') && this.allVisits.length > 0) {
+      this.scheduleLiveRender();
+    }
+  }
+
+  // ノードをドラッグ&ドロップで別の親（parentNode が null ならトップレベル）の下へ付け替える
+  async reparentNode(node, parentNode) {
+    const mode = this.viewMode;
+    const key = this.getOverrideKey(node);
+    if (!key) return;
+
+    try {
+      await saveParentOverride(mode, key, {
+        parentKey: parentNode ? this.getOverrideKey(parentNode) : null,
+        title: node.title,
+        parentTitle: parentNode ? parentNode.title : null,
+        createdTime: Date.now()
+      });
+    } catch (error) {
+      console.error('付け替えの保存エラー:', error);
+      const errorElement = document.getElementById('error');
+      errorElement.style.display = 'block';
+      errorElement.innerHTML = `<strong>エラー:</strong> 親の付け替えを保存できませんでした。<br>${error.message}`;
+    }
+  }
+
+  // 付け替えのキー（集計モードは正規化したURL、それ以外は visitId。tree-builder.js と同じ）
+  getOverrideKey(node) {
+    return this.viewMode === 'aggregated' ? (node.canonicalUrl || node.url) : node.visitId;
+  }
+
+  // ドラッグ中だけ表示する「トップレベルへ移動」のドロップ先
+  initializeTopLevelDropZone() {
+    const dropZone = document.getElementById('topLevelDropZone');
+    if (!dropZone) return;
+
+    dropZone.addEventListener('dragover', (e) => {
+      if (!this.draggedNode) return;
+      e.preventDefault();
+      dropZone.classList.add('drop-target');
+    });
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drop-target');
+    });
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drop-target');
+      if (this.draggedNode) this.reparentNode(this.draggedNode, null);
+    });
+  }
+
+  async handleLiveVisit(item) {
+    // 最新の期間を表示している時だけ追加する（読み込み中なら読み込み結果に含まれる）
+    if (this.currentPage !== 1 || this.loadController || !this.searchStartTime) return;
+
+    const visits = await historyGetVisits({ url: item.url });
+    const knownVisitIds = new Set(this.allVisits.map(v => v.visitId));
+    const newVisits = visits
+      .filter(visit => visit.visitTime >= this.searchStartTime && !knownVisitIds.has(visit.visitId))
+      .sort((a, b) => a.visitTime - b.visitTime)
+      .map(visit => ({
+        visitId: visit.visitId,
+        url: item.url,
+        title: item.title || item.url,
+        visitTime: visit.visitTime,
+        referringVisitId: visit.referringVisitId || null,
+        transition: visit.transition || '',
+        favicon: this.getFaviconUrl(item.url)
+      }));
+
+    if (newVisits.length === 0) return;
+
+    this.searchEndTime = Math.max(this.searchEndTime, Date.now());
+    this.allVisits.unshift(...newVisits.slice().reverse());
+    this.treeWorker.postMessage({ type: 'addVisits', visits: newVisits });
+
+    this.calculateStats();
+    this.scheduleLiveRender();
+  }
+
+  handleLiveVisitRemoved(removed) {
+    if (removed.allHistory) {
+      this.allVisits = [];
+    } else {
+      const removedUrls = new Set(removed.urls || []);
+      this.allVisits = this.allVisits.filter(visit => !removedUrls.has(visit.url));
+    }
+    this.treeWorker.postMessage({ type: 'removeUrls', allHistory: !!removed.allHistory, urls: removed.urls || [] });
+
+    this.calculateStats();
+    this.scheduleLiveRender();
+  }
+
+  // 連続した更新をまとめて、表示状態（折りたたみ・スクロール位置）を保ったまま再描画
+  scheduleLiveRender() {
+    clearTimeout(this.liveRenderTimeout);
+    this.liveRenderTimeout = setTimeout(() => {
+      this.filterAndRenderData({ preserveScroll: true });
+    }, 300);
+  }
+
   getFaviconUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -698,12 +437,22 @@ class HistoryManager {
     const treeElement = document.getElementById('tree');
     const statsInlineElement = document.getElementById('statsInline');
 
+    // 進行中の読み込みを中断し、最新の要求だけを描画する
+    if (this.loadController) {
+      this.loadController.abort();
+    }
+    const loadController = new AbortController();
+    this.loadController = loadController;
+
     loadingElement.style.display = 'block';
     errorElement.style.display = 'none';
     treeElement.style.display = 'none';
+    document.getElementById('graph').style.display = 'none';
+    document.getElementById('timeline').style.display = 'none';
     if (statsInlineElement) {
       statsInlineElement.style.display = 'none';
     }
+    this.updateLoadingProgress(0, 0);
 
     try {
       const daysPerPage = this.daysPerPage;
@@ -718,27 +467,69 @@ class HistoryManager {
       this.searchEndTime = now - (endDaysAgo * 24 * 60 * 60 * 1000);
       this.searchStartTime = now - (startDaysAgo * 24 * 60 * 60 * 1000);
 
-      const roots = await this.buildHistoryTree({
+      // background.js が記録したナビゲーション情報を読み込む（Beta機能用）
+      await this.navigationTracker.loadFromStorage();
+      loadController.signal.throwIfAborted();
+
+      await this.loadVisits({
         startTime: this.searchStartTime,
         endTime: this.searchEndTime
+      }, {
+        signal: loadController.signal,
+        onProgress: (completed, total) => {
+          if (this.loadController === loadController) {
+            this.updateLoadingProgress(completed, total);
+          }
+        }
       });
-      this.filteredData = roots;
 
       this.calculateStats();
-      this.filterAndRenderData();
+      this.updatePartialNotice();
+      await this.filterAndRenderData();
 
       loadingElement.style.display = 'none';
-      treeElement.style.display = 'block';
+      this.updateViewContainers();
       if (statsInlineElement) {
         statsInlineElement.style.display = 'flex';
       }
 
     } catch (error) {
+      // 新しい読み込みに置き換えられた場合は何もしない
+      if (error.name === 'AbortError') return;
+
       loadingElement.style.display = 'none';
       errorElement.style.display = 'block';
       errorElement.innerHTML = `<strong>エラー:</strong> 履歴の取得に失敗しました。<br>${error.message}`;
+    } finally {
+      if (this.loadController === loadController) {
+        this.loadController = null;
+      }
+    }
+  }
+
+  // 読み込み中の進捗表示を更新（処理済みURL数 / 総URL数）
+  updateLoadingProgress(completed, total) {
+    const loadingText = document.getElementById('loadingText');
+    const loadingProgress = document.getElementById('loadingProgress');
+
+    if (loadingText) {
+      loadingText.textContent = total > 0
+        ? `履歴を読み込み中... ${completed} / ${total} URL`
+        : '履歴を読み込み中...';
+    }
+    if (loadingProgress) {
+      if (total > 0) {
+        loadingProgress.max = total;
+        loadingProgress.value = completed;
+      } else {
+        // 総数が分かるまでは不確定表示
+        loadingProgress.removeAttribute('value');
+      }
     }
-  }  async buildHistoryTree({ startTime, endTime } = {}) {
+  }
+
+  // 期間内の訪問をキャッシュから読み込み、ツリー構築用の Worker に渡す
+  async loadVisits({ startTime, endTime } = {}, { signal, onProgress } = {}) {
     // デフォルト値の設定（後方互換性のため）
     if (!startTime || !endTime) {
       const days = 7;
@@ -746,1593 +537,550 @@ class HistoryManager {
       startTime = endTime - days * 24 * 60 * 60 * 1000;
     }
 
-    const items = await historySearch({ text: '', startTime, maxResults: 10000 });
+    // キャッシュを差分同期し、期間内の訪問をキャッシュから取得
+    const { visits: cachedVisits, incompleteRanges } = await this.visitStore.sync({ startTime, endTime }, { signal, onProgress });
+    signal?.throwIfAborted();
+    this.incompleteRanges = incompleteRanges;
 
     // すべての訪問情報を収集
-    this.allVisits = [];
-    const urlSet = new Set();
-
-    for (const item of items) {
-      const visits = await historyGetVisits({ url: item.url });
-      urlSet.add(item.url);
-
-      for (const visit of visits) {
-        // startTime以降、endTime以前の訪問のみを含める
-        if (visit.visitTime >= startTime && visit.visitTime <= endTime) {
-          this.allVisits.push({
-            visitId: visit.visitId,
-            url: item.url,
-            title: item.title || item.url,
-            visitTime: visit.visitTime,
-            referringVisitId: visit.referringVisitId || null,
-            transition: visit.transition || '',
-            favicon: this.getFaviconUrl(item.url)
-          });
-
-          // デバッグ用：transition情報をログ出力
-          if (visit.transition && visit.transition !== 'link') {
-            console.log(`特殊なtransition: ${visit.transition}, URL: ${item.url}, referringVisitId: ${visit.referringVisitId}`);
-          }
-        }
-      }
-    }
+    this.allVisits = cachedVisits.map(visit => ({
+      visitId: visit.visitId,
+      url: visit.url,
+      title: visit.title || visit.url,
+      visitTime: visit.visitTime,
+      referringVisitId: visit.referringVisitId || null,
+      transition: visit.transition || '',
+      favicon: this.getFaviconUrl(visit.url)
+    }));
 
     // 訪問時刻の新しい順でソート
     this.allVisits.sort((a, b) => b.visitTime - a.visitTime);
 
-    // visitIdでマップを構築
-    const visitMap = new Map();
-    for (const visit of this.allVisits) {
-      visitMap.set(visit.visitId, { ...visit, children: [] });
-    }
+    this.treeWorker.postMessage({
+      type: 'setVisits',
+      visits: this.allVisits,
+      range: { startTime, endTime },
+      navigationState: this.navigationTracker.serialize()
+    });
+  }
 
-    // 親子関係を構築
-    const roots = [];
-    const processedVisits = new Set();
+  // ページネーション関連のメソッド
+  updatePageInputs() {
+    ['pageTopInput', 'pageBottomInput'].forEach(id => {
+      document.getElementById(id).value = this.currentPage;
+    });
 
-    // まず明確な親子関係（referringVisitIdがある）を構築
-    for (const visit of visitMap.values()) {
-      if (visit.referringVisitId && visitMap.has(visit.referringVisitId)) {
-        const parent = visitMap.get(visit.referringVisitId);
-        parent.children.push(visit);
-        processedVisits.add(visit.visitId);
-      }
+    // ページ上限は無いので、単純に現在ページを表示
+    ['pageTopInfo', 'pageBottomInfo'].forEach(id => {
+      document.getElementById(id).textContent = '';
+    });
+  }  updateSearchRange() {
+    const startTime = this.searchStartTime;
+    const endTime = this.searchEndTime;
+
+    let rangeText = '-';
+    if (startTime && endTime) {
+      const startDate = new Date(startTime);
+      const endDate = new Date(endTime);
+      rangeText = `${this.formatTime(endDate)} ～ ${this.formatTime(startDate)}`;
     }
 
-    // 次に、新規タブなどの推定親子関係を構築
-    const orphanVisits = Array.from(visitMap.values()).filter(visit =>
-      !visit.referringVisitId || !visitMap.has(visit.referringVisitId)
-    );
+    ['searchRangeTop', 'searchRangeBottom'].forEach(id => {
+      document.getElementById(id).textContent = rangeText;
+    });
+  }
 
-    for (const orphan of orphanVisits) {
-      if (processedVisits.has(orphan.visitId)) continue;
-
-      // 時系列的に近い親候補を探す（5分以内）
-      const potentialParents = Array.from(visitMap.values()).filter(parent =>
-        parent.visitId !== orphan.visitId &&
-        parent.visitTime > orphan.visitTime - 5 * 60 * 1000 && // 5分前まで
-        parent.visitTime < orphan.visitTime && // 自分より前
-        (orphan.transition === 'typed' || orphan.transition === 'auto_bookmark' || orphan.transition === 'generated')
-      );
-
-      if (potentialParents.length > 0) {
-        // 最も近い時刻の親を選択
-        potentialParents.sort((a, b) => b.visitTime - a.visitTime);
-        const bestParent = potentialParents[0];
-        bestParent.children.push(orphan);
-        processedVisits.add(orphan.visitId);
-        console.log(`推定親子関係: ${bestParent.title} -> ${orphan.title} (${orphan.transition})`);
-      } else {
-        roots.push(orphan);
-      }
+  // 読み込みきれなかった範囲がある場合に警告を表示
+  updatePartialNotice() {
+    const notice = document.getElementById('partialNotice');
+    if (!notice) return;
+
+    if (this.incompleteRanges.length === 0) {
+      notice.style.display = 'none';
+      notice.textContent = '';
+      return;
     }
 
-    console.log(`構築されたツリー: ${roots.length}個のルート, 総訪問数: ${this.allVisits.length}`);
+    const rangeTexts = this.incompleteRanges.map(range =>
+      `${this.formatTime(new Date(range.startTime))} ～ ${this.formatTime(new Date(range.endTime))}`
+    );
+    notice.textContent = `⚠ 履歴が多すぎるため、次の範囲は一部のみ読み込まれています: ${rangeTexts.join(', ')}`;
+    notice.style.display = 'block';
+  }
 
-    // 親子関係の統計をログ出力
-    let totalChildren = 0;
-    const countChildren = (node) => {
-      if (node.children.length > 0) {
-        totalChildren += node.children.length;
-        if (node.children.length > 1) {
-          console.log(`複数子要素: ${node.title || node.url} (${node.children.length}個の子)`);
-        }
-        node.children.forEach(countChildren);
-      }
-    };
-    roots.forEach(countChildren);
-    console.log(`総子要素数: ${totalChildren}`);
-
-    // ルートノードも最新の履歴時刻でソート（ツリー全体を考慮）
-    roots.sort((a, b) => {
-      const aLatest = this.getLatestVisitTimeInTree(a);
-      const bLatest = this.getLatestVisitTimeInTree(b);
-      return bLatest - aLatest; // 新しい順
-    });
+  calculateStats() {
+    const urlSet = new Set();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todayStartTime = today.getTime();
 
-    // 子要素を時刻順（新しい順）でソート
-    function sortChildren(node) {
-      if (node.children.length > 0) {
-        node.children.sort((a, b) => b.visitTime - a.visitTime);
-        node.children.forEach(sortChildren);
-      }
-    }
-    roots.forEach(sortChildren);
-
-    // 重複する親子ノードを削除
-    const cleanedRoots = this.removeDuplicateNodes(roots);
-
-    return cleanedRoots;
-  }
-
-  // --- メイン: buildAggregatedTree の置換（HistoryManager.prototype.buildAggregatedTree） ---
-  buildAggregatedTree() {
-    // 1) aggregate visits by URL
-    const urlVisitMap = new Map();
-    for (const v of this.allVisits) {
-      if (!urlVisitMap.has(v.url)) {
-        urlVisitMap.set(v.url, {
-          url: v.url,
-          title: v.title || v.url,
-          favicon: v.favicon,
-          visits: [],
-          firstVisitTime: v.visitTime,
-          lastVisitTime: v.visitTime,
-          visitCount: 0
-        });
-      }
-      const info = urlVisitMap.get(v.url);
-      info.visits.push(v);
-      info.visitCount++;
-      info.firstVisitTime = Math.min(info.firstVisitTime, v.visitTime);
-      info.lastVisitTime = Math.max(info.lastVisitTime, v.visitTime);
-    }
-
-    // 2) transitions via visit.referringVisitId (O(n))
-    const visitIdMap = new Map(this.allVisits.map(v => [v.visitId, v]));
-    const rawTransitions = new Map(); // fromUrl -> Map(toUrl -> {count, firstTime, lastTime})
-    for (const v of this.allVisits) {
-      if (!v.referringVisitId) continue;
-      const r = visitIdMap.get(v.referringVisitId);
-      if (!r || r.url === v.url) continue;
-      const from = r.url, to = v.url;
-      if (!rawTransitions.has(from)) rawTransitions.set(from, new Map());
-      const m = rawTransitions.get(from);
-      if (!m.has(to)) m.set(to, { count: 0, firstTime: v.visitTime, lastTime: v.visitTime });
-      const meta = m.get(to);
-      meta.count++;
-      meta.firstTime = Math.min(meta.firstTime, v.visitTime);
-      meta.lastTime = Math.max(meta.lastTime, v.visitTime);
-    }
-
-    // 3) compute edges with scoring
-    const now = Date.now();
-    const incomingMap = new Map(); // toUrl -> [{from, to, score, meta}, ...]
-    // transitions first
-    for (const [from, m] of rawTransitions) {
-      for (const [to, meta] of m) {
-        const score = _computeEdgeScore(from, to, meta, urlVisitMap, now, PARAMS);
-        if (score < PARAMS.MIN_EDGE_SCORE) continue;
-        if (!incomingMap.has(to)) incomingMap.set(to, []);
-        incomingMap.get(to).push({ from, to, score, meta });
-      }
-    }
+    let todayCount = 0;
 
-    // 4) add URL-hierarchy inferred edges (orphans & general)
-    // Build URL info for path comparison
-    const urlInfo = new Map();
-    for (const [url, info] of urlVisitMap) {
-      try {
-        const u = new URL(url);
-        const parts = u.pathname.split('/').filter(Boolean);
-        urlInfo.set(url, { hostname: u.hostname, parts });
-      } catch (e) {
-        urlInfo.set(url, { hostname: null, parts: [] });
-      }
-    }
-    const urls = Array.from(urlVisitMap.keys());
-    // For each pair same-domain where path prefix suggests parent, add boosted edge
-    for (let i = 0; i < urls.length; i++) {
-      const a = urls[i];
-      const ai = urlInfo.get(a);
-      if (!ai || !ai.hostname) continue;
-      for (let j = 0; j < urls.length; j++) {
-        if (i === j) continue;
-        const b = urls[j];
-        const bi = urlInfo.get(b);
-        if (!bi || bi.hostname !== ai.hostname) continue;
-        // check if a is potential parent of b
-        if (ai.parts.length < bi.parts.length) {
-          const matching = _countMatchingPathParts(ai.parts, bi.parts);
-          if (matching > 0) {
-            // base score from matching parts
-            const base = (matching / Math.max(1, ai.parts.length)) * PARAMS.PATH_WEIGHT;
-            // add hierarchy bonus to make these competitive
-            const meta = { count: 0, firstTime: 0, lastTime: 0 };
-            const score = base + PARAMS.HIERARCHY_SCORE_BONUS;
-            if (score >= PARAMS.MIN_EDGE_SCORE) {
-              if (!incomingMap.has(b)) incomingMap.set(b, []);
-              incomingMap.get(b).push({ from: a, to: b, score, meta, inferred: true });
-            }
-          }
-        } else if (ai.parts.length === 0 && bi.parts.length >= 1) {
-          // root -> child preference
-          const score = PARAMS.ROOT_BONUS + PARAMS.HIERARCHY_SCORE_BONUS / 2;
-          if (!incomingMap.has(b)) incomingMap.set(b, []);
-          incomingMap.get(b).push({ from: a, to: b, score, meta: { count:0 }, inferred: true });
-        }
+    for (const visit of this.allVisits) {
+      urlSet.add(visit.url);
+      if (visit.visitTime >= todayStartTime) {
+        todayCount++;
       }
     }
 
-    // 5) prune incoming edges to topK per node
-    for (const [to, arr] of incomingMap) {
-      arr.sort((A, B) => {
-        if (B.score !== A.score) return B.score - A.score;
-        // tie-breaker: prefer transitions over inferred
-        if ((B.meta?.count || 0) !== (A.meta?.count || 0)) return (B.meta?.count || 0) - (A.meta?.count || 0);
-        return (A.from || '').localeCompare(B.from || '');
-      });
-      if (arr.length > PARAMS.TOP_K_INCOMING) {
-        incomingMap.set(to, arr.slice(0, PARAMS.TOP_K_INCOMING));
-      } else {
-        incomingMap.set(to, arr);
-      }
-    }
-
-    // 6) prepare nodes + edges list for Edmonds
-    const nodesList = urls.slice(); // nodes are URLs
-    const VIRTUAL_ROOT = '__ROOT__';
-    nodesList.push(VIRTUAL_ROOT);
-
-    const edges = [];
-    for (const [to, arr] of incomingMap) {
-      for (const e of arr) {
-        edges.push({ u: e.from, v: e.to, w: e.score });
-      }
-    }
-    // Also allow any node to be attached to VIRTUAL_ROOT with small base weight so tree spans all
-    for (const url of urls) {
-      edges.push({ u: VIRTUAL_ROOT, v: url, w: 1.0 }); // small weight ensures connectivity
-    }
-
-    // 7) run Edmonds maximum arborescence
-    let parentMap = null;
-    try {
-      parentMap = edmondsMaximumArborescence(VIRTUAL_ROOT, nodesList, edges);
-      if (PARAMS.DEBUG) console.log('Edmonds result parentMap:', parentMap);
-    } catch (e) {
-      console.warn('Edmonds failed:', e);
-      parentMap = null;
-    }
-
-    // 8) fallback to greedyResolve if edmonds returned null (cycles or complexity)
-    if (!parentMap) {
-      if (PARAMS.DEBUG) console.log('Falling back to greedy cycle-breaker');
-      const greedyMap = greedyResolve(urls, incomingMap, PARAMS);
-      parentMap = greedyMap;
-    }
-
-    // 9) build parentToChildren mapping
-    const parentToChildren = new Map();
-    for (const url of urls) parentToChildren.set(url, []);
-    for (const url of urls) {
-      const p = parentMap.get(url) || VIRTUAL_ROOT;
-      if (p && p !== VIRTUAL_ROOT) {
-        if (!parentToChildren.has(p)) parentToChildren.set(p, []);
-        parentToChildren.get(p).push(url);
-      }
-    }
-
-    // 10) construct node objects with children recursively
-    const makeNode = (u) => {
-      const info = urlVisitMap.get(u);
-      return {
-        url: info.url,
-        title: info.title,
-        favicon: info.favicon,
-        visitTime: info.lastVisitTime,
-        visitCount: info.visitCount,
-        children: []
-      };
+    this.stats = {
+      totalSites: urlSet.size,
+      totalVisits: this.allVisits.length,
+      todayVisits: todayCount
     };
-    const nodeObjects = new Map();
-    for (const url of urls) nodeObjects.set(url, makeNode(url));
-    for (const [p, children] of parentToChildren) {
-      const pn = nodeObjects.get(p);
-      if (!pn) continue;
-      // sort children by visitCount desc then lastVisitTime
-      children.sort((a,b) => {
-        const A = urlVisitMap.get(a), B = urlVisitMap.get(b);
-        if (B.visitCount !== A.visitCount) return B.visitCount - A.visitCount;
-        return B.lastVisitTime - A.lastVisitTime;
-      });
-      pn.children = children.map(c => nodeObjects.get(c));
-    }
 
-    // 11) roots: parent == VIRTUAL_ROOT
-    const roots = [];
-    for (const url of urls) {
-      const p = parentMap.get(url) || VIRTUAL_ROOT;
-      if (p === VIRTUAL_ROOT) roots.push(nodeObjects.get(url));
+    // インライン統計を更新（履歴表示数を表示）
+    const historyCount = document.getElementById('historyCount');
+    if (historyCount) {
+      historyCount.textContent = this.allVisits.length;
     }
-    // 集計モードでもツリー全体の最新時刻でソート
-    roots.sort((a, b) => {
-      const aLatest = this.getLatestVisitTimeInTree(a);
-      const bLatest = this.getLatestVisitTimeInTree(b);
-      return bLatest - aLatest; // 新しい順
-    });
-
-    if (PARAMS.DEBUG) console.log(`AggregatedTree built: ${nodesList.length-1} URLs, roots: ${roots.length}`);
-    return roots;
   }
 
-  // Beta機能：高度なナビゲーション解析によるツリー構築
-  buildBetaTree() {
-    console.log('=== Beta Tree Mode: 高度なナビゲーション解析開始 ===');
-
-    // 基本的な訪問マップを作成
-    const visitMap = new Map();
-    for (const visit of this.allVisits) {
-      visitMap.set(visit.visitId, { ...visit, children: [], betaRelations: [] });
-    }
-
-    const processedVisits = new Set();
-    const betaRelations = []; // Beta機能で検出された関係
-
-    // 1. 基本的な親子関係（referringVisitIdベース）を構築
-    for (const visit of visitMap.values()) {
-      if (visit.referringVisitId && visitMap.has(visit.referringVisitId)) {
-        const parent = visitMap.get(visit.referringVisitId);
-        parent.children.push(visit);
-        visit.betaRelations.push({
-          type: 'referring_visit',
-          confidence: 1.0,
-          parentVisitId: visit.referringVisitId
-        });
-        processedVisits.add(visit.visitId);
-      }
-    }
-
-    // 2. 孤立した訪問に対してBeta機能を適用
-    const orphanVisits = Array.from(visitMap.values()).filter(visit =>
-      !visit.referringVisitId || !visitMap.has(visit.referringVisitId)
-    );
-
-    console.log(`孤立した訪問: ${orphanVisits.length}個 / 全訪問: ${this.allVisits.length}個`);
-
-    for (const orphan of orphanVisits) {
-      if (processedVisits.has(orphan.visitId)) continue;
-
-      let bestParent = null;
-      let bestRelation = null;
-      let bestScore = 0;
-
-      // 2.1 新しいタブで開かれた関係を検出
-      const newTabRelation = this.navigationTracker.findNewTabParent(
-        orphan.url,
-        orphan.visitTime,
-        orphan.tabId
-      );
-
-      if (newTabRelation && newTabRelation.confidence > 0.6) {
-        const parentVisit = this.findVisitByUrl(newTabRelation.parentUrl, orphan.visitTime, visitMap);
-        if (parentVisit && newTabRelation.confidence > bestScore) {
-          bestParent = parentVisit;
-          bestRelation = {
-            type: 'new_tab',
-            confidence: newTabRelation.confidence,
-            parentUrl: newTabRelation.parentUrl,
-            details: newTabRelation
-          };
-          bestScore = newTabRelation.confidence;
-        }
-      }
-
-      // 2.2 戻る動作を検出
-      const backNavigation = this.navigationTracker.detectBackNavigation(
-        orphan.url,
-        orphan.visitTime,
-        orphan.tabId
-      );
-
-      if (backNavigation && backNavigation.confidence > bestScore) {
-        // 戻る動作の場合、過去の同じURLへの訪問を親として設定
-        const previousVisit = this.findPreviousSameUrlVisit(orphan, visitMap);
-        if (previousVisit) {
-          bestParent = previousVisit;
-          bestRelation = {
-            type: 'back_navigation',
-            confidence: backNavigation.confidence,
-            details: backNavigation
-          };
-          bestScore = backNavigation.confidence;
-        }
-      }
+  async filterAndRenderData({ preserveScroll = false } = {}) {
+    // 表示モードと検索語に応じたツリーを Worker で構築（古い要求の結果は描画しない）
+    const requestId = this.nextBuildRequestId++;
+    this.latestBuildRequestId = requestId;
+    this.setBuildSpinner(true);
 
-      // 2.3 階層移動を検出
-      for (const candidateParent of visitMap.values()) {
-        if (candidateParent.visitId === orphan.visitId) continue;
-        if (Math.abs(candidateParent.visitTime - orphan.visitTime) > 300000) continue; // 5分以内
-
-        const hierarchyRelation = this.navigationTracker.detectHierarchyNavigation(
-          candidateParent.url,
-          orphan.url,
-          orphan.visitTime
-        );
-
-        if (hierarchyRelation && hierarchyRelation.confidence > bestScore) {
-          bestParent = candidateParent;
-          bestRelation = {
-            type: 'hierarchy_navigation',
-            confidence: hierarchyRelation.confidence,
-            parentUrl: candidateParent.url,
-            details: hierarchyRelation
-          };
-          bestScore = hierarchyRelation.confidence;
-        }
+    try {
+      const mode = this.viewMode === 'graph' ? this.graphSource : this.viewMode === 'timeline' ? 'chronological' : this.viewMode;
+      // タイムラインは選んだ期間の外も表示する（期間は重ねて表示）
+      const timeRange = this.viewMode === 'timeline' ? null : this.timeRange;
+      const { roots, sessions } = await this.requestTreeBuild(requestId, mode, this.currentSearchTerm, timeRange);
+      if (requestId !== this.latestBuildRequestId) return;
+
+      // データをそのまま表示（ページネーションは時間範囲で行う）
+      this.updateSessionFilterOptions(sessions);
+      if (this.viewMode === 'graph') {
+        this.renderGraph(roots, { preserveView: preserveScroll });
+      } else if (this.viewMode === 'timeline') {
+        this.renderTimeline(roots, { preserveView: preserveScroll });
+      } else {
+        this.renderTree(roots, { preserveScroll, sessions });
       }
-
-      // 2.4 時系列パターン（短時間での同一URL再訪問）
-      const timeBasedRelation = this.detectTimeBasedPattern(orphan, visitMap);
-      if (timeBasedRelation && timeBasedRelation.confidence > bestScore) {
-        bestParent = timeBasedRelation.parent;
-        bestRelation = {
-          type: 'time_based_pattern',
-          confidence: timeBasedRelation.confidence,
-          details: timeBasedRelation
-        };
-        bestScore = timeBasedRelation.confidence;
+      if (document.getElementById('loading').style.display === 'none') {
+        this.updateViewContainers();
       }
+      this.updatePageInputs();
+      this.updateSearchRange();
+    } catch (error) {
+      if (requestId !== this.latestBuildRequestId) return;
 
-      // 3. 最適な親子関係を設定
-      if (bestParent && bestScore > 0.3) { // 最低信頼度30%
-        bestParent.children.push(orphan);
-        orphan.betaRelations.push(bestRelation);
-        processedVisits.add(orphan.visitId);
-
-        betaRelations.push({
-          child: orphan,
-          parent: bestParent,
-          relation: bestRelation
-        });
-
-        console.log(`Beta関係検出: ${bestRelation.type} (信頼度: ${bestScore.toFixed(2)}) ${bestParent.title || bestParent.url} -> ${orphan.title || orphan.url}`);
+      const errorElement = document.getElementById('error');
+      errorElement.style.display = 'block';
+      errorElement.innerHTML = `<strong>エラー:</strong> ツリーの構築に失敗しました。<br>${error.message}`;
+    } finally {
+      if (requestId === this.latestBuildRequestId) {
+        this.setBuildSpinner(false);
       }
     }
+  }
 
-    // 4. Beta特殊機能：全ドメインでルートドメインを生成
-    this.generateRootDomainsForAllUrls(visitMap, processedVisits);
-
-    // 5. ルートノードを抽出（親を持たない訪問）
-    const roots = Array.from(visitMap.values()).filter(visit => {
-      // 他の訪問の子要素になっていない訪問がルート
-      return !Array.from(visitMap.values()).some(parent =>
-        parent.children.includes(visit)
-      );
-    });
-
-    // 5. 子要素を時刻順でソート
-    const sortChildren = (node) => {
-      if (node.children.length > 0) {
-        node.children.sort((a, b) => b.visitTime - a.visitTime);
-        node.children.forEach(sortChildren);
-      }
-    };
-    roots.forEach(sortChildren);
-
-    // 7. Beta特殊機能：同じ階層の重複URLをマージ
-    this.mergeDuplicateUrlsInBetaTree(roots);
-
-    // 8. ルートノードを最新の履歴時刻でソート（ツリー全体を考慮）
-    roots.sort((a, b) => {
-      const aLatest = this.getLatestVisitTimeInTree(a);
-      const bLatest = this.getLatestVisitTimeInTree(b);
-      return bLatest - aLatest; // 新しい順
+  // Worker にツリー構築を依頼
+  requestTreeBuild(requestId, mode, searchTerm, timeRange = null) {
+    return new Promise((resolve, reject) => {
+      this.pendingBuilds.set(requestId, { resolve, reject });
+      this.treeWorker.postMessage({
+        type: 'build',
+        requestId,
+        mode,
+        searchTerm,
+        timeRange,
+        sessionGapMs: this.sessionGapMinutes * 60 * 1000,
+        sessionId: this.sessionFilterId
+      });
     });
-
-    console.log(`=== Beta Tree 構築完了 ===`);
-    console.log(`ルートノード: ${roots.length}個`);
-    console.log(`検出された関係: ${betaRelations.length}個`);
-    console.log(`関係タイプ別:`, this.summarizeBetaRelations(betaRelations));
-
-    return roots;
   }
 
-  // ツリー全体から最新の訪問時刻を取得
-  getLatestVisitTimeInTree(node) {
-    let latestTime = node.visitTime;
+  handleTreeWorkerMessage(message) {
+    const pending = this.pendingBuilds.get(message.requestId);
+    if (!pending) return;
+    this.pendingBuilds.delete(message.requestId);
 
-    // 子ノードも再帰的にチェック
-    if (node.children && node.children.length > 0) {
-      for (const child of node.children) {
-        const childLatest = this.getLatestVisitTimeInTree(child);
-        if (childLatest > latestTime) {
-          latestTime = childLatest;
-        }
-      }
+    if (message.type === 'built') {
+      pending.resolve({ roots: message.roots, sessions: message.sessions });
+    } else {
+      pending.reject(new Error(message.message));
     }
-
-    return latestTime;
   }
 
-  // Beta専用：同じ階層の重複URLをマージ
-  mergeDuplicateUrlsInBetaTree(nodes) {
-    console.log('=== Beta Tree: 同じ階層の重複URL統合開始 ===');
-
-    this.mergeDuplicateUrlsInLevel(nodes);
-
-    // 子ノードも再帰的に処理
-    for (const node of nodes) {
-      if (node.children && node.children.length > 0) {
-        this.mergeDuplicateUrlsInLevel(node.children);
-        this.mergeDuplicateUrlsInBetaTree(node.children);
-      }
+  rejectPendingBuilds(error) {
+    for (const pending of this.pendingBuilds.values()) {
+      pending.reject(error);
     }
-
-    console.log('=== Beta Tree: 重複URL統合完了 ===');
+    this.pendingBuilds.clear();
   }
 
-  // 同じ階層内で重複するURLをマージ
-  mergeDuplicateUrlsInLevel(nodes) {
-    if (!nodes || nodes.length <= 1) return;
-
-    const urlGroups = new Map(); // URL -> ノード配列
-
-    // 同じURLのノードをグループ化
-    for (const node of nodes) {
-      if (!urlGroups.has(node.url)) {
-        urlGroups.set(node.url, []);
-      }
-      urlGroups.get(node.url).push(node);
-    }
-
-    // 重複があるURLのみ処理
-    for (const [url, duplicateNodes] of urlGroups) {
-      if (duplicateNodes.length > 1) {
-        console.log(`重複URL統合: ${url} (${duplicateNodes.length}個のノード)`);
-
-        // 最新の訪問時刻を持つノードを主ノードとして選択
-        const mainNode = duplicateNodes.reduce((latest, current) =>
-          current.visitTime > latest.visitTime ? current : latest
-        );
-
-        // 他のノードの子要素と関係情報を主ノードに統合
-        for (const duplicateNode of duplicateNodes) {
-          if (duplicateNode === mainNode) continue;
-
-          // 子要素をマージ
-          if (duplicateNode.children && duplicateNode.children.length > 0) {
-            if (!mainNode.children) mainNode.children = [];
-            mainNode.children.push(...duplicateNode.children);
-          }
-
-          // Beta関係情報をマージ
-          if (duplicateNode.betaRelations && duplicateNode.betaRelations.length > 0) {
-            if (!mainNode.betaRelations) mainNode.betaRelations = [];
-            mainNode.betaRelations.push(...duplicateNode.betaRelations);
-          }
-
-          // 重複ノードをnodesから削除
-          const index = nodes.indexOf(duplicateNode);
-          if (index > -1) {
-            nodes.splice(index, 1);
-          }
-        }
-
-        // 主ノードに統合情報を追加
-        if (duplicateNodes.length > 1) {
-          mainNode.isBetaMerged = true;
-          mainNode.betaMergedCount = duplicateNodes.length;
-          mainNode.betaMergedVisits = duplicateNodes.map(node => ({
-            visitId: node.visitId,
-            visitTime: node.visitTime,
-            transition: node.transition
-          }));
-        }
-
-        // 子要素を時刻順でソート
-        if (mainNode.children && mainNode.children.length > 0) {
-          mainNode.children.sort((a, b) => b.visitTime - a.visitTime);
-
-          // 子要素レベルでも重複をチェック
-          this.mergeDuplicateUrlsInLevel(mainNode.children);
-        }
-      }
+  // ツリー構築中のスピナー表示
+  setBuildSpinner(isBuilding) {
+    const spinner = document.getElementById('buildSpinner');
+    if (spinner) {
+      spinner.style.display = isBuilding ? 'inline-block' : 'none';
     }
   }
 
-  // Beta特殊機能：全ドメインでルートドメインを生成
-  generateRootDomainsForAllUrls(visitMap, processedVisits) {
-    console.log('=== 全ドメイン用ルートドメイン生成開始 ===');
-
-    const generatedRoots = new Map(); // ドメイン -> 生成されたルートノード
-    const domainGroups = new Map(); // ドメイン -> 訪問リスト
-
-    // 1. まず各ドメインごとに訪問をグループ化
-    for (const visit of visitMap.values()) {
-      try {
-        const url = new URL(visit.url);
-        const hostname = url.hostname;
-
-        if (!domainGroups.has(hostname)) {
-          domainGroups.set(hostname, []);
-        }
-        domainGroups.get(hostname).push(visit);
-      } catch (error) {
-        // 無効なURLの場合はスキップ
-        console.warn(`URL解析エラー: ${visit.url}`, error);
-      }
-    }
-
-    // 2. 各ドメインで処理
-    for (const [hostname, visits] of domainGroups) {
-      // ドメイン内で親子関係がない（孤立した）訪問を特定
-      // ただし、既にツリー構造がある場合は最上位の親のみを対象とする
-      const orphanVisits = visits.filter(visit => {
-        // まだ処理されていない訪問のみ
-        if (processedVisits.has(visit.visitId)) return false;
-
-        // 他の訪問の子になっていない訪問（= 最上位の親または孤立）
-        const isTopLevel = !visits.some(otherVisit =>
-          otherVisit.children && otherVisit.children.includes(visit)
-        );
-
-        return isTopLevel;
-      });
-
-      if (orphanVisits.length === 0) continue;
-
-      // ドメインのルートURL（ホームページ）を構築
-      const rootUrl = `https://${hostname}`;
-
-      // 既存のルートページ（ホームページ）があるかチェック
-      const existingRootVisit = visits.find(visit => {
-        try {
-          const visitUrl = new URL(visit.url);
-          return visitUrl.pathname === '/' && visitUrl.search === '' && visitUrl.hash === '';
-        } catch {
-          return false;
-        }
-      });
-
-      // 複数の孤立した訪問がある場合、またはルートページが存在しない場合にルートドメインを生成
-      // ただし、単一の孤立した訪問でも、それが既にツリー構造を持っている場合は対象とする
-      const hasTreeStructure = orphanVisits.some(visit => visit.children && visit.children.length > 0);
-      const shouldGenerateRoot = orphanVisits.length > 1 || !existingRootVisit || hasTreeStructure;
-
-      if (shouldGenerateRoot) {
-        let rootNode = generatedRoots.get(hostname);
-
-        if (!rootNode) {
-          if (existingRootVisit) {
-            // 既存のルートページを使用
-            rootNode = existingRootVisit;
-            console.log(`既存のルートページを使用: ${rootUrl}`);
-          } else {
-            // 新しいルートドメインノードを生成
-            const rootVisitId = `generated_root_${hostname}_${Date.now()}`;
-
-            // 最初の訪問時間を基準にルートの時間を設定
-            const earliestVisit = orphanVisits.reduce((earliest, current) =>
-              current.visitTime < earliest.visitTime ? current : earliest
-            );
-
-            rootNode = {
-              visitId: rootVisitId,
-              url: rootUrl,
-              title: this.generateRootDomainTitle(hostname),
-              visitTime: earliestVisit.visitTime - 1000, // 最初の訪問より少し前
-              referringVisitId: null,
-              transition: 'generated',
-              favicon: `https://www.google.com/s2/favicons?domain=${hostname}&sz=16`,
-              children: [],
-              betaRelations: [],
-              isGeneratedRoot: true
-            };
-
-            visitMap.set(rootVisitId, rootNode);
-            console.log(`新しいルートドメインを生成: ${rootUrl}`);
-          }
-
-          generatedRoots.set(hostname, rootNode);
-        }
+  renderTree(nodes, { preserveScroll = false, sessions = null } = {}) {
+    const container = document.getElementById('tree');
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const containerScrollLeft = container.scrollLeft;
 
-        // 孤立した訪問をルートドメインの子にする
-        for (const orphanVisit of orphanVisits) {
-          // ただし、既にルートページとして使用している場合は除外
-          if (orphanVisit === rootNode) continue;
-
-          rootNode.children.push(orphanVisit);
-          orphanVisit.betaRelations.push({
-            type: 'generated_root_domain',
-            confidence: 1.0,
-            parentUrl: rootUrl,
-            details: {
-              domain: hostname,
-              isGenerated: !existingRootVisit || rootNode.isGeneratedRoot,
-              reason: 'domain_organization'
-            }
-          });
-
-          processedVisits.add(orphanVisit.visitId);
-
-          console.log(`URLを${hostname}ルートドメインの子に設定: ${orphanVisit.url}`);
-        }
-      }
-    }
+    this.treeNodes = nodes;
+    this.treeSessions = sessions;
 
-    console.log(`=== 全ドメイン用ルートドメイン生成完了: ${generatedRoots.size}個のルートドメイン ===`);
-  }  // ルートドメインのタイトルを生成
-  generateRootDomainTitle(hostname) {
-    const domainTitles = {
-      'www.google.com': 'Google',
-      'google.com': 'Google',
-      'search.yahoo.com': 'Yahoo!検索',
-      'www.yahoo.com': 'Yahoo!',
-      'yahoo.com': 'Yahoo!',
-      'www.bing.com': 'Bing',
-      'bing.com': 'Bing',
-      'duckduckgo.com': 'DuckDuckGo',
-      'www.youtube.com': 'YouTube',
-      'youtube.com': 'YouTube',
-      'www.facebook.com': 'Facebook',
-      'facebook.com': 'Facebook',
-      'www.twitter.com': 'Twitter',
-      'twitter.com': 'Twitter',
-      'x.com': 'X (Twitter)',
-      'www.instagram.com': 'Instagram',
-      'instagram.com': 'Instagram',
-      'www.linkedin.com': 'LinkedIn',
-      'linkedin.com': 'LinkedIn',
-      'github.com': 'GitHub',
-      'www.github.com': 'GitHub',
-      'stackoverflow.com': 'Stack Overflow',
-      'www.amazon.com': 'Amazon',
-      'amazon.com': 'Amazon',
-      'www.amazon.co.jp': 'Amazon Japan',
-      'amazon.co.jp': 'Amazon Japan',
-      'www.wikipedia.org': 'Wikipedia',
-      'ja.wikipedia.org': 'Wikipedia (日本語)',
-      'en.wikipedia.org': 'Wikipedia (English)',
-      'www.reddit.com': 'Reddit',
-      'reddit.com': 'Reddit',
-      'qiita.com': 'Qiita',
-      'zenn.dev': 'Zenn'
-    };
-
-    // 既知のドメインの場合は専用タイトルを返す
-    if (domainTitles[hostname]) {
-      return domainTitles[hostname];
+    if (nodes.length === 0) {
+      this.treeRows = [];
+      container.innerHTML = '<div class="loading">該当する履歴が見つかりませんでした。</div>';
+      return;
     }
 
-    // 未知のドメインの場合は、ドメイン名から推測してタイトルを生成
-    const parts = hostname.split('.');
+    this.refreshTreeRows();
 
-    // www.example.com -> Example、subdomain.example.com -> Example のような形式
-    let baseDomain = parts[parts.length - 2]; // example部分を取得
-
-    if (baseDomain) {
-      // 最初の文字を大文字にする
-      return baseDomain.charAt(0).toUpperCase() + baseDomain.slice(1);
+    // ライブ更新時はスクロール位置を元に戻す
+    if (preserveScroll) {
+      container.scrollLeft = containerScrollLeft;
+      window.scrollTo(scrollX, scrollY);
     }
-
-    // フォールバック：そのままホスト名を返す
-    return hostname;
-  }
-
-  // URLに基づいて訪問を検索
-  findVisitByUrl(url, referenceTime, visitMap, timeWindow = 10000) {
-    const candidates = Array.from(visitMap.values()).filter(visit =>
-      visit.url === url &&
-      Math.abs(visit.visitTime - referenceTime) < timeWindow
-    );
-
-    if (candidates.length === 0) return null;
-
-    // 参照時刻に最も近い訪問を返す
-    candidates.sort((a, b) =>
-      Math.abs(a.visitTime - referenceTime) - Math.abs(b.visitTime - referenceTime)
-    );
-
-    return candidates[0];
-  }
-
-  // 過去の同じURLへの訪問を検索
-  findPreviousSameUrlVisit(visit, visitMap) {
-    const candidates = Array.from(visitMap.values()).filter(candidate =>
-      candidate.url === visit.url &&
-      candidate.visitTime < visit.visitTime &&
-      candidate.visitTime > visit.visitTime - 300000 // 5分以内
-    );
-
-    if (candidates.length === 0) return null;
-
-    // 最も近い過去の訪問を返す
-    candidates.sort((a, b) => b.visitTime - a.visitTime);
-    return candidates[0];
   }
 
-  // 時系列パターンを検出
-  detectTimeBasedPattern(visit, visitMap) {
-    // 同じURLへの短時間での再訪問パターン
-    const sameUrlVisits = Array.from(visitMap.values()).filter(candidate =>
-      candidate.url === visit.url &&
-      candidate.visitId !== visit.visitId &&
-      Math.abs(candidate.visitTime - visit.visitTime) < 30000 // 30秒以内
-    );
-
-    if (sameUrlVisits.length > 0) {
-      const closestVisit = sameUrlVisits.reduce((closest, current) =>
-        Math.abs(current.visitTime - visit.visitTime) <
-        Math.abs(closest.visitTime - visit.visitTime) ? current : closest
-      );
-
-      const timeDiff = Math.abs(closestVisit.visitTime - visit.visitTime);
-      const confidence = Math.max(0.4, 1 - (timeDiff / 30000));
-
-      return {
-        parent: closestVisit,
-        confidence: confidence,
-        timeDiff: timeDiff,
-        patternType: 'same_url_revisit'
-      };
-    }
-
-    // 遷移タイプベースのパターン検出
-    if (visit.transition) {
-      const transitionScores = {
-        'reload': 0.8,          // リロードは高い関連性
-        'auto_bookmark': 0.6,   // ブックマークからは中程度
-        'typed': 0.4,           // 直接入力は低め
-        'form_submit': 0.7      // フォーム送信は高め
-      };
-
-      const score = transitionScores[visit.transition];
-      if (score) {
-        // 直前の訪問を親候補として検索
-        const recentVisits = Array.from(visitMap.values()).filter(candidate =>
-          candidate.visitTime < visit.visitTime &&
-          candidate.visitTime > visit.visitTime - 60000 && // 1分以内
-          candidate.visitId !== visit.visitId
-        );
-
-        if (recentVisits.length > 0) {
-          const mostRecent = recentVisits.reduce((recent, current) =>
-            current.visitTime > recent.visitTime ? current : recent
-          );
-
-          return {
-            parent: mostRecent,
-            confidence: score,
-            patternType: `transition_${visit.transition}`
-          };
+  // 折りたたみの状態に合わせて表示する行を作り直す（DOM に作るのは画面付近の行だけ）
+  refreshTreeRows() {
+    if (this.treeNodes.length === 0) return; // 「見つかりませんでした」の表示中
+    if (!this.virtualTree) {
+      this.virtualTree = new VirtualTreeRenderer(document.getElementById('tree'), {
+        renderRow: (row) => this.createTreeRow(row),
+        getRowKey: (row) => this.getRowKey(row),
+        estimateRowHeight: (row) => {
+          if (row.type === 'session') return 44;
+          return row.node.url && row.node.url !== row.node.title ? 52 : 34;
         }
-      }
-    }
-
-    return null;
-  }
-
-  // Beta関係の統計情報を作成
-  summarizeBetaRelations(betaRelations) {
-    const summary = {};
-    for (const rel of betaRelations) {
-      const type = rel.relation.type;
-      if (!summary[type]) {
-        summary[type] = 0;
-      }
-      summary[type]++;
-    }
-    return summary;
-  }
-
-  // 最適なツリー構造を構築
-  buildOptimalTree(urlVisitMap, urlTransitions) {
-    const nodes = new Map();
-    const childToParent = new Map(); // 子→親の関係を記録
-    const parentToChildren = new Map(); // 親→子の関係を記録
-
-    // 各URLのノードを作成
-    for (const [url, urlInfo] of urlVisitMap) {
-      nodes.set(url, {
-        url: urlInfo.url,
-        title: urlInfo.title,
-        favicon: urlInfo.favicon,
-        visitTime: urlInfo.lastVisitTime, // 表示用は最後の訪問時間
-        visitCount: urlInfo.visitCount,
-        children: []
       });
-      parentToChildren.set(url, []);
-    }
-
-    // 全ての遷移関係を分析して最適な親子関係を決定
-    const allTransitions = [];
-    for (const [fromUrl, transitions] of urlTransitions) {
-      for (const [toUrl, transitionInfo] of transitions) {
-        allTransitions.push({
-          from: fromUrl,
-          to: toUrl,
-          count: transitionInfo.count,
-          firstTime: transitionInfo.firstTime,
-          lastTime: transitionInfo.lastTime
-        });
-      }
     }
-
-    // 遷移を優先度順にソート（回数多い順、同じなら早い順）
-    allTransitions.sort((a, b) => {
-      if (b.count !== a.count) {
-        return b.count - a.count; // 回数の多い順
-      }
-      return a.firstTime - b.firstTime; // 時間の早い順
-    });
-
-    // 循環参照を避けながら最適な親子関係を構築
-    for (const transition of allTransitions) {
-      const { from, to, count } = transition;
-
-      // 既に親子関係が逆向きに存在しないか確認
-      if (!this.wouldCreateCycle(from, to, childToParent)) {
-        // 子が既に他の親を持っていない場合、または現在の関係の方が強い場合
-        const currentParent = childToParent.get(to);
-        if (!currentParent || this.shouldReplaceParent(from, currentParent, to, urlTransitions)) {
-          // 既存の親子関係を削除
-          if (currentParent) {
-            const currentParentChildren = parentToChildren.get(currentParent);
-            const index = currentParentChildren.indexOf(to);
-            if (index > -1) {
-              currentParentChildren.splice(index, 1);
-            }
-          }
-
-          // 新しい親子関係を設定
-          childToParent.set(to, from);
-          parentToChildren.get(from).push(to);
-        }
-      }
-    }
-
-    // ノードに子要素を設定
-    for (const [parentUrl, childUrls] of parentToChildren) {
-      const parentNode = nodes.get(parentUrl);
-      if (parentNode) {
-        // 子ノードを追加（訪問回数順、同じなら時間順）
-        const childNodes = childUrls
-          .map(childUrl => nodes.get(childUrl))
-          .filter(child => child)
-          .sort((a, b) => {
-            const aTransition = urlTransitions.get(parentUrl)?.get(a.url);
-            const bTransition = urlTransitions.get(parentUrl)?.get(b.url);
-
-            if (aTransition && bTransition) {
-              if (bTransition.count !== aTransition.count) {
-                return bTransition.count - aTransition.count;
-              }
-              return aTransition.firstTime - bTransition.firstTime;
-            }
-            return b.visitTime - a.visitTime;
-          });
-
-        parentNode.children = childNodes;
-      }
-    }
-
-    // ルートノード（親を持たない）を取得
-    const rootUrls = Array.from(nodes.keys()).filter(url => !childToParent.has(url));
-
-    // 孤立したノード（親も子も持たない）に対してURL階層分析を適用
-    const orphanUrls = rootUrls.filter(url => parentToChildren.get(url).length === 0);
-
-    // さらに、全てのルートノード間でもURL階層分析を適用してツリー合体を検討
-    console.log(`全ルートノード ${rootUrls.length} 個に対してURL階層分析を実行...`);
-    console.log(`うち孤立ノード: ${orphanUrls.length} 個`);
-
-    if (rootUrls.length > 1) {
-      // URL階層から親子関係を推定（全ルートノードを対象）
-      const inferredRelations = this.inferParentFromURL(rootUrls, urlVisitMap);
-
-      // 推定された関係を適用（スコアの高い順、より多くの関係を検討）
-      for (const relation of inferredRelations.slice(0, Math.min(25, inferredRelations.length))) {
-        const { parent: parentUrl, child: childUrl, score } = relation;
-
-        // 循環参照チェック
-        if (!this.wouldCreateCycle(parentUrl, childUrl, childToParent)) {
-          const currentParent = childToParent.get(childUrl);
-
-          // 以下の場合に親子関係を設定/更新：
-          // 1. 子が現在親を持っていない場合
-          // 2. より高いスコアの関係が見つかった場合（スコア50以上なら適用を検討）
-          // 3. 確実な階層関係（スコア800以上）なら強制適用
-          let shouldApply = false;
-          let reason = '';
-
-          if (!currentParent) {
-            shouldApply = true;
-            reason = '現在親なし';
-          } else if (score >= 800) {
-            // ルートページなどの確実な階層関係は既存関係を上書き
-            shouldApply = true;
-            reason = `確実な階層関係(${score})で既存関係を上書き`;
-          } else if (score >= 100) {
-            // かなり良いスコアの場合も上書きを検討
-            shouldApply = true;
-            reason = `高スコア(${score})で既存関係を上書き`;
-          } else if (score >= 50) {
-            // 中程度のスコアでも、孤立ノード同士なら積極的に合体
-            const parentHasNoChildren = parentToChildren.get(parentUrl).length === 0;
-            const childIsOrphan = orphanUrls.includes(childUrl);
-
-            if (parentHasNoChildren || childIsOrphan) {
-              shouldApply = true;
-              reason = `中スコア(${score})で孤立ノード同士を合体`;
-            }
-          }
-
-          if (shouldApply) {
-            // 既存の親子関係を削除（存在する場合）
-            if (currentParent) {
-              const currentParentChildren = parentToChildren.get(currentParent);
-              const index = currentParentChildren.indexOf(childUrl);
-              if (index > -1) {
-                currentParentChildren.splice(index, 1);
-                // 元の親ノードからも子を削除
-                const oldParentNode = nodes.get(currentParent);
-                if (oldParentNode) {
-                  const childIndex = oldParentNode.children.findIndex(child => child.url === childUrl);
-                  if (childIndex > -1) {
-                    oldParentNode.children.splice(childIndex, 1);
-                  }
-                }
-              }
-            }
-
-            // 新しい親子関係を設定
-            childToParent.set(childUrl, parentUrl);
-            parentToChildren.get(parentUrl).push(childUrl);
-
-            // ノードの子要素を更新
-            const parentNode = nodes.get(parentUrl);
-            const childNode = nodes.get(childUrl);
-            if (parentNode && childNode) {
-              parentNode.children.push(childNode);
-              console.log(`URL階層分析により ${parentUrl} → ${childUrl} の関係を追加 (${reason})`);
-            }
-          }
-        }
-      }
-    }
-
-    // 親子関係の逆転チェック - 子の方が親として適切な場合は関係を逆転
-    console.log('\n=== 親子関係の逆転チェックを実行 ===');
-    const relationsToReverse = [];
-
-    for (const [childUrl, parentUrl] of childToParent) {
-      const childInfo = urlVisitMap.get(childUrl);
-      const parentInfo = urlVisitMap.get(parentUrl);
-
-      if (childInfo && parentInfo) {
-        const shouldReverse = this.shouldReverseParentChild(childUrl, parentUrl, urlVisitMap);
-        if (shouldReverse) {
-          relationsToReverse.push({ currentChild: childUrl, currentParent: parentUrl });
-          console.log(`関係逆転候補: ${childUrl} が ${parentUrl} より適切な親`);
-        }
-      }
-    }
-
-    // 逆転を実行
-    for (const { currentChild, currentParent } of relationsToReverse) {
-      // 循環参照を避けるため、逆転後に問題がないかチェック
-      if (!this.wouldCreateCycleAfterReverse(currentChild, currentParent, childToParent)) {
-        this.reverseParentChildRelation(currentChild, currentParent, childToParent, parentToChildren, nodes);
-        console.log(`関係を逆転: ${currentChild} → ${currentParent}`);
-      } else {
-        console.log(`循環参照のため逆転をスキップ: ${currentChild} ↔ ${currentParent}`);
-      }
-    }
-
-    // 最終的なルートノードを取得
-    const finalRootUrls = Array.from(nodes.keys()).filter(url => !childToParent.has(url));
-    const rootNodes = finalRootUrls
-      .map(url => nodes.get(url))
-      .sort((a, b) => b.visitTime - a.visitTime); // 時間順（新しい順）
-
-    console.log(`集計モード: ${nodes.size}個のURL、${finalRootUrls.length}個のルートノード`);
-
-    return rootNodes;
-  }
-
-  // 循環参照チェック
-  wouldCreateCycle(from, to, childToParent) {
-    let current = from;
-    while (current) {
-      if (current === to) {
-        return true; // 循環が発生する
-      }
-      current = childToParent.get(current);
-    }
-    return false;
-  }
-
-  // より強い親子関係かどうか判定
-  shouldReplaceParent(newParent, currentParent, child, urlTransitions) {
-    const newTransition = urlTransitions.get(newParent)?.get(child);
-    const currentTransition = urlTransitions.get(currentParent)?.get(child);
-
-    if (!newTransition || !currentTransition) {
-      return !!newTransition; // 新しい遷移が存在すれば置き換え
-    }
-
-    // 遷移回数で比較
-    if (newTransition.count !== currentTransition.count) {
-      return newTransition.count > currentTransition.count;
-    }
-
-    // 同じ回数なら時間で比較（早い方を優先）
-    return newTransition.firstTime < currentTransition.firstTime;
-  }
-
-  // URLの階層構造から親子関係を推定（孤立ノード用）
-  inferParentFromURL(orphanNodes, urlVisitMap) {
-    const urlHierarchy = new Map();
-
-    // 各URLを解析してパス階層を構築
-    for (const [url, urlInfo] of urlVisitMap) {
-      try {
-        const urlObj = new URL(url);
-        const pathParts = urlObj.pathname.split('/').filter(part => part.length > 0);
-        const domain = urlObj.hostname;
-
-        urlHierarchy.set(url, {
-          domain: domain,
-          pathParts: pathParts,
-          depth: pathParts.length,
-          url: url,
-          urlInfo: urlInfo
-        });
-      } catch (error) {
-        // 無効なURLの場合はスキップ
-        continue;
-      }
-    }
-
-    // 孤立ノードに対して階層的な親を見つける
-    const newRelations = [];
-
-    for (const orphanUrl of orphanNodes) {
-      const orphan = urlHierarchy.get(orphanUrl);
-      if (!orphan) continue;
-
-      console.log(`\n=== 孤立ノードの親を検索: ${orphanUrl} ===`);
-      console.log(`ドメイン: ${orphan.domain}, パス: [${orphan.pathParts.join(', ')}], 深さ: ${orphan.depth}`);
-
-      let bestParent = null;
-      let bestScore = -1;
-
-      // 他のURLと比較して最適な親を見つける
-      for (const [candidateUrl, candidate] of urlHierarchy) {
-        if (candidateUrl === orphanUrl) continue;
-
-        const score = this.calculateParentScore(orphan, candidate);
-        if (score > 0) {
-          console.log(`  候補: ${candidateUrl} -> スコア: ${score}`);
-          console.log(`    パス: [${candidate.pathParts.join(', ')}], 深さ: ${candidate.depth}`);
-        }
-
-        if (score > bestScore) {
-          bestScore = score;
-          bestParent = candidate;
-        }
-      }
-
-      console.log(`  最適な親: ${bestParent ? bestParent.url : 'なし'} (スコア: ${bestScore})`);
-
-      // 確実な階層関係または十分なスコアがあれば親子関係を追加
-      // 確実な階層関係の場合はスコア1000以上として判定
-      if (bestParent && (bestScore >= 1000 || bestScore > 0)) {
-        newRelations.push({
-          parent: bestParent.url,
-          child: orphanUrl,
-          score: bestScore,
-          type: bestScore >= 1000 ? 'url_hierarchy_certain' : 'url_hierarchy'
-        });
-      }
-    }
-
-    // スコア順にソートして返す
-    return newRelations.sort((a, b) => b.score - a.score);
+    this.treeRows = this.flattenTreeRows(this.treeNodes, this.treeSessions);
+    this.virtualTree.setRows(this.treeRows);
   }
 
-  // URLの親子関係スコアを計算
-  calculateParentScore(child, parent) {
-    // 同じドメインでない場合は0
-    if (child.domain !== parent.domain) {
-      return 0;
-    }
-
-    // 子の方が浅い場合は0
-    if (child.depth <= parent.depth) {
-      return 0;
-    }
-
-    let score = 0;
-
-    // パス接頭辞の一致度をチェック
-    const matchingParts = this.countMatchingPathParts(parent.pathParts, child.pathParts);
-
-    if (matchingParts === parent.pathParts.length && matchingParts > 0) {
-      // 完全なパス接頭辞マッチ - 確実な階層関係
-      score += 1000; // 確実性を示す高いスコア
-
-      // 深さの差が小さいほど高スコア（直接の親子関係を優先）
-      const depthDiff = child.depth - parent.depth;
-      score += Math.max(0, 100 - depthDiff * 5);
-
-      // 特定のパターンにボーナス
-      score += this.getUrlPatternBonus(parent.pathParts, child.pathParts);
-
-      console.log(`    確実な階層関係: ${parent.url} -> ${child.url} (スコア: ${score})`);
-    } else if (parent.pathParts.length === 0) {
-      // ルートページ（/）は同じドメインの全てのページの確実な親
-      score += 800; // 非常に高いスコアでルートページを親として優先
-      console.log(`    ルートページ親候補 (スコア: ${score})`);
-    } else if (matchingParts > 0) {
-      // 部分的なパス一致
-      score += matchingParts * 20;
-      console.log(`    部分的パス一致: ${matchingParts}個の共通パス (スコア: ${score})`);
+  // 行の要素（選択中の行の表示と、支援技術向けの属性をつける）
+  createTreeRow(row) {
+    const element = row.type === 'session' ? this.createSessionRow(row.session) : this.createHistoryItem(row);
+    element.id = this.getRowId(row);
+    element.setAttribute('role', 'treeitem');
+    if (row.type === 'session') {
+      element.setAttribute('aria-expanded', String(!this.collapsedKeys.has(`session:${row.session.id}`)));
     } else {
-      // 同じドメインで階層が浅い場合、潜在的な親として考慮
-      const depthDiff = child.depth - parent.depth;
-      if (depthDiff <= 3) { // 深さの差を3以下に緩和
-        score += Math.max(0, 60 - depthDiff * 10); // ベーススコアを60に大幅増加
-        console.log(`    同じドメインの浅い階層 (深さ差: ${depthDiff}, スコア: ${score})`);
-
-        // 特に親が浅い場合はさらにボーナス
-        if (parent.depth <= 1) {
-          score += 20; // 親が浅い場合のボーナス
-          console.log(`    浅い親へのボーナス (+20, 総スコア: ${score})`);
-        }
-      }
+      element.setAttribute('aria-level', String(row.depth + 1));
+      if (row.node.children.length > 0) element.setAttribute('aria-expanded', String(!row.isCollapsed));
     }
-
-    return score;
-  }
-
-  // パス部分の一致数を数える
-  countMatchingPathParts(parentParts, childParts) {
-    let matches = 0;
-    const minLength = Math.min(parentParts.length, childParts.length);
-
-    for (let i = 0; i < minLength; i++) {
-      if (parentParts[i] === childParts[i]) {
-        matches++;
-      } else {
-        break; // 接頭辞でなくなったら終了
-      }
+    if (this.getRowKey(row) === this.focusedRowKey) {
+      element.classList.add('tree-row-focused');
+      element.setAttribute('aria-selected', 'true');
+      document.getElementById('tree').setAttribute('aria-activedescendant', element.id);
     }
-
-    return matches;
+    return element;
   }
 
-  // URLパターンに基づくボーナススコア
-  getUrlPatternBonus(parentParts, childParts) {
-    let bonus = 0;
-
-    // よくあるパターンにボーナスを付与
-    if (parentParts.length > 0) {
-      const parentLast = parentParts[parentParts.length - 1].toLowerCase();
-
-      // カテゴリ系のパターン
-      if (['category', 'categories', 'tag', 'tags', 'section'].includes(parentLast)) {
-        bonus += 20;
-      }
-
-      // 商品・記事系のパターン
-      if (['products', 'items', 'posts', 'articles', 'blog'].includes(parentLast)) {
-        bonus += 20;
-      }
-
-      // ユーザー系のパターン
-      if (['user', 'users', 'profile', 'account'].includes(parentLast)) {
-        bonus += 15;
-      }
-    }
-
-    // 数値IDパターン（詳細ページ）
-    if (childParts.length > 0) {
-      const childLast = childParts[childParts.length - 1];
-      if (/^\d+$/.test(childLast) || /^[a-f0-9-]{8,}/.test(childLast)) {
-        bonus += 25; // ID的なものは詳細ページの可能性が高い
-      }
-    }
-
-    return bonus;
+  // 行の要素のID（aria-activedescendant 用）
+  getRowId(row) {
+    return row.type === 'session' ? `tree-row-session-${row.session.id}` : `tree-row-${row.treeId}`;
   }
 
-  // ページネーション関連のメソッド
-  updatePageInputs() {
-    ['pageTopInput', 'pageBottomInput'].forEach(id => {
-      document.getElementById(id).value = this.currentPage;
-    });
-
-    // ページ上限は無いので、単純に現在ページを表示
-    ['pageTopInfo', 'pageBottomInfo'].forEach(id => {
-      document.getElementById(id).textContent = '';
-    });
-  }  updateSearchRange() {
-    const startTime = this.searchStartTime;
-    const endTime = this.searchEndTime;
-
-    let rangeText = '-';
-    if (startTime && endTime) {
-      const startDate = new Date(startTime);
-      const endDate = new Date(endTime);
-      rangeText = `${this.formatTime(endDate)} ～ ${this.formatTime(startDate)}`;
-    }
-
-    ['searchRangeTop', 'searchRangeBottom'].forEach(id => {
-      document.getElementById(id).textContent = rangeText;
-    });
+  // 行が表すノード（またはセッション）のキー（行の高さの記録と、選択中の行の判定に使う）
+  getRowKey(row) {
+    return row.type === 'session' ? `session:${row.session.id}` : row.key;
   }
 
-  // 親と子が同じURL/タイトルの場合、重複する子を削除し孫を親に移す
-  removeDuplicateNodes(nodes) {
-    let removedCount = 0;
-
-    const processNode = (node) => {
-      // まず子ノードたちを再帰的に処理
-      const processedChildren = node.children.map(processNode);
-
-      // 現在のノードと同じURL/タイトルの子ノードを見つける
-      const duplicateChildren = [];
-      const uniqueChildren = [];
-
-      for (const child of processedChildren) {
-        if (this.isSameNode(node, child)) {
-          // 重複する子ノードの場合、その子たち（孫）を取得
-          duplicateChildren.push(...child.children);
-          removedCount++;
-          console.log(`重複ノードを削除: ${child.title || child.url} (${child.children.length}個の子を親に移動)`);
-        } else {
-          uniqueChildren.push(child);
+  // ツリーを、折りたたまれていない行の一覧にする
+  // 行: { type: 'node', node, key, treeId, depth, isLast, isFirst, isCollapsed, guides } または { type: 'session', session }
+  // guides[k] は深さ k+1 の祖先の後に兄弟が続くか（その階層の縦線を引くか）
+  flattenTreeRows(nodes, sessions) {
+    const rows = [];
+    const addNodes = (list, parentTreeId, depth, guides, start = 0, count = list.length) => {
+      for (let i = start; i < start + count; i++) {
+        const node = list[i];
+        const treeId = parentTreeId ? `${parentTreeId}-${i + 1}` : `${i + 1}`; // 1, 1-1, 1-2, 2-1-1...（ルートはセッションをまたいで通し番号）
+        const isLast = i === start + count - 1;
+        const key = this.getNodeKey(node);
+        const isCollapsed = this.collapsedKeys.has(key);
+        rows.push({ type: 'node', node, key, treeId, depth, isLast, isFirst: i === start, isCollapsed, guides });
+        if (node.children.length > 0 && !isCollapsed) {
+          addNodes(node.children, treeId, depth + 1, depth > 0 ? [...guides, !isLast] : guides);
         }
       }
-
-      // 重複しない子ノードと、重複した子の孫ノードを合わせる
-      const allChildren = [...uniqueChildren, ...duplicateChildren];
-
-      // 時刻順でソート（新しい順）
-      allChildren.sort((a, b) => b.visitTime - a.visitTime);
-
-      return {
-        ...node,
-        children: allChildren
-      };
-    };
-
-    const result = nodes.map(processNode);
-
-    if (removedCount > 0) {
-      console.log(`合計 ${removedCount} 個の重複ノードを削除しました`);
-    }
-
-    return result;
-  }
-
-  // 2つのノードが同じかどうかを判定
-  isSameNode(node1, node2) {
-    // URLが同じで、かつタイトルも同じ場合に重複と判定
-    // ただし、タイトルが空やURLと同じ場合は、URLだけで判定
-    const url1 = node1.url;
-    const url2 = node2.url;
-    const title1 = node1.title === node1.url ? '' : node1.title;
-    const title2 = node2.title === node2.url ? '' : node2.title;
-
-    if (url1 !== url2) {
-      return false;
-    }
-
-    // URLが同じ場合
-    if (!title1 || !title2) {
-      // どちらかのタイトルが空ならURLだけで判定
-      return true;
-    }
-
-    // 両方にタイトルがある場合はタイトルも比較
-    return title1 === title2;
-  }
-
-  calculateStats() {
-    const urlSet = new Set();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayStartTime = today.getTime();
-
-    let todayCount = 0;
-
-    for (const visit of this.allVisits) {
-      urlSet.add(visit.url);
-      if (visit.visitTime >= todayStartTime) {
-        todayCount++;
-      }
-    }
-
-    this.stats = {
-      totalSites: urlSet.size,
-      totalVisits: this.allVisits.length,
-      todayVisits: todayCount
     };
 
-    // インライン統計を更新（履歴表示数を表示）
-    const historyCount = document.getElementById('historyCount');
-    if (historyCount) {
-      historyCount.textContent = this.allVisits.length;
+    if (sessions) {
+      // 時系列モードはセッションごとに見出しの行をつけて表示
+      for (const session of sessions) {
+        if (session.rootCount === 0) continue;
+        rows.push({ type: 'session', session });
+        if (!this.collapsedKeys.has(`session:${session.id}`)) {
+          addNodes(nodes, '', 0, [], session.rootStart, session.rootCount);
+        }
+      }
+    } else {
+      addNodes(nodes, '', 0, []);
     }
+    return rows;
   }
 
-  filterAndRenderData() {
-    let dataToRender;
+  // セッションの見出しの行（見出しでそのセッションのルートを折りたたみ）
+  createSessionRow(session) {
+    const row = document.createElement('li');
+    row.className = 'session-row';
 
-    // モードに応じてデータ構造を決定
-    if (this.viewMode === 'aggregated') {
-      // 集計モード：同じURLを集約したツリーを構築
-      const aggregatedData = this.buildAggregatedTree();
+    const sessionKey = `session:${session.id}`;
+    const isCollapsed = this.collapsedKeys.has(sessionKey);
 
-      if (!this.currentSearchTerm) {
-        dataToRender = aggregatedData;
-      } else {
-        dataToRender = this.filterTree(aggregatedData, this.currentSearchTerm);
-      }
-    } else if (this.viewMode === 'beta') {
-      // Betaモード：高度なナビゲーション解析を使用したツリー構築
-      const betaData = this.buildBetaTree();
+    const header = document.createElement('div');
+    header.className = 'session-header';
 
-      if (!this.currentSearchTerm) {
-        dataToRender = betaData;
-      } else {
-        dataToRender = this.filterTree(betaData, this.currentSearchTerm);
-      }
-    } else {
-      // 時系列モード：連続する同じアイテムをまとめて表示
-      let chronologicalData = this.filteredData;
+    const toggle = document.createElement('span');
+    toggle.className = 'session-toggle';
+    toggle.textContent = isCollapsed ? '▸' : '▾';
+    header.appendChild(toggle);
 
-      // 連続する同じアイテムをまとめる
-      chronologicalData = this.mergeConsecutiveSameItems(chronologicalData);
+    const range = document.createElement('span');
+    range.className = 'session-range';
+    range.textContent = `${this.formatTime(new Date(session.startTime))} ～ ${this.formatTime(new Date(session.endTime)).slice(-5)}`;
+    header.appendChild(range);
+
+    const summary = document.createElement('span');
+    summary.className = 'session-summary';
+    summary.textContent = `${this.formatDuration(session.endTime - session.startTime)}・${session.visitCount}件`;
+    header.appendChild(summary);
+
+    const domains = document.createElement('span');
+    domains.className = 'session-domains';
+    domains.textContent = session.topDomains.map(({ domain, count }) => `${domain} (${count})`).join('・');
+    header.appendChild(domains);
+
+    const filterButton = document.createElement('button');
+    filterButton.className = 'session-filter-button';
+    filterButton.textContent = this.sessionFilterId === session.id ? 'すべてのセッションを表示' : 'このセッションのみ';
+    filterButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.setSessionFilter(this.sessionFilterId === session.id ? null : session.id);
+    });
+    header.appendChild(filterButton);
 
-      if (!this.currentSearchTerm) {
-        dataToRender = chronologicalData;
-      } else {
-        dataToRender = this.filterTree(chronologicalData, this.currentSearchTerm);
-      }
-    }
+    header.addEventListener('click', () => {
+      this.setCollapsed(sessionKey, !this.collapsedKeys.has(sessionKey));
+      this.refreshTreeRows();
+    });
 
-    // データをそのまま表示（ページネーションは時間範囲で行う）
-    this.renderTree(dataToRender);
-    this.updatePageInputs();
-    this.updateSearchRange();
-  }  // 時系列モードで連続する同じアイテムをまとめる
-  mergeConsecutiveSameItems(nodes) {
-    if (!nodes || nodes.length === 0) return nodes;
-
-    const merged = [];
-    let currentGroup = null;
-
-    for (const node of nodes) {
-      // 親子関係がない（ルートレベル）かつ子要素を持たないノードのみ対象
-      if (node.children.length === 0) {
-        if (currentGroup && this.isSameItem(currentGroup.node, node)) {
-          // 同じアイテムの場合、グループに追加
-          currentGroup.visits.push(node);
-          currentGroup.visitCount++;
-          // 最新の訪問時間を保持
-          if (node.visitTime > currentGroup.node.visitTime) {
-            currentGroup.node.visitTime = node.visitTime;
-          }
-        } else {
-          // 異なるアイテムの場合、前のグループを確定して新しいグループを開始
-          if (currentGroup) {
-            merged.push(this.createMergedNode(currentGroup));
-          }
-          currentGroup = {
-            node: { ...node },
-            visits: [node],
-            visitCount: 1
-          };
-        }
-      } else {
-        // 子要素を持つノードの場合、前のグループを確定して個別に追加
-        if (currentGroup) {
-          merged.push(this.createMergedNode(currentGroup));
-          currentGroup = null;
-        }
+    row.appendChild(header);
+    return row;
+  }
 
-        // 子要素に対しても再帰的に処理
-        const mergedChildren = this.mergeConsecutiveSameItems(node.children);
-        merged.push({
-          ...node,
-          children: mergedChildren
-        });
-      }
-    }
+  // セッションの長さ（例: 1時間12分）
+  formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return '1分未満';
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}時間${minutes % 60}分` : `${minutes}分`;
+  }
 
-    // 最後のグループを追加
-    if (currentGroup) {
-      merged.push(this.createMergedNode(currentGroup));
+  // セッションの表示・絞り込みは時系列モードのみ
+  updateSessionControls() {
+    const controls = document.getElementById('sessionControls');
+    if (controls) {
+      const isChronological = this.viewMode === 'chronological' || this.viewMode === 'timeline' ||
+        (this.viewMode === 'graph' && this.graphSource === 'chronological');
+      controls.style.display = isChronological ? 'flex' : 'none';
     }
+  }
+
+  // 表示モードごとの操作（一覧の展開/折りたたみ、グラフ、タイムライン）
+  updateViewControls() {
+    const isList = this.viewMode !== 'graph' && this.viewMode !== 'timeline';
+    document.getElementById('graphControls').style.display = this.viewMode === 'graph' ? 'flex' : 'none';
+    document.getElementById('timelineControls').style.display = this.viewMode === 'timeline' ? 'flex' : 'none';
+    document.getElementById('treeControls').style.display = isList ? 'flex' : 'none';
+  }
 
-    return merged;
+  // 一覧・グラフ・タイムラインのどれを表示するか
+  updateViewContainers() {
+    const isGraph = this.viewMode === 'graph';
+    const isTimeline = this.viewMode === 'timeline';
+    document.getElementById('tree').style.display = isGraph || isTimeline ? 'none' : 'block';
+    document.getElementById('graph').style.display = isGraph ? 'block' : 'none';
+    document.getElementById('timeline').style.display = isTimeline ? 'block' : 'none';
+    if (isGraph && this.graphView) this.graphView.resize();
+    if (isTimeline && this.timelineView) this.timelineView.resize();
   }
 
-  // 2つのアイテムが同じかどうかを判定（URLとタイトルで比較）
-  isSameItem(item1, item2) {
-    return item1.url === item2.url && item1.title === item2.title;
+  // タイムライン表示（ルートのツリーごとのレーンに、訪問を時刻の位置に並べる）
+  // preserveView: 表示中の期間・縦スクロール・表示幅の選択を変えない（ライブ更新の時）
+  renderTimeline(roots, { preserveView = false } = {}) {
+    if (!this.timelineView) {
+      this.timelineView = new TimelineViewRenderer(document.getElementById('timeline'), {
+        getMarkColor: (node) => this.getRecencyColor(node.visitTime),
+        onOpen: (node, { background }) => chrome.tabs.create({ url: node.url, active: !background }),
+        onBrush: (range) => this.setTimeRange(range)
+      });
+    }
+    this.timelineView.setTree(roots, { preserveView });
+    this.timelineView.setBrush(this.timeRange);
+    if (!preserveView) document.getElementById('timelineSpan').value = '';
   }
 
-  // マージされたノードを作成
-  createMergedNode(group) {
-    const node = { ...group.node };
+  // 一覧とグラフを絞り込む期間（null で解除）
+  setTimeRange(range) {
+    this.timeRange = range;
+    const filter = document.getElementById('timeRangeFilter');
+    filter.style.display = range ? 'flex' : 'none';
+    if (range) {
+      document.getElementById('timeRangeText').textContent =
+        `${this.formatTime(new Date(range.start))} ～ ${this.formatTime(new Date(range.end))}`;
+    }
+
+    if (this.viewMode === 'timeline') {
+      if (this.timelineView) this.timelineView.setBrush(range);
+    } else {
+      this.filterAndRenderData();
+    }
+  }
 
-    // 複数の訪問がある場合は、マージ情報を追加
-    if (group.visitCount > 1) {
-      node.isMerged = true;
-      node.mergedVisitCount = group.visitCount;
-      node.allVisits = group.visits;
+  // グラフ表示（ノードとリンクの図）
+  // preserveView: 拡大率と位置を変えない（ライブ更新の時）
+  renderGraph(roots, { preserveView = false } = {}) {
+    this.graphRoots = roots;
+    if (!this.graphView) {
+      this.graphView = new GraphViewRenderer(document.getElementById('graph'), {
+        getEdgeStyle: (node) => this.getGraphEdgeStyle(node),
+        onOpen: (node, { background }) => chrome.tabs.create({ url: node.url, active: !background })
+      });
+    }
+    this.graphView.setTree(roots, { layout: this.graphLayout, preserveView });
+  }
 
-      // 最初と最後の訪問時間を記録
-      const sortedVisits = group.visits.sort((a, b) => a.visitTime - b.visitTime);
-      node.firstVisitTime = sortedVisits[0].visitTime;
-      node.lastVisitTime = sortedVisits[sortedVisits.length - 1].visitTime;
+  // 親からノードへの線の色（Betaは関係の種類、それ以外は遷移の種類で色分け。推定した関係は破線）
+  getGraphEdgeStyle(node) {
+    if (node.betaRelations && node.betaRelations.length > 0) {
+      const relation = node.betaRelations.reduce((best, candidate) => ((candidate.confidence || 0) > (best.confidence || 0) ? candidate : best));
+      return {
+        color: this.getBetaRelationDisplay(relation).color,
+        dashed: relation.type !== 'referring_visit' || relation.observed === false
+      };
     }
 
-    return node;
+    const transitionColors = {
+      'link': '#5f6368',
+      'typed': '#1a73e8',
+      'auto_bookmark': '#1a73e8',
+      'generated': '#f9ab00',
+      'keyword': '#f9ab00',
+      'form_submit': '#e8710a',
+      'reload': '#9aa0a6',
+      'spa_history_state': '#12b5cb',
+      'spa_fragment': '#12b5cb'
+    };
+    const inferred = !!node.inferredParent || !!(node.explanation && node.explanation.chosen && node.explanation.chosen.inferred);
+    return {
+      color: transitionColors[node.transition] || '#9aa0a6',
+      dashed: inferred || !!(node.explanation && node.explanation.siteParent) || !!node.patternGroup
+    };
+  }
+
+  setSessionFilter(sessionId) {
+    this.sessionFilterId = sessionId;
+    document.getElementById('sessionFilter').value = sessionId || '';
+    this.filterAndRenderData();
   }
 
-  filterTree(nodes, searchTerm) {
-    const filtered = [];
+  // 絞り込みの選択肢を、読み込んだ期間のセッションで作り直す
+  updateSessionFilterOptions(sessions) {
+    if (!sessions) return;
 
-    for (const node of nodes) {
-      const titleMatch = node.title.toLowerCase().includes(searchTerm);
-      const urlMatch = node.url.toLowerCase().includes(searchTerm);
-      const filteredChildren = this.filterTree(node.children, searchTerm);
+    const select = document.getElementById('sessionFilter');
+    select.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = `すべてのセッション（${sessions.length}）`;
+    select.appendChild(allOption);
 
-      if (titleMatch || urlMatch || filteredChildren.length > 0) {
-        filtered.push({
-          ...node,
-          children: filteredChildren
-        });
-      }
+    for (const session of sessions) {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = `${this.formatTime(new Date(session.startTime))} ～ ${this.formatTime(new Date(session.endTime)).slice(-5)}（${session.visitCount}件）`;
+      select.appendChild(option);
     }
 
-    return filtered;
+    if (this.sessionFilterId && !sessions.some(session => session.id === this.sessionFilterId)) {
+      this.sessionFilterId = null;
+    }
+    select.value = this.sessionFilterId || '';
   }
 
-  renderTree(nodes) {
-    const container = document.getElementById('tree');
-    container.innerHTML = '';
-
-    if (nodes.length === 0) {
-      container.innerHTML = '<div class="loading">該当する履歴が見つかりませんでした。</div>';
-      return;
+  // 折りたたみ状態を保持するためのノードのキー（集計・トピックモードはURL、それ以外はvisitId）
+  getNodeKey(node) {
+    if (node.isTopic) {
+      return `topic:${node.topicId}`;
     }
+    if (this.viewMode === 'aggregated' || this.viewMode === 'topics') {
+      return `url:${node.canonicalUrl || node.url}`;
+    }
+    return `visit:${node.visitId}`;
+  }
 
-    const ul = document.createElement('ul');
-    container.appendChild(ul);
+  // 訪問からの経過時間に応じた時刻の色（1日以内を6段階。1日を超えたら空文字で通常色）
+  getRecencyColor(visitTime) {
+    const now = Date.now();
+    const hoursAgo = (now - visitTime) / (60 * 60 * 1000);
 
-    for (let i = 0; i < nodes.length; i++) {
-      const node = nodes[i];
-      const treeId = `${i + 1}`;  // 1, 2, 3...
-      const isLast = i === nodes.length - 1;
-      const isFirst = i === 0;
-      ul.appendChild(this.createHistoryItem(node, treeId, isLast, isFirst));
+    if (hoursAgo <= 1) {
+      // 1時間以内: 鮮やかな赤
+      return '#ff0000';
+    } else if (hoursAgo <= 3) {
+      // 3時間以内: オレンジ
+      return '#ff6600';
+    } else if (hoursAgo <= 6) {
+      // 6時間以内: 黄色
+      return '#cc9900';
+    } else if (hoursAgo <= 12) {
+      // 12時間以内: 青
+      return '#0066cc';
+    } else if (hoursAgo <= 24) {
+      // 24時間以内: 紫
+      return '#663399';
+    } else {
+      // 1日を超過: 通常色
+      return '';
     }
   }
 
-  createHistoryItem(node, treeId, isLast = false, isFirst = false) {
+  // 1つのノードの行（子は flattenTreeRows で別の行になる）
+  createHistoryItem(row) {
+    const { node, treeId, depth, isLast, isFirst, isCollapsed, guides } = row;
+    const nodeKey = row.key;
     const li = document.createElement('li');
     li.className = 'history-item';
 
     // ツリーIDを data属性として追加
     li.setAttribute('data-tree-id', treeId);
-    li.setAttribute('data-tree-depth', treeId.split('-').length - 1);
+    li.setAttribute('data-tree-depth', depth);
+
+    // 深さに応じて字下げし、祖先の階層の縦線と、親からこの行への罫線を描く
+    li.style.paddingLeft = `${depth * TREE_INDENT_PX}px`;
+    guides.forEach((continues, index) => {
+      if (!continues) return;
+      const guide = document.createElement('span');
+      guide.className = 'tree-guide';
+      guide.style.left = `${index * TREE_INDENT_PX + TREE_LINE_OFFSET_PX}px`;
+      li.appendChild(guide);
+    });
+    if (depth > 0) {
+      const elbow = document.createElement('span');
+      elbow.className = 'tree-elbow';
+      elbow.style.left = `${(depth - 1) * TREE_INDENT_PX + TREE_LINE_OFFSET_PX}px`;
+      li.appendChild(elbow);
+      if (!isLast) {
+        const next = document.createElement('span');
+        next.className = 'tree-guide from-center';
+        next.style.left = elbow.style.left;
+        li.appendChild(next);
+      }
+    }
 
     // 最後の子要素かどうかのクラスを追加
     if (isLast) {
@@ -2358,19 +1106,13 @@ class HistoryManager {
     toggle.className = 'toggle';
 
     if (node.children.length > 0) {
-      toggle.textContent = '▾';
+      toggle.textContent = isCollapsed ? '▸' : '▾';
       toggle.style.cursor = 'pointer';
 
       toggle.addEventListener('click', (e) => {
         e.preventDefault();
-        const childrenContainer = li.querySelector('.item-children');
-        if (childrenContainer.classList.contains('collapsed')) {
-          childrenContainer.classList.remove('collapsed');
-          toggle.textContent = '▾';
-        } else {
-          childrenContainer.classList.add('collapsed');
-          toggle.textContent = '▸';
-        }
+        this.setCollapsed(nodeKey, !isCollapsed);
+        this.refreshTreeRows();
       });
     } else {
       toggle.textContent = '•';
@@ -2386,35 +1128,16 @@ class HistoryManager {
     timeSpan.textContent = this.formatTime(date);
 
     // 1日以内の履歴を6段階で色分け（全モード共通）
-    const now = Date.now();
-    const hoursAgo = (now - node.visitTime) / (60 * 60 * 1000);
-
-    if (hoursAgo <= 1) {
-      // 1時間以内: 鮮やかな赤
-      timeSpan.style.color = '#ff0000';
-    } else if (hoursAgo <= 3) {
-      // 3時間以内: オレンジ
-      timeSpan.style.color = '#ff6600';
-    } else if (hoursAgo <= 6) {
-      // 6時間以内: 黄色
-      timeSpan.style.color = '#cc9900';
-    } else if (hoursAgo <= 12) {
-      // 12時間以内: 青
-      timeSpan.style.color = '#0066cc';
-    } else if (hoursAgo <= 24) {
-      // 24時間以内: 紫
-      timeSpan.style.color = '#663399';
-    } else {
-      // 1日を超過: 通常色
-      timeSpan.style.color = '';
-    }
+    timeSpan.style.color = this.getRecencyColor(node.visitTime);
 
     header.appendChild(timeSpan);
 
     // ファビコン
     const favicon = document.createElement('img');
     favicon.className = 'item-favicon';
-    favicon.src = node.favicon;
+    favicon.src = node.isTopic
+      ? 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><path d="M1 3h5l2 2h7v8H1z" fill="%23f9ab00"/></svg>'
+      : node.favicon;
     favicon.loading = 'lazy';
     favicon.onerror = () => {
       try {
@@ -2432,22 +1155,36 @@ class HistoryManager {
     // タイトルリンク
     const titleLink = document.createElement('a');
     titleLink.className = 'item-title';
-    titleLink.href = node.url;
+    if (!node.isTopic) titleLink.href = node.url;
+
+    // 検索結果ページは検索語で表示
+    const displayTitle = node.searchQuery ? `🔍 ${node.searchQuery} - ${node.searchEngine}` : node.title;
+    if (node.searchQuery) {
+      titleLink.classList.add('search-title');
+      titleLink.title = this.getSearchTooltip(node);
+    }
 
     // モードに応じてタイトル表示を調整
-    if (this.viewMode === 'aggregated' && node.visitCount > 1) {
-      titleLink.textContent = `${node.title} (${node.visitCount}回)`;
+    if (node.isPatternGroup) {
+      // URLパターンのグループはまとめたページ数を表示
+      titleLink.textContent = `${node.title} (${node.children.length}ページ)`;
+    } else if (this.viewMode === 'aggregated' && node.visitCount > 1) {
+      titleLink.textContent = `${displayTitle} (${node.visitCount}回)`;
     } else if (this.viewMode === 'chronological' && node.isMerged && node.mergedVisitCount > 1) {
       // 時系列モードでマージされたアイテムの場合、訪問回数を表示
-      titleLink.textContent = `${node.title} (${node.mergedVisitCount}回)`;
+      titleLink.textContent = `${displayTitle} (${node.mergedVisitCount}回)`;
     } else if (this.viewMode === 'beta' && node.isBetaMerged && node.betaMergedCount > 1) {
       // Betaモードでマージされたアイテムの場合、集計モードと同じ形式で回数を表示
-      titleLink.textContent = `${node.title} (${node.betaMergedCount}回)`;
+      titleLink.textContent = `${displayTitle} (${node.betaMergedCount}回)`;
     } else if (this.viewMode === 'beta' && node.isGeneratedRoot) {
       // Betaモードで生成されたルートドメインの場合、🌐マークを削除
       titleLink.textContent = node.title;
+    } else if (node.isTopic) {
+      // トピックモードのトピックは見出しとページ数
+      titleLink.classList.add('topic-title');
+      titleLink.textContent = `${node.title} (${node.visitCount}ページ)`;
     } else {
-      titleLink.textContent = node.title;
+      titleLink.textContent = displayTitle;
     }
 
     // Beta関係の表示 - アイコンと関係情報を削除
@@ -2463,6 +1200,91 @@ class HistoryManager {
     titleLink.target = '_blank';
     header.appendChild(titleLink);
 
+    // SPAのURL変更から合成したノードは遷移アイコンで区別
+    if (node.isSynthetic) {
+      const transitionIcon = this.getTransitionIcon(node.transition);
+      if (transitionIcon) {
+        const iconSpan = document.createElement('span');
+        iconSpan.className = 'transition-icon';
+        iconSpan.textContent = transitionIcon;
+        iconSpan.title = this.getTransitionDescription(node.transition);
+        header.appendChild(iconSpan);
+      }
+    }
+
+    // リダイレクトの中継ページをまとめたノードは「経由」ボタンで中継ページの一覧を開閉
+    let viaList = null;
+    if (node.via && node.via.length > 0) {
+      viaList = this.createViaList(node);
+      viaList.classList.toggle('collapsed', !this.openViaKeys.has(nodeKey));
+      const viaToggle = document.createElement('button');
+      viaToggle.className = 'via-toggle';
+      viaToggle.textContent = `↪ ${node.via.length}件経由`;
+      viaToggle.title = 'リダイレクトで経由したページを表示';
+      viaToggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        const collapsed = viaList.classList.toggle('collapsed');
+        if (collapsed) {
+          this.openViaKeys.delete(nodeKey);
+        } else {
+          this.openViaKeys.add(nodeKey);
+        }
+      });
+      header.appendChild(viaToggle);
+    }
+
+    // ドラッグ&ドロップで親を付け替える（自分の子孫へのドロップは無視。トピックモードは付け替えない）
+    // 時系列モードでまとめた訪問は付け替えが1つの訪問にしか効かないため、ドラッグしない
+    const isMergedVisits = this.viewMode === 'chronological' && node.isMerged && node.mergedVisitCount > 1;
+    header.draggable = PARENT_OVERRIDE_MODES.includes(this.viewMode) && !isMergedVisits;
+    header.addEventListener('dragstart', (e) => {
+      if (!header.draggable) return;
+      this.draggedNode = node;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/uri-list', node.url);
+      document.body.classList.add('is-dragging-node');
+    });
+    header.addEventListener('dragend', () => {
+      this.draggedNode = null;
+      document.body.classList.remove('is-dragging-node');
+    });
+    header.addEventListener('dragover', (e) => {
+      if (!this.draggedNode || this.isNodeInSubtree(this.draggedNode, node)) return;
+      e.preventDefault();
+      header.classList.add('drop-target');
+    });
+    header.addEventListener('dragleave', () => {
+      header.classList.remove('drop-target');
+    });
+    header.addEventListener('drop', (e) => {
+      e.preventDefault();
+      header.classList.remove('drop-target');
+      if (!this.draggedNode || this.isNodeInSubtree(this.draggedNode, node)) return;
+      this.reparentNode(this.draggedNode, node);
+    });
+
+    // 「なぜここにあるか」の説明パネル（開いた時に作成）
+    const explainToggle = document.createElement('button');
+    explainToggle.className = 'explain-toggle';
+    explainToggle.textContent = 'ⓘ';
+    explainToggle.title = 'この位置にある理由を表示';
+    explainToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      let panel = li.querySelector(':scope > .explain-panel');
+      if (!panel) {
+        panel = this.createExplanationPanel(node, depth === 0);
+        li.appendChild(panel);
+      } else {
+        panel.classList.toggle('collapsed');
+      }
+      if (panel.classList.contains('collapsed')) {
+        this.openExplanationKeys.delete(nodeKey);
+      } else {
+        this.openExplanationKeys.add(nodeKey);
+      }
+    });
+    header.appendChild(explainToggle);
+
     li.appendChild(header);
 
     // マージされたアイテムの詳細情報表示（時系列モードのみ）- 非表示化
@@ -2523,35 +1345,471 @@ class HistoryManager {
       // li.appendChild(rootInfoDiv); // 説明文言を削除するためコメントアウト
     }
     */    // URL表示
-    if (node.url !== node.title) {
+    if (node.url && node.url !== node.title) {
       const urlDiv = document.createElement('div');
       urlDiv.className = 'item-url';
       urlDiv.textContent = node.url;
+      if (node.originalUrls && node.originalUrls.length > 1) {
+        // 正規化すると同じになる別のURLでも訪問している
+        urlDiv.textContent += ` (+${node.originalUrls.length - 1})`;
+        urlDiv.title = node.originalUrls.join('\n');
+      }
       li.appendChild(urlDiv);
     }
 
-    // 子要素
-    if (node.children.length > 0) {
-      const childrenContainer = document.createElement('div');
-      childrenContainer.className = 'item-children';
-
-      const childUl = document.createElement('ul');
-
-      for (let i = 0; i < node.children.length; i++) {
-        const child = node.children[i];
-        const childTreeId = `${treeId}-${i + 1}`;  // 1-1, 1-2, 2-1, 2-2-1...
-        const isChildLast = i === node.children.length - 1;
-        const isChildFirst = i === 0;
-        const childLi = this.createHistoryItem(child, childTreeId, isChildLast, isChildFirst);
-        childUl.appendChild(childLi);
-      }
-      childrenContainer.appendChild(childUl);
-      li.appendChild(childrenContainer);
+    if (viaList) {
+      li.appendChild(viaList);
+    }
+
+    if (this.openExplanationKeys.has(nodeKey)) {
+      li.appendChild(this.createExplanationPanel(node, depth === 0));
     }
 
     return li;
   }
 
+  // キーボードでの操作
+  // ツリーにフォーカスがある間は、選択中の行を aria-activedescendant で示す（行の要素は作り直されるため、行そのものにはフォーカスしない）
+  initializeKeyboardNavigation() {
+    const container = document.getElementById('tree');
+    container.tabIndex = 0;
+    container.setAttribute('role', 'tree');
+    container.addEventListener('keydown', (e) => this.handleTreeKeydown(e));
+
+    // クリックした行を選択中にする
+    container.addEventListener('click', (e) => {
+      const rowElement = e.target.closest('[role="treeitem"]');
+      if (!rowElement) return;
+      const index = this.treeRows.findIndex(row => this.getRowKey(row) === rowElement.dataset.rowKey);
+      if (index !== -1) this.setFocusedRow(index, { scroll: false });
+    });
+
+    // / で検索ボックスへ
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || this.isTextInput(e.target)) return;
+      e.preventDefault();
+      document.getElementById('search').focus();
+    });
+  }
+
+  isTextInput(element) {
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+  }
+
+  getFocusedRowIndex() {
+    return this.treeRows.findIndex(row => this.getRowKey(row) === this.focusedRowKey);
+  }
+
+  setFocusedRow(index, { scroll = true } = {}) {
+    if (index < 0 || index >= this.treeRows.length) return;
+    const container = document.getElementById('tree');
+    const previous = container.querySelector('.tree-row-focused');
+    if (previous) {
+      previous.classList.remove('tree-row-focused');
+      previous.removeAttribute('aria-selected');
+    }
+
+    this.focusedRowKey = this.getRowKey(this.treeRows[index]);
+    if (scroll) this.virtualTree.scrollToIndex(index);
+
+    const element = this.virtualTree.getElement(index);
+    if (element) {
+      element.classList.add('tree-row-focused');
+      element.setAttribute('aria-selected', 'true');
+      container.setAttribute('aria-activedescendant', element.id);
+    }
+  }
+
+  handleTreeKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || this.isTextInput(e.target)) return;
+    // リンクやボタンにフォーカスがある時の Enter はそちらの動作に任せる
+    if (e.key === 'Enter' && e.target !== e.currentTarget) return;
+    if (this.treeRows.length === 0) return;
+
+    const index = this.getFocusedRowIndex();
+    const row = this.treeRows[index];
+    const collapseKey = row && (row.type === 'session' ? `session:${row.session.id}` : row.key);
+    const canExpand = row && (row.type === 'session' || row.node.children.length > 0);
+    const isExpanded = canExpand && !this.collapsedKeys.has(collapseKey);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this.setFocusedRow(Math.min(index + 1, this.treeRows.length - 1));
+        break;
+      case 'ArrowUp':
+        this.setFocusedRow(index === -1 ? 0 : Math.max(index - 1, 0));
+        break;
+      case 'Home':
+        this.setFocusedRow(0);
+        break;
+      case 'End':
+        this.setFocusedRow(this.treeRows.length - 1);
+        break;
+      case 'ArrowRight':
+        // 折りたたまれていれば展開、展開済みなら最初の子へ
+        if (!row) {
+          this.setFocusedRow(0);
+        } else if (canExpand && !isExpanded) {
+          this.setRowCollapsed(index, false);
+        } else if (canExpand && this.treeRows[index + 1] && this.treeRows[index + 1].type === 'node') {
+          this.setFocusedRow(index + 1);
+        }
+        break;
+      case 'ArrowLeft':
+        // 展開されていれば折りたたみ、折りたたまれていれば親へ
+        if (!row) {
+          this.setFocusedRow(0);
+        } else if (isExpanded) {
+          this.setRowCollapsed(index, true);
+        } else {
+          this.setFocusedRow(this.getParentRowIndex(index));
+        }
+        break;
+      case 'Enter':
+        // Enter で開く、Shift+Enter でバックグラウンドのタブで開く（URLのない行は展開/折りたたみ）
+        if (!row) return;
+        if (row.type === 'node' && row.node.url) {
+          chrome.tabs.create({ url: row.node.url, active: !e.shiftKey });
+        } else if (canExpand) {
+          this.setRowCollapsed(index, isExpanded);
+        }
+        break;
+      case '*':
+        // 選択中の行の下をすべて展開
+        if (!row) return;
+        this.expandRowSubtree(index);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  // 親の行（ルートならセッションの見出し、なければ自身）
+  getParentRowIndex(index) {
+    const row = this.treeRows[index];
+    if (row.type === 'session') return index;
+    for (let i = index - 1; i >= 0; i--) {
+      const candidate = this.treeRows[i];
+      if (candidate.type === 'session' || candidate.depth < row.depth) return i;
+    }
+    return index;
+  }
+
+  setRowCollapsed(index, collapsed) {
+    const row = this.treeRows[index];
+    this.setCollapsed(row.type === 'session' ? `session:${row.session.id}` : row.key, collapsed);
+    this.refreshTreeRows();
+  }
+
+  expandRowSubtree(index) {
+    const row = this.treeRows[index];
+    const expandNode = (node) => {
+      this.collapsedKeys.delete(this.getNodeKey(node));
+      node.children.forEach(expandNode);
+    };
+    if (row.type === 'session') {
+      this.collapsedKeys.delete(`session:${row.session.id}`);
+      this.treeNodes.slice(row.session.rootStart, row.session.rootStart + row.session.rootCount).forEach(expandNode);
+    } else {
+      expandNode(row.node);
+    }
+    this.saveCollapsedKeys();
+    this.refreshTreeRows();
+  }
+
+  // 折りたたみの状態（localStorage に保存し、ページを開き直しても維持）
+  loadCollapsedKeys() {
+    try {
+      const keys = JSON.parse(localStorage.getItem(COLLAPSED_KEYS_STORAGE_KEY) || '[]');
+      return new Set(Array.isArray(keys) ? keys : []);
+    } catch {
+      return new Set();
+    }
+  }
+
+  saveCollapsedKeys() {
+    let keys = Array.from(this.collapsedKeys);
+    if (keys.length > MAX_COLLAPSED_KEYS) {
+      // 上限を超えたら、表示中のツリーにないキーから（古いものから）保存の対象外にする
+      // メモリ上の折りたたみ状態はそのまま
+      const currentKeys = new Set((this.treeSessions || []).map(session => `session:${session.id}`));
+      const collectKeys = (node) => {
+        currentKeys.add(this.getNodeKey(node));
+        node.children.forEach(collectKeys);
+      };
+      (this.treeNodes || []).forEach(collectKeys);
+      keys = [
+        ...keys.filter(key => !currentKeys.has(key)),
+        ...keys.filter(key => currentKeys.has(key))
+      ].slice(-MAX_COLLAPSED_KEYS);
+    }
+    localStorage.setItem(COLLAPSED_KEYS_STORAGE_KEY, JSON.stringify(keys));
+  }
+
+  setCollapsed(key, collapsed) {
+    this.collapsedKeys.delete(key);
+    if (collapsed) this.collapsedKeys.add(key);
+    this.saveCollapsedKeys();
+  }
+
+  // 表示中のツリーをすべて展開（セッションの見出しも）
+  expandAll() {
+    const expandNode = (node) => {
+      this.collapsedKeys.delete(this.getNodeKey(node));
+      node.children.forEach(expandNode);
+    };
+    this.treeNodes.forEach(expandNode);
+    (this.treeSessions || []).forEach(session => this.collapsedKeys.delete(`session:${session.id}`));
+    this.saveCollapsedKeys();
+    this.refreshTreeRows();
+  }
+
+  // 深さ depth 以上のノードを折りたたみ、それより浅いノードは展開する（0 ならルートだけを表示）
+  // 深さは data-tree-depth と同じ（ルートが 0）
+  collapseBelowDepth(depth) {
+    const visit = (node, nodeDepth) => {
+      if (node.children.length === 0) return;
+      const key = this.getNodeKey(node);
+      this.collapsedKeys.delete(key);
+      if (nodeDepth >= depth) this.collapsedKeys.add(key);
+      node.children.forEach(child => visit(child, nodeDepth + 1));
+    };
+    this.treeNodes.forEach(node => visit(node, 0));
+    this.saveCollapsedKeys();
+    this.refreshTreeRows();
+  }
+
+  // target が node 自身かその子孫か
+  isNodeInSubtree(node, target) {
+    return node === target || node.children.some(child => this.isNodeInSubtree(child, target));
+  }
+
+  // ノードが今の位置にある理由（表示モードごとの親の選ばれ方）
+  createExplanationPanel(node, isRoot) {
+    const panel = document.createElement('div');
+    panel.className = 'explain-panel';
+
+    const addLine = (text, className) => {
+      const line = document.createElement('div');
+      if (className) line.className = className;
+      line.textContent = text;
+      panel.appendChild(line);
+      return line;
+    };
+
+    if (node.isPatternGroup) {
+      addLine(`グループ: URLパターン「${node.patternRule}」に一致するページをまとめたノード`);
+    } else if (this.viewMode === 'aggregated') {
+      this.appendAggregatedExplanation(panel, node.explanation, addLine, node);
+    } else if (this.viewMode === 'beta') {
+      this.appendBetaExplanation(panel, node, isRoot, addLine);
+    } else if (this.viewMode === 'topics') {
+      this.appendTopicExplanation(node, addLine);
+    } else {
+      const [kind, reason] = this.getChronologicalReason(node, isRoot);
+      addLine(`${kind}: ${reason}`);
+      addLine(`遷移: ${this.getTransitionDescription(node.transition)}`, 'explain-muted');
+    }
+
+    if (node.patternGroup) {
+      addLine(`URLパターン: 「${node.patternGroup}」のグループにまとめています（元の親は上の通り）`, 'explain-muted');
+    }
+
+    if (node.via && node.via.length > 0) {
+      addLine(`リダイレクト ${node.via.length}件を経由（最初のページ: ${node.via[0].url}）`, 'explain-muted');
+    }
+
+    if (node.originalUrls && node.originalUrls.length > 1) {
+      addLine(`元のURL（正規化すると同じページ）: ${node.originalUrls.length}件`, 'explain-muted');
+      const list = document.createElement('ul');
+      list.className = 'explain-candidates';
+      for (const url of node.originalUrls) {
+        const item = document.createElement('li');
+        item.textContent = url;
+        list.appendChild(item);
+      }
+      panel.appendChild(list);
+    }
+
+    if (node.isOverridden) {
+      addLine('手動: ドラッグ&ドロップで付け替えたノードです（設定ページで元に戻せます）', 'explain-heading');
+    }
+
+    return panel;
+  }
+
+  appendAggregatedExplanation(panel, explanation, addLine, node) {
+    if (!explanation) {
+      addLine('説明できる情報がありません');
+      return;
+    }
+
+    if (explanation.siteGroup) {
+      addLine(`グループ: 同じサイト（${explanation.siteGroup}）の複数のサブドメインをまとめたノード`);
+      // 実際のページ（github.com/ など）を親にした場合は、ルートである理由も続けて表示
+      if (node.isGeneratedRoot) return;
+    }
+
+    if (explanation.chosen) {
+      const chosen = explanation.chosen;
+      addLine(`親: ${explanation.parentUrl}`);
+      addLine(chosen.inferred
+        ? `推定: URLの階層から推定した親子関係（スコア ${chosen.score.toFixed(1)}）`
+        : `観測: 実際の遷移 ${chosen.count}回（スコア ${chosen.score.toFixed(1)}）`);
+      if (chosen.parts) panel.appendChild(this.createScorePartsTable(chosen.parts));
+    } else if (explanation.siteParent) {
+      addLine(`サイト: ${explanation.siteParent} の別のサブドメインと一緒にサイトのノードにまとめています`);
+    } else if (explanation.runnersUp.length > 0) {
+      addLine(`ルート: ツリー全体のスコアが最大になるよう、親の候補ではなくルートに配置（ルートのスコア ${explanation.rootScore.toFixed(1)}）`);
+    } else {
+      addLine('ルート: 親の候補がありません');
+    }
+
+    if (explanation.runnersUp.length > 0) {
+      addLine('次点の親の候補:', 'explain-heading');
+      const list = document.createElement('ol');
+      list.className = 'explain-candidates';
+      for (const candidate of explanation.runnersUp) {
+        const item = document.createElement('li');
+        const kind = candidate.inferred ? '推定' : `観測 ${candidate.count}回`;
+        item.textContent = `${candidate.url}（スコア ${candidate.score.toFixed(1)}・${kind}）`;
+        list.appendChild(item);
+      }
+      panel.appendChild(list);
+    }
+  }
+
+  appendTopicExplanation(node, addLine) {
+    if (node.isTopic) {
+      addLine(node.isOtherTopic
+        ? 'トピック: 他のページと共通する語が少ないページをまとめています'
+        : `トピック: タイトル・URLに「${node.topicKeywords.join('」「')}」などの語が共通する ${node.visitCount}ページ`);
+      return;
+    }
+
+    addLine(node.topicTokens.length > 0
+      ? `トピック「${node.topicTitle}」: 共通する語 ${node.topicTokens.join(', ')}`
+      : `トピック「${node.topicTitle}」`);
+    addLine(node.trailParentUrl
+      ? `観測: 同じトピックの ${node.trailParentUrl} から遷移`
+      : 'トピック内に遷移元のページがありません', 'explain-muted');
+  }
+
+  // スコアの内訳（0 の項目は省略）
+  createScorePartsTable(parts) {
+    const labels = {
+      count: '遷移回数',
+      recency: '新しさ',
+      freq: '訪問回数',
+      path: 'パスの一致',
+      root: 'ルートページ',
+      pattern: 'URLパターン',
+      domain: '同じドメイン',
+      hierarchy: '階層ボーナス'
+    };
+
+    const table = document.createElement('table');
+    table.className = 'explain-parts';
+    for (const [key, value] of Object.entries(parts)) {
+      if (!value) continue;
+      const row = table.insertRow();
+      row.insertCell().textContent = labels[key] || key;
+      row.insertCell().textContent = value.toFixed(2);
+    }
+    return table;
+  }
+
+  appendBetaExplanation(panel, node, isRoot, addLine) {
+    const relations = node.betaRelations || [];
+    if (relations.length > 0) {
+      const badges = this.createBetaRelationInfo(relations);
+      if (badges) {
+        badges.style.marginLeft = '0';
+        panel.appendChild(badges);
+      }
+      for (const relation of relations) {
+        const { text } = this.getBetaRelationDisplay(relation);
+        const kind = relation.observed ? '観測' : '推定';
+        addLine(`${kind}: ${text}（信頼度 ${((relation.confidence || 0) * 100).toFixed(0)}%）`);
+      }
+    } else {
+      addLine(isRoot ? 'ルート: 信頼度30%以上の親が見つかりません' : '関係の情報がありません');
+    }
+
+    const candidates = node.betaCandidates || [];
+    if (candidates.length > 0) {
+      addLine('次点の親の候補:', 'explain-heading');
+      const list = document.createElement('ol');
+      list.className = 'explain-candidates';
+      for (const candidate of candidates) {
+        const item = document.createElement('li');
+        const { text } = this.getBetaRelationDisplay(candidate);
+        item.textContent = `${candidate.url}（${text}・信頼度 ${(candidate.confidence * 100).toFixed(0)}%）`;
+        list.appendChild(item);
+      }
+      panel.appendChild(list);
+    }
+  }
+
+  // 時系列モードで親子関係の根拠を返す: [観測/推定, 説明]
+  getChronologicalReason(node, isRoot) {
+    if (node.searchRelation === 'result') return ['推定', '直前の検索結果ページから開いたページ'];
+    if (node.searchRelation === 'refinement') return ['推定', '同じ検索エンジンでの続けての検索（絞り込み）'];
+    if (node.isSynthetic) return ['観測', 'ページ内でのURL変更（SPA）'];
+    if (node.isSameDocumentReferrer) return ['推定', 'ページ内でのURL変更の遷移元から補完した参照元'];
+    if (node.inferredParent === 'recent_visit') return ['推定', '参照元がない直接入力などのため、5分以内の直前の訪問を親と推定'];
+    if (isRoot) {
+      return node.referringVisitId
+        ? ['ルート', '参照元の訪問が表示期間外にあります']
+        : ['ルート', '参照元が記録されていません'];
+    }
+    return ['観測', 'ブラウザの履歴に記録された参照元'];
+  }
+
+  // リダイレクトの中継ページの一覧（各ページの時刻と、次のページへ移るまでの時間）
+  createViaList(node) {
+    const list = document.createElement('ol');
+    list.className = 'via-list collapsed';
+
+    node.via.forEach((hop, index) => {
+      const nextTime = index + 1 < node.via.length ? node.via[index + 1].visitTime : node.visitTime;
+      const item = document.createElement('li');
+
+      const time = document.createElement('span');
+      time.className = 'via-time';
+      time.textContent = new Date(hop.visitTime).toLocaleTimeString('ja-JP');
+      item.appendChild(time);
+
+      const delay = document.createElement('span');
+      delay.className = 'via-delay';
+      delay.textContent = `+${((nextTime - hop.visitTime) / 1000).toFixed(1)}秒`;
+      item.appendChild(delay);
+
+      const link = document.createElement('a');
+      link.href = hop.url;
+      link.target = '_blank';
+      link.textContent = hop.url;
+      link.title = hop.title && hop.title !== hop.url ? hop.title : hop.url;
+      item.appendChild(link);
+
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  // 検索結果ページのツールチップ（ページタイトルと、検索セッションでの絞り込みの流れ）
+  getSearchTooltip(node) {
+    const lines = [node.title];
+    if (node.searchSessionQueries && node.searchSessionQueries.length > 1) {
+      lines.push(`検索セッション: ${node.searchSessionQueries.join(' → ')}`);
+    } else if (node.searchRelation === 'refinement') {
+      lines.push('前の検索からの絞り込み');
+    }
+    return lines.join('\n');
+  }
+
   // 遷移タイプに応じたアイコンを取得
   getTransitionIcon(transition) {
     const iconMap = {
@@ -2563,7 +1821,9 @@ class HistoryManager {
       'keyword': '🔑',         // キーワード
       'auto_toplevel': '🏠',   // スタートページ
       'manual_subframe': '🖼️', // サブフレーム
-      'auto_subframe': '📦'    // 自動サブフレーム
+      'auto_subframe': '📦',   // 自動サブフレーム
+      'spa_history_state': '🧭', // SPAのURL変更（pushState）
+      'spa_fragment': '⚓'     // #fragment の変更
     };
     return iconMap[transition] || null;
   }
@@ -2580,7 +1840,9 @@ class HistoryManager {
       'keyword': 'キーワード検索',
       'auto_toplevel': 'スタートページ',
       'manual_subframe': 'サブフレームで選択',
-      'auto_subframe': '自動サブフレーム'
+      'auto_subframe': '自動サブフレーム',
+      'spa_history_state': 'ページ内でURLが変更（SPA）',
+      'spa_fragment': 'ページ内リンク（#fragment）'
     };
     return descriptionMap[transition] || `遷移: ${transition}`;
   }
@@ -2625,6 +1887,7 @@ class HistoryManager {
       'back_navigation': { icon: '⬅️', text: '戻る', color: '#ffc107' },
       'hierarchy_navigation': { icon: '📂', text: '階層', color: '#6f42c1' },
       'time_based_pattern': { icon: '⏱️', text: '時系列', color: '#fd7e14' },
+      'title_similarity': { icon: '📝', text: '類似', color: '#20c997' },
       'generated_root_domain': { icon: '🌐', text: 'ルート', color: '#28a745' }
     };
 
@@ -2654,8 +1917,12 @@ class HistoryManager {
         return `${baseTooltip}\n${hierarchyType}の階層移動`;
       case 'time_based_pattern':
         return `${baseTooltip}\n短時間での関連パターン`;
+      case 'title_similarity':
+        return `${baseTooltip}\nタイトル・URLが似ているページ（共通する語: ${(relation.details?.sharedTokens || []).join(', ')}）`;
       case 'generated_root_domain':
-        return `${baseTooltip}\n自動生成されたルートドメインへの関連付け`;
+        return relation.details?.reason === 'site_organization'
+          ? `${baseTooltip}\n同じサイト（${relation.details.domain}）のサブドメインをまとめる関連付け`
+          : `${baseTooltip}\n自動生成されたルートドメインへの関連付け`;
       default:
         return baseTooltip;
     }
@@ -2682,102 +1949,6 @@ class HistoryManager {
 
     return `${year}/${month}/${day} ${hours}:${minutes}`;
   }
-
-  // 親子関係を逆転すべきかを判定
-  shouldReverseParentChild(currentChildUrl, currentParentUrl, urlVisitMap) {
-    try {
-      const childInfo = urlVisitMap.get(currentChildUrl);
-      const parentInfo = urlVisitMap.get(currentParentUrl);
-
-      const childUrl = new URL(currentChildUrl);
-      const parentUrl = new URL(currentParentUrl);
-
-      // ドメインが違う場合は逆転しない
-      if (childUrl.hostname !== parentUrl.hostname) {
-        return false;
-      }
-
-      const childParts = childUrl.pathname.split('/').filter(part => part.length > 0);
-      const parentParts = parentUrl.pathname.split('/').filter(part => part.length > 0);
-
-      // 子の方が階層が浅い場合（より一般的）は逆転候補
-      if (childParts.length < parentParts.length) {
-        console.log(`    ${currentChildUrl} (深さ${childParts.length}) < ${currentParentUrl} (深さ${parentParts.length})`);
-        return true;
-      }
-
-      // 深さが同じで、子がルートページ系の場合
-      if (childParts.length === parentParts.length) {
-        const childLast = childParts[childParts.length - 1]?.toLowerCase() || '';
-        const parentLast = parentParts[parentParts.length - 1]?.toLowerCase() || '';
-
-        // 子がより汎用的なページ名の場合
-        const genericPages = ['index', 'home', 'main', 'top', 'root'];
-        if (genericPages.includes(childLast) && !genericPages.includes(parentLast)) {
-          console.log(`    ${currentChildUrl} は汎用的ページ (${childLast})`);
-          return true;
-        }
-      }
-
-      // 子がルートページ（/）の場合
-      if (childParts.length === 0 && parentParts.length > 0) {
-        console.log(`    ${currentChildUrl} はルートページ`);
-        return true;
-      }
-
-      return false;
-    } catch (error) {
-      console.error('親子逆転判定エラー:', error);
-      return false;
-    }
-  }
-
-  // 親子関係逆転後に循環参照が起きないかチェック
-  wouldCreateCycleAfterReverse(newParent, newChild, childToParent) {
-    // newChildが既に他の親を持つ場合、その親がnewParentの祖先でないかチェック
-    let current = childToParent.get(newChild);
-    const visited = new Set([newParent]); // 新しい親は既に訪問済みとして扱う
-
-    while (current && !visited.has(current)) {
-      if (current === newParent) {
-        return true; // 循環参照が発生
-      }
-      visited.add(current);
-      current = childToParent.get(current);
-    }
-
-    return false;
-  }
-
-  // 親子関係を逆転する
-  reverseParentChildRelation(newParentUrl, newChildUrl, childToParent, parentToChildren, nodes) {
-    // 現在の関係を削除
-    childToParent.delete(newChildUrl);
-    const currentParentChildren = parentToChildren.get(newParentUrl);
-    const childIndex = currentParentChildren.indexOf(newChildUrl);
-    if (childIndex > -1) {
-      currentParentChildren.splice(childIndex, 1);
-    }
-
-    // 新しい関係を設定
-    childToParent.set(newChildUrl, newParentUrl);
-    parentToChildren.get(newParentUrl).push(newChildUrl);
-
-    // ノードの子要素も更新
-    const newParentNode = nodes.get(newParentUrl);
-    const newChildNode = nodes.get(newChildUrl);
-
-    if (newParentNode && newChildNode) {
-      // 旧親から子を削除
-      const oldChildIndex = newParentNode.children.findIndex(child => child.url === newChildUrl);
-      if (oldChildIndex > -1) {
-        newParentNode.children.splice(oldChildIndex, 1);
-      }
-
-      // 新親に子を追加
-      newChildNode.children.push(newParentNode);
-    }
-  }
 }
 
 // 初期化
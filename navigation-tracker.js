@@ -0,0 +1,415 @@
+// navigation-tracker.js - ナビゲーション追跡（background.js で収集し、history.html で参照）
+
+// chrome.storage.local に保存するキー
+const NAVIGATION_STORAGE_KEY = 'navigationTrackerState';
+// タブごとに保持するナビゲーション履歴の上限（履歴の訪問と照合するため長めに保持）
+const NAVIGATION_STACK_LIMIT = 200;
+// 保存した記録の保持期間（これより古い記録は削除）
+const NAVIGATION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30日
+// chrome.storage.local への書き込み間隔
+const NAVIGATION_PERSIST_DELAY_MS = 1000;
+// 履歴の訪問とナビゲーションを同一とみなす時刻の差
+const NAVIGATION_MATCH_TOLERANCE_MS = 2000;
+
+// Navigation tracking for enhanced tree building (Beta mode)
+class NavigationTracker {
+  constructor() {
+    this.backForwardHistory = new Map(); // tabId -> navigation stack
+    this.newTabRelations = new Map(); // childTabId -> [parentTabInfo, ...]（タブIDはブラウザ再起動で再利用されるため配列で保持）
+    this.persistTimer = null;
+    this.ready = Promise.resolve();
+  }
+
+  // background.js から呼び出す：リスナーを登録して記録を開始
+  // Service Worker はいつ停止しても良いように、記録のたびに chrome.storage.local へ保存する
+  startCapture() {
+    if (typeof chrome === 'undefined' || !chrome.webNavigation) return;
+
+    this.ready = this.loadFromStorage();
+
+    // ナビゲーション確定時（履歴に訪問が記録される時点。transitionType/transitionQualifiers もここで得られる）
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId === 0) { // メインフレームのみ
+        this.ready
+          .then(() => this.getTab(details.tabId))
+          .then((tab) => this.trackNavigation(details, tab));
+      }
+    });
+
+    // SPA のURL変更（pushState / replaceState）
+    chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+      if (details.frameId === 0) {
+        this.ready
+          .then(() => this.getTab(details.tabId))
+          .then((tab) => this.trackSameDocumentNavigation(details, tab, 'history_state'));
+      }
+    });
+
+    // #fragment のみの変更
+    chrome.webNavigation.onReferenceFragmentUpdated.addListener((details) => {
+      if (details.frameId === 0) {
+        this.ready
+          .then(() => this.getTab(details.tabId))
+          .then((tab) => this.trackSameDocumentNavigation(details, tab, 'fragment'));
+      }
+    });
+
+    // ナビゲーション完了時
+    chrome.webNavigation.onCompleted.addListener((details) => {
+      if (details.frameId === 0) {
+        this.ready.then(() => this.recordCompletedNavigation(details));
+      }
+    });
+
+    // 新しいタブが作成された時の親タブを追跡（openerTabId があるタブのみ）
+    if (chrome.tabs && chrome.tabs.onCreated) {
+      chrome.tabs.onCreated.addListener((tab) => {
+        // Ctrl+T などで開いたタブには親がない
+        if (tab.openerTabId === undefined) return;
+
+        const createdTime = Date.now();
+        this.ready
+          .then(() => this.getTab(tab.openerTabId))
+          .then((openerTab) => {
+            const parentInfo = {
+              parentTabId: tab.openerTabId,
+              parentUrl: openerTab ? openerTab.url : null,
+              parentTitle: openerTab ? openerTab.title : null,
+              windowId: tab.windowId,
+              createdTime: createdTime,
+              confidence: 1.0
+            };
+            this.recordNewTab(tab.id, parentInfo);
+            console.log(`新しいタブ追跡: Tab ${tab.id} の親は Tab ${tab.openerTabId} (${parentInfo.parentUrl})`);
+          });
+      });
+    }
+
+    // タブが削除されても記録は残す（閉じた後のブラウジングも解析対象のため）
+    if (chrome.tabs && chrome.tabs.onRemoved) {
+      chrome.tabs.onRemoved.addListener((tabId) => {
+        this.ready.then(() => {
+          const relations = this.newTabRelations.get(tabId);
+          if (relations && relations.length > 0) {
+            relations[relations.length - 1].closedTime = Date.now();
+            this.schedulePersist();
+          }
+        });
+      });
+    }
+  }
+
+  // タブ情報を取得（閉じられたタブやプリレンダー中のタブは null）
+  async getTab(tabId) {
+    try {
+      return await chrome.tabs.get(tabId);
+    } catch {
+      return null;
+    }
+  }
+
+  trackNavigation(details, tab = null) {
+    const navigationInfo = {
+      tabId: details.tabId,
+      windowId: tab ? tab.windowId : null,
+      openerTabId: tab && tab.openerTabId !== undefined ? tab.openerTabId : null,
+      url: details.url,
+      timeStamp: details.timeStamp,
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers || [],
+      parentTabInfo: this.getNewTabRelation(details.tabId, details.timeStamp)
+    };
+
+    // 戻る/進む操作の検出
+    if (details.transitionQualifiers) {
+      navigationInfo.isBackForward = details.transitionQualifiers.includes('forward_back');
+      navigationInfo.isReload = details.transitionQualifiers.includes('client_redirect') ||
+                               details.transitionQualifiers.includes('server_redirect');
+    }
+
+    // タブごとのナビゲーション履歴を管理
+    if (!this.backForwardHistory.has(details.tabId)) {
+      this.backForwardHistory.set(details.tabId, []);
+    }
+
+    const tabHistory = this.backForwardHistory.get(details.tabId);
+    tabHistory.push(navigationInfo);
+
+    // 履歴が長くなりすぎないよう制限
+    if (tabHistory.length > NAVIGATION_STACK_LIMIT) {
+      tabHistory.shift();
+    }
+
+    this.schedulePersist();
+  }
+
+  // ページを読み込み直さないURL変更を、遷移元のURLと一緒にタブのナビゲーション履歴に記録
+  trackSameDocumentNavigation(details, tab, kind) {
+    const tabHistory = this.backForwardHistory.get(details.tabId) || [];
+    const previous = tabHistory[tabHistory.length - 1];
+    if (previous && previous.url === details.url) return; // URLが変わっていない
+
+    this.trackNavigation(details, tab);
+    const navigationInfo = this.backForwardHistory.get(details.tabId).slice(-1)[0];
+    navigationInfo.isSameDocument = true;
+    navigationInfo.sameDocumentKind = kind;
+    navigationInfo.fromUrl = previous ? previous.url : null;
+  }
+
+  recordCompletedNavigation(details) {
+    // onCompleted の timeStamp は onCommitted と異なるため、同じタブの未完了の同一URLを探す
+    const tabHistory = this.backForwardHistory.get(details.tabId) || [];
+    for (let i = tabHistory.length - 1; i >= 0; i--) {
+      const navInfo = tabHistory[i];
+      if (!navInfo.completed && navInfo.url === details.url) {
+        navInfo.completed = true;
+        navInfo.completedTime = details.timeStamp;
+        this.schedulePersist();
+        break;
+      }
+    }
+  }
+
+  recordNewTab(tabId, parentInfo) {
+    if (!this.newTabRelations.has(tabId)) {
+      this.newTabRelations.set(tabId, []);
+    }
+    this.newTabRelations.get(tabId).push(parentInfo);
+    this.schedulePersist();
+  }
+
+  // 指定時刻に最も近い新規タブ関係を取得
+  getNewTabRelation(tabId, referenceTime) {
+    const relations = this.newTabRelations.get(tabId);
+    if (!relations || relations.length === 0) return undefined;
+
+    return relations.reduce((closest, current) =>
+      Math.abs(current.createdTime - referenceTime) < Math.abs(closest.createdTime - referenceTime) ? current : closest
+    );
+  }
+
+  // 新しいタブで開かれたURLの親を特定
+  findNewTabParent(url, visitTime, tabId = null) {
+    // 特定のタブIDがある場合は直接検索
+    if (tabId && this.newTabRelations.has(tabId)) {
+      const parentInfo = this.getNewTabRelation(tabId, visitTime);
+      const timeDiff = Math.abs(visitTime - parentInfo.createdTime);
+      if (timeDiff < 10000) { // 10秒以内なら関連性ありと判定
+        return {
+          parentUrl: parentInfo.parentUrl,
+          parentTitle: parentInfo.parentTitle,
+          parentTabId: parentInfo.parentTabId,
+          confidence: Math.max(0.5, 1 - (timeDiff / 10000)),
+          relationType: 'new_tab'
+        };
+      }
+    }
+
+    // 時間ベースの推定
+    for (const relations of this.newTabRelations.values()) {
+      for (const parentInfo of relations) {
+        const timeDiff = Math.abs(visitTime - parentInfo.createdTime);
+        if (timeDiff < 5000) { // 5秒以内なら関連性ありと判定
+          return {
+            parentUrl: parentInfo.parentUrl,
+            parentTitle: parentInfo.parentTitle,
+            parentTabId: parentInfo.parentTabId,
+            confidence: Math.max(0.3, 1 - (timeDiff / 5000)),
+            relationType: 'new_tab_time_based'
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  // 戻る動作を検出
+  detectBackNavigation(url, visitTime, tabId = null) {
+    const tabHistory = tabId ? this.backForwardHistory.get(tabId) : null;
+
+    if (tabHistory) {
+      // 同じタブでの戻る動作を検出
+      for (let i = tabHistory.length - 1; i >= 0; i--) {
+        const nav = tabHistory[i];
+        if (nav.isBackForward && nav.url === url) {
+          const timeDiff = Math.abs(visitTime - nav.timeStamp);
+          if (timeDiff < 1000) { // 1秒以内
+            return {
+              confidence: 0.9,
+              relationType: 'back_forward',
+              originalNavigation: nav
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // ナビゲーション履歴を取得
+  getNavigationHistory(tabId) {
+    return this.backForwardHistory.get(tabId) || [];
+  }
+
+  // 期間内の SPA/#fragment によるURL変更を取得（古い順）
+  getSameDocumentNavigations(startTime, endTime) {
+    const navigations = [];
+    for (const tabHistory of this.backForwardHistory.values()) {
+      for (const nav of tabHistory) {
+        if (nav.isSameDocument && nav.timeStamp >= startTime && nav.timeStamp <= endTime) {
+          navigations.push(nav);
+        }
+      }
+    }
+    return navigations.sort((a, b) => a.timeStamp - b.timeStamp);
+  }
+
+  // 履歴の訪問に、URLと時刻が一致する記録済みナビゲーションのタブ情報を付与する
+  // 付与する項目: tabId, windowId, openerTabId, transitionQualifiers
+  annotateVisits(visits, toleranceMs = NAVIGATION_MATCH_TOLERANCE_MS) {
+    const navigationsByUrl = new Map();
+    for (const tabHistory of this.backForwardHistory.values()) {
+      for (const nav of tabHistory) {
+        if (!navigationsByUrl.has(nav.url)) {
+          navigationsByUrl.set(nav.url, []);
+        }
+        navigationsByUrl.get(nav.url).push(nav);
+      }
+    }
+
+    const usedNavigations = new Set();
+    let matchedCount = 0;
+
+    for (const visit of visits) {
+      const candidates = navigationsByUrl.get(visit.url);
+      if (!candidates) continue;
+
+      // 時刻が最も近い未使用のナビゲーションを対応付ける
+      let bestNav = null;
+      let bestDiff = Infinity;
+      for (const nav of candidates) {
+        if (usedNavigations.has(nav)) continue;
+        const timeDiff = Math.abs(nav.timeStamp - visit.visitTime);
+        if (timeDiff <= toleranceMs && timeDiff < bestDiff) {
+          bestNav = nav;
+          bestDiff = timeDiff;
+        }
+      }
+
+      if (bestNav) {
+        usedNavigations.add(bestNav);
+        visit.tabId = bestNav.tabId;
+        visit.windowId = bestNav.windowId ?? null;
+        visit.openerTabId = bestNav.openerTabId ?? null;
+        visit.transitionQualifiers = bestNav.transitionQualifiers || [];
+        matchedCount++;
+      }
+    }
+
+    return matchedCount;
+  }
+
+  // 階層移動を検出
+  detectHierarchyNavigation(fromUrl, toUrl, visitTime) {
+    try {
+      const from = new URL(fromUrl);
+      const to = new URL(toUrl);
+
+      if (from.hostname !== to.hostname) return null;
+
+      const fromParts = from.pathname.split('/').filter(Boolean);
+      const toParts = to.pathname.split('/').filter(Boolean);
+
+      // 深い階層から浅い階層への移動（一覧ページへの戻り）
+      if (fromParts.length > toParts.length) {
+        const isParentPath = toParts.every((part, index) => fromParts[index] === part);
+        if (isParentPath) {
+          const hierarchyDiff = fromParts.length - toParts.length;
+          return {
+            confidence: Math.min(0.9, 0.5 + (hierarchyDiff * 0.2)),
+            relationType: 'hierarchy_up',
+            hierarchyDiff: hierarchyDiff
+          };
+        }
+      }
+
+      // 浅い階層から深い階層への移動（詳細ページへ）
+      if (toParts.length > fromParts.length) {
+        const isChildPath = fromParts.every((part, index) => toParts[index] === part);
+        if (isChildPath) {
+          const hierarchyDiff = toParts.length - fromParts.length;
+          return {
+            confidence: Math.min(0.8, 0.4 + (hierarchyDiff * 0.15)),
+            relationType: 'hierarchy_down',
+            hierarchyDiff: hierarchyDiff
+          };
+        }
+      }
+
+    } catch (e) {
+      console.error('階層移動検出エラー:', e);
+    }
+
+    return null;
+  }
+
+  // --- 永続化 ---
+
+  // 保存用のプレーンなオブジェクトに変換
+  serialize() {
+    return {
+      newTabRelations: Array.from(this.newTabRelations.entries()),
+      backForwardHistory: Array.from(this.backForwardHistory.entries()),
+      savedAt: Date.now()
+    };
+  }
+
+  // 保存されたオブジェクトから状態を復元
+  restore(state) {
+    this.newTabRelations = new Map((state && state.newTabRelations) || []);
+    this.backForwardHistory = new Map((state && state.backForwardHistory) || []);
+  }
+
+  async loadFromStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return;
+
+    const result = await chrome.storage.local.get(NAVIGATION_STORAGE_KEY);
+    this.restore(result[NAVIGATION_STORAGE_KEY]);
+  }
+
+  schedulePersist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persist().catch((error) => console.error('ナビゲーション記録の保存エラー:', error));
+    }, NAVIGATION_PERSIST_DELAY_MS);
+  }
+
+  async persist() {
+    this.prune(Date.now());
+    await chrome.storage.local.set({ [NAVIGATION_STORAGE_KEY]: this.serialize() });
+  }
+
+  // 保持期間を過ぎた記録を削除
+  prune(now) {
+    const threshold = now - NAVIGATION_RETENTION_MS;
+
+    for (const [tabId, relations] of this.newTabRelations) {
+      const kept = relations.filter(relation => relation.createdTime >= threshold);
+      if (kept.length > 0) {
+        this.newTabRelations.set(tabId, kept);
+      } else {
+        this.newTabRelations.delete(tabId);
+      }
+    }
+
+    for (const [tabId, stack] of this.backForwardHistory) {
+      const kept = stack.filter(nav => nav.timeStamp >= threshold);
+      if (kept.length > 0) {
+        this.backForwardHistory.set(tabId, kept);
+      } else {
+        this.backForwardHistory.delete(tabId);
+      }
+    }
+  }
+}
@@ -0,0 +1,508 @@
+// options.js - 設定ページ（集計モードのスコア設定と、変更後の集計ツリーのプレビュー、URLの正規化ルール、URLパターンのグループ）
+
+// 設定できる項目（PARAMS のキー。ALPHA.xxx は ALPHA の係数、scale は表示単位への換算）
+const SCORING_FIELDS = [
+  { key: 'ALPHA.count', label: '遷移回数の係数', step: 0.1 },
+  { key: 'ALPHA.recency', label: '新しさの係数', step: 0.1 },
+  { key: 'ALPHA.freq', label: '訪問回数の係数', step: 0.1 },
+  { key: 'ALPHA.path', label: 'パスの一致の係数', step: 0.1 },
+  { key: 'ALPHA.root', label: 'ルートページの係数', step: 0.1 },
+  { key: 'ALPHA.pattern', label: 'URLパターンの係数', step: 0.1 },
+  { key: 'ALPHA.domain', label: '同じドメインの係数', step: 0.1 },
+  { key: 'ROOT_BONUS', label: 'ルートページのボーナス', step: 10 },
+  { key: 'HIERARCHY_SCORE_BONUS', label: 'URL階層から推定した親子のボーナス', step: 10 },
+  { key: 'RECENCY_HALF_LIFE_MS', label: '新しさの半減期（日）', step: 1, scale: DAY_MS },
+  { key: 'TOP_K_INCOMING', label: '各ページで残す親の候補数', step: 1, min: 1 }
+];
+
+// プレビューに使う期間と訪問数の上限（キャッシュ済みの訪問から読み込む）
+const PREVIEW_RANGE_MS = 3 * DAY_MS;
+const PREVIEW_VISIT_LIMIT = 1000;
+
+class OptionsPage {
+  constructor() {
+    this.previewBuilder = new TreeBuilder();
+    this.savedBuilder = new TreeBuilder(); // 保存済みの設定だけで作るツリー（入力中の未保存の変更は含めない）
+    this.savedParents = new Map(); // url -> 保存済みの設定での親URL（プレビューで変化を示すため）
+    this.previewTimeout = null;
+    this.statusTimeout = null;
+    this.hasPreviewVisits = false;
+
+    this.presetSelect = document.getElementById('preset');
+    this.fieldsContainer = document.getElementById('scoringFields');
+    this.statusElement = document.getElementById('saveStatus');
+    this.canonicalRulesInput = document.getElementById('canonicalRules');
+    this.canonicalTestInput = document.getElementById('canonicalTestInput');
+    this.patternRulesContainer = document.getElementById('patternRules');
+    this.patternTestInput = document.getElementById('patternTestInput');
+  }
+
+  async init() {
+    this.applyTheme();
+    this.renderPresetOptions();
+    this.renderFields();
+
+    const config = await loadScoringConfig();
+    this.presetSelect.value = SCORING_PRESETS[config.preset] ? config.preset : 'custom';
+    this.fillForm(config.params);
+
+    this.presetSelect.addEventListener('change', () => {
+      const preset = SCORING_PRESETS[this.presetSelect.value];
+      if (!preset) return;
+      this.fillForm(preset.params);
+      this.schedulePreview();
+    });
+    this.fieldsContainer.addEventListener('input', () => {
+      this.presetSelect.value = 'custom';
+      this.schedulePreview();
+    });
+    document.getElementById('saveScoring').addEventListener('click', () => this.save());
+    document.getElementById('resetScoring').addEventListener('click', () => {
+      this.presetSelect.value = 'default';
+      this.fillForm({});
+      this.schedulePreview();
+    });
+
+    this.canonicalRulesInput.value = await loadCanonicalRulesText();
+    this.renderCanonicalRules();
+    this.canonicalRulesInput.addEventListener('input', () => {
+      this.renderCanonicalRules();
+      this.schedulePreview();
+    });
+    this.canonicalTestInput.addEventListener('input', () => this.renderCanonicalTest());
+    document.getElementById('saveCanonicalRules').addEventListener('click', () => this.saveCanonicalRules());
+
+    this.renderPatternRules(await loadUrlPatternRules());
+    this.patternRulesContainer.addEventListener('input', () => {
+      this.renderPatternErrors();
+      this.schedulePreview();
+    });
+    this.patternTestInput.addEventListener('input', () => this.renderPatternTest());
+    document.getElementById('addPatternRule').addEventListener('click', () => {
+      this.appendPatternRuleRow({ pattern: '', label: '' }).querySelector('input').focus();
+    });
+    document.getElementById('savePatternRules').addEventListener('click', () => this.savePatternRules());
+    document.getElementById('exportPatternRules').addEventListener('click', () => this.exportPatternRules());
+    const importFile = document.getElementById('importPatternFile');
+    document.getElementById('importPatternRules').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+      if (importFile.files[0]) this.importPatternRules(importFile.files[0]);
+      importFile.value = '';
+    });
+
+    this.renderOverrides(await loadParentOverrides());
+    onParentOverridesChanged((overrides) => this.renderOverrides(overrides));
+
+    await this.loadPreviewVisits();
+    for (const builder of [this.previewBuilder, this.savedBuilder]) {
+      builder.setCanonicalRules(this.getCanonicalRules());
+      builder.setUrlPatternRules(this.readPatternRules());
+      builder.setParams(config.params);
+    }
+    this.updateSavedParents();
+    this.renderPreview();
+  }
+
+  applyTheme() {
+    // 履歴ツリーのページと同じテーマ設定を使う
+    const savedTheme = localStorage.getItem('theme');
+    const isDarkMode = savedTheme
+      ? savedTheme === 'dark'
+      : window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.setAttribute('data-theme', isDarkMode ? 'dark' : 'light');
+  }
+
+  renderPresetOptions() {
+    for (const [name, preset] of Object.entries(SCORING_PRESETS)) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = preset.label;
+      this.presetSelect.appendChild(option);
+    }
+    const custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'カスタム';
+    this.presetSelect.appendChild(custom);
+  }
+
+  renderFields() {
+    for (const field of SCORING_FIELDS) {
+      const label = document.createElement('label');
+      label.className = 'field';
+
+      const text = document.createElement('span');
+      text.textContent = field.label;
+      label.appendChild(text);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = field.step;
+      input.min = field.min ?? 0;
+      input.dataset.key = field.key;
+      label.appendChild(input);
+
+      this.fieldsContainer.appendChild(label);
+    }
+  }
+
+  // params（既定値との差分）をフォームに反映
+  fillForm(params) {
+    const merged = mergeScoringParams(params);
+    for (const field of SCORING_FIELDS) {
+      const input = this.fieldsContainer.querySelector(`input[data-key="${field.key}"]`);
+      const value = this.getParamValue(merged, field.key);
+      input.value = field.scale ? value / field.scale : value;
+    }
+  }
+
+  // フォームの値のうち、既定値と異なるものだけを params として返す
+  readForm() {
+    const params = {};
+    for (const field of SCORING_FIELDS) {
+      const input = this.fieldsContainer.querySelector(`input[data-key="${field.key}"]`);
+      const number = Number(input.value);
+      if (input.value === '' || !Number.isFinite(number)) continue;
+
+      const value = field.scale ? number * field.scale : number;
+      if (value === this.getParamValue(PARAMS, field.key)) continue;
+
+      if (field.key.startsWith('ALPHA.')) {
+        params.ALPHA = params.ALPHA || {};
+        params.ALPHA[field.key.slice('ALPHA.'.length)] = value;
+      } else {
+        params[field.key] = value;
+      }
+    }
+    return params;
+  }
+
+  getParamValue(params, key) {
+    return key.startsWith('ALPHA.') ? params.ALPHA[key.slice('ALPHA.'.length)] : params[key];
+  }
+
+  async save() {
+    const params = this.readForm();
+    try {
+      await saveScoringConfig({ preset: this.presetSelect.value, params });
+      this.previewBuilder.setParams(params);
+      this.savedBuilder.setParams(params);
+      this.updateSavedParents();
+      this.renderPreview();
+      this.showStatus('保存しました');
+    } catch (error) {
+      console.error('スコア設定の保存エラー:', error);
+      this.showStatus(`保存できませんでした: ${error.message}`);
+    }
+  }
+
+  showStatus(message, element = this.statusElement) {
+    element.textContent = message;
+    clearTimeout(this.statusTimeout);
+    this.statusTimeout = setTimeout(() => {
+      element.textContent = '';
+    }, 3000);
+  }
+
+  getCanonicalRules() {
+    return parseCanonicalRules(this.canonicalRulesInput.value).rules;
+  }
+
+  // 解釈できない行を表示する（その行は無視して保存・プレビューする）
+  renderCanonicalRules() {
+    const { errors } = parseCanonicalRules(this.canonicalRulesInput.value);
+    document.getElementById('canonicalErrors').textContent = errors.join('\n');
+    this.renderCanonicalTest();
+  }
+
+  renderCanonicalTest() {
+    const url = this.canonicalTestInput.value.trim();
+    document.getElementById('canonicalTestResult').textContent = url
+      ? `→ ${canonicalizeUrl(url, this.getCanonicalRules())}`
+      : '';
+  }
+
+  async saveCanonicalRules() {
+    const status = document.getElementById('canonicalStatus');
+    try {
+      await saveCanonicalRulesText(this.canonicalRulesInput.value);
+      this.savedBuilder.setCanonicalRules(this.getCanonicalRules());
+      this.updateSavedParents();
+      this.renderPreview();
+      this.showStatus('保存しました', status);
+    } catch (error) {
+      console.error('URL正規化ルールの保存エラー:', error);
+      this.showStatus(`保存できませんでした: ${error.message}`, status);
+    }
+  }
+
+  async loadPreviewVisits() {
+    const endTime = Date.now();
+    let visits = [];
+    try {
+      visits = await new VisitStore().getVisitsInRange(endTime - PREVIEW_RANGE_MS, endTime);
+    } catch (error) {
+      console.error('プレビュー用の履歴の読み込みエラー:', error);
+    }
+
+    this.hasPreviewVisits = visits.length > 0;
+    this.previewBuilder.setVisits(visits.slice(0, PREVIEW_VISIT_LIMIT));
+    // 正規化したURLなどは訪問に書き込まれるため、比較元のツリーには別のオブジェクトを渡す
+    this.savedBuilder.setVisits(visits.slice(0, PREVIEW_VISIT_LIMIT).map(visit => ({ ...visit })));
+  }
+
+  // 保存済みの設定での各URLの親（プレビューで変化を示す比較元）
+  updateSavedParents() {
+    this.savedParents = this.collectParents(this.savedBuilder.getTree('aggregated'));
+  }
+
+  schedulePreview() {
+    clearTimeout(this.previewTimeout);
+    this.previewTimeout = setTimeout(() => {
+      this.previewBuilder.setCanonicalRules(this.getCanonicalRules());
+      this.previewBuilder.setUrlPatternRules(this.readPatternRules());
+      this.previewBuilder.setParams(this.readForm());
+      this.renderPreview();
+    }, 300);
+  }
+
+  renderPatternRules(rules) {
+    this.patternRulesContainer.innerHTML = '';
+    rules.forEach(rule => this.appendPatternRuleRow(rule));
+    this.renderPatternErrors();
+  }
+
+  appendPatternRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'pattern-rule';
+
+    const pattern = document.createElement('input');
+    pattern.className = 'pattern-input';
+    pattern.placeholder = 'github.com/:owner/:repo/issues/:id';
+    pattern.value = rule.pattern;
+    row.appendChild(pattern);
+
+    const label = document.createElement('input');
+    label.className = 'label-input';
+    label.placeholder = 'Issues in :owner/:repo';
+    label.value = rule.label;
+    row.appendChild(label);
+
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = '削除';
+    remove.addEventListener('click', () => {
+      row.remove();
+      this.renderPatternErrors();
+      this.schedulePreview();
+    });
+    row.appendChild(remove);
+
+    this.patternRulesContainer.appendChild(row);
+    return row;
+  }
+
+  // 入力中のルール（パターンが空の行は除く）
+  readPatternRules() {
+    return Array.from(this.patternRulesContainer.querySelectorAll('.pattern-rule'))
+      .map(row => ({
+        pattern: row.querySelector('.pattern-input').value.trim(),
+        label: row.querySelector('.label-input').value.trim()
+      }))
+      .filter(rule => rule.pattern);
+  }
+
+  // 解釈できないパターンの行に印を付ける（その行は無視して保存・プレビューする）
+  renderPatternErrors() {
+    const errors = [];
+    for (const row of this.patternRulesContainer.querySelectorAll('.pattern-rule')) {
+      const input = row.querySelector('.pattern-input');
+      const { error } = input.value.trim() ? compileUrlPattern(input.value) : { error: null };
+      input.classList.toggle('invalid', !!error);
+      input.title = error || '';
+      if (error) errors.push(`${input.value.trim()}: ${error}`);
+    }
+    document.getElementById('patternErrors').textContent = errors.join('\n');
+    this.renderPatternTest();
+  }
+
+  renderPatternTest() {
+    const url = this.patternTestInput.value.trim();
+    const result = document.getElementById('patternTestResult');
+    if (!url) {
+      result.textContent = '';
+      return;
+    }
+    const match = matchUrlPatternRules(url, compileUrlPatternRules(this.readPatternRules()));
+    result.textContent = match
+      ? `→ 「${match.label}」のグループ（${match.pattern}）`
+      : '→ 一致するルールはありません';
+  }
+
+  async savePatternRules() {
+    const status = document.getElementById('patternStatus');
+    try {
+      await saveUrlPatternRules(this.readPatternRules());
+      this.savedBuilder.setUrlPatternRules(this.readPatternRules());
+      this.updateSavedParents();
+      this.renderPreview();
+      this.showStatus('保存しました', status);
+    } catch (error) {
+      console.error('URLパターンの保存エラー:', error);
+      this.showStatus(`保存できませんでした: ${error.message}`, status);
+    }
+  }
+
+  exportPatternRules() {
+    const blob = new Blob([serializeUrlPatternRules(this.readPatternRules())], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'history-tree-url-patterns.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // 読み込んだルールは入力中のルールに追加する（同じパターンは読み込んだもので置き換え。保存は別）
+  async importPatternRules(file) {
+    const status = document.getElementById('patternStatus');
+    const { rules, errors } = parseUrlPatternRulesJson(await file.text());
+    if (rules.length > 0) {
+      const imported = new Set(rules.map(rule => rule.pattern));
+      this.renderPatternRules([...this.readPatternRules().filter(rule => !imported.has(rule.pattern)), ...rules]);
+      this.schedulePreview();
+    }
+    if (errors.length > 0) {
+      document.getElementById('patternErrors').textContent = errors.join('\n');
+    }
+    this.showStatus(`${rules.length}件のルールを読み込みました（保存すると反映されます）`, status);
+  }
+
+  // 集計ツリーの各URLの親（ルートは null）
+  collectParents(roots) {
+    const parents = new Map();
+    const walk = (nodes, parentUrl) => {
+      for (const node of nodes) {
+        parents.set(node.url, parentUrl);
+        walk(node.children, node.url);
+      }
+    };
+    walk(roots, null);
+    return parents;
+  }
+
+  renderPreview() {
+    const summary = document.getElementById('previewSummary');
+    const container = document.getElementById('previewTree');
+    container.innerHTML = '';
+
+    if (!this.hasPreviewVisits) {
+      summary.textContent = 'プレビューする履歴がありません（履歴ツリーを一度開くと、読み込んだ履歴でプレビューできます）';
+      return;
+    }
+
+    const roots = this.previewBuilder.getTree('aggregated');
+    const parents = this.collectParents(roots);
+    let changedCount = 0;
+    for (const [url, parentUrl] of parents) {
+      if (this.savedParents.has(url) && this.savedParents.get(url) !== parentUrl) changedCount++;
+    }
+
+    summary.textContent = changedCount > 0
+      ? `保存済みの設定と比べて ${changedCount} ページの親が変わります（直近${PREVIEW_RANGE_MS / DAY_MS}日の履歴）`
+      : `保存済みの設定と同じツリーです（直近${PREVIEW_RANGE_MS / DAY_MS}日の履歴）`;
+    container.appendChild(this.createPreviewList(roots, null));
+  }
+
+  createPreviewList(nodes, parentUrl) {
+    const ul = document.createElement('ul');
+    for (const node of nodes) {
+      const li = document.createElement('li');
+      const title = document.createElement('span');
+      title.textContent = node.visitCount > 1 ? `${node.title} (${node.visitCount}回)` : node.title;
+      title.title = node.url;
+      li.appendChild(title);
+
+      if (this.savedParents.has(node.url) && this.savedParents.get(node.url) !== parentUrl) {
+        li.classList.add('changed');
+        title.title = `${node.url}\n保存済みの設定での親: ${this.savedParents.get(node.url) || '(ルート)'}`;
+      }
+
+      if (node.children.length > 0) {
+        li.appendChild(this.createPreviewList(node.children, node.url));
+      }
+      ul.appendChild(li);
+    }
+    return ul;
+  }
+
+  // 手動で付け替えたノードの一覧（表示モードごと）
+  renderOverrides(overrides) {
+    const container = document.getElementById('overridesList');
+    container.innerHTML = '';
+    const modeLabels = { chronological: '時系列', aggregated: '集計', beta: 'Beta' };
+    let total = 0;
+
+    for (const mode of PARENT_OVERRIDE_MODES) {
+      const entries = Object.entries(overrides[mode])
+        .sort(([, a], [, b]) => (b.createdTime || 0) - (a.createdTime || 0));
+      if (entries.length === 0) continue;
+      total += entries.length;
+
+      const section = document.createElement('div');
+      section.className = 'override-mode';
+
+      const heading = document.createElement('h3');
+      heading.textContent = `${modeLabels[mode]}（${entries.length}件）`;
+      const revertAll = document.createElement('button');
+      revertAll.className = 'secondary';
+      revertAll.textContent = 'すべて元に戻す';
+      revertAll.addEventListener('click', () => this.revertOverride(mode, null));
+      heading.appendChild(revertAll);
+      section.appendChild(heading);
+
+      for (const [key, override] of entries) {
+        const item = document.createElement('div');
+        item.className = 'override-item';
+
+        const text = document.createElement('span');
+        text.className = 'override-text';
+        text.textContent = `${override.title || key} → ${override.parentKey === null ? '(トップレベル)' : (override.parentTitle || override.parentKey)}`;
+        text.title = mode === 'aggregated' ? key : `visitId: ${key}`;
+        item.appendChild(text);
+
+        if (override.createdTime) {
+          const time = document.createElement('span');
+          time.className = 'override-time';
+          time.textContent = new Date(override.createdTime).toLocaleString('ja-JP');
+          item.appendChild(time);
+        }
+
+        const revert = document.createElement('button');
+        revert.className = 'secondary';
+        revert.textContent = '元に戻す';
+        revert.addEventListener('click', () => this.revertOverride(mode, key));
+        item.appendChild(revert);
+
+        section.appendChild(item);
+      }
+      container.appendChild(section);
+    }
+
+    if (total === 0) {
+      container.textContent = '付け替えたノードはありません';
+    }
+  }
+
+  async revertOverride(mode, key) {
+    try {
+      await removeParentOverride(mode, key);
+    } catch (error) {
+      console.error('付け替えの削除エラー:', error);
+    }
+  }
+}
+
+// 初期化
+document.addEventListener('DOMContentLoaded', () => {
+  const optionsPage = new OptionsPage();
+  optionsPage.init().catch((error) => console.error('設定ページの初期化エラー:', error));
+});
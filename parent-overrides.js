@@ -0,0 +1,54 @@
+// parent-overrides.js - ドラッグ&ドロップで手動で付け替えた親（chrome.storage.local に保存。history.js と options.js から読み込む）
+
+// chrome.storage.local に保存するキー
+// 値: { aggregated: { [url]: override }, chronological: { [visitId]: override }, beta: { [visitId]: override } }
+// override: { parentKey, title, parentTitle, createdTime }（parentKey が null ならトップレベル）
+const PARENT_OVERRIDES_STORAGE_KEY = 'parentOverrides';
+
+const PARENT_OVERRIDE_MODES = ['chronological', 'aggregated', 'beta'];
+
+function getEmptyParentOverrides() {
+  return { chronological: {}, aggregated: {}, beta: {} };
+}
+
+function normalizeParentOverrides(stored) {
+  const overrides = getEmptyParentOverrides();
+  for (const mode of PARENT_OVERRIDE_MODES) {
+    if (stored && stored[mode]) overrides[mode] = { ...stored[mode] };
+  }
+  return overrides;
+}
+
+async function loadParentOverrides() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) return getEmptyParentOverrides();
+
+  const result = await chrome.storage.local.get(PARENT_OVERRIDES_STORAGE_KEY);
+  return normalizeParentOverrides(result[PARENT_OVERRIDES_STORAGE_KEY]);
+}
+
+async function saveParentOverride(mode, key, override) {
+  const overrides = await loadParentOverrides();
+  overrides[mode][key] = override;
+  await chrome.storage.local.set({ [PARENT_OVERRIDES_STORAGE_KEY]: overrides });
+}
+
+// key を省略するとそのモードの付け替えをすべて元に戻す
+async function removeParentOverride(mode, key = null) {
+  const overrides = await loadParentOverrides();
+  if (key === null) {
+    overrides[mode] = {};
+  } else {
+    delete overrides[mode][key];
+  }
+  await chrome.storage.local.set({ [PARENT_OVERRIDES_STORAGE_KEY]: overrides });
+}
+
+// 他のページで変更されたら callback(overrides) を呼ぶ
+function onParentOverridesChanged(callback) {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[PARENT_OVERRIDES_STORAGE_KEY]) return;
+    callback(normalizeParentOverrides(changes[PARENT_OVERRIDES_STORAGE_KEY].newValue));
+  });
+}
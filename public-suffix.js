@@ -0,0 +1,57 @@
+// public-suffix.js - 登録可能なドメイン（eTLD+1）の判定
+// Public Suffix List（https://publicsuffix.org/）のルールは public-suffix-data.js に同梱する（オフラインで使うため）
+// tree-worker.js と options.js から public-suffix-data.js の後、tree-builder.js より前に読み込む
+
+// ルールを種類ごとに分ける（*.kawasaki.jp は kawasaki.jp、!city.kawasaki.jp は city.kawasaki.jp として持つ）
+const PUBLIC_SUFFIXES = new Set();
+const PUBLIC_SUFFIX_WILDCARDS = new Set();
+const PUBLIC_SUFFIX_EXCEPTIONS = new Set();
+for (const rule of PUBLIC_SUFFIX_RULES) {
+  if (rule.startsWith('!')) {
+    PUBLIC_SUFFIX_EXCEPTIONS.add(rule.slice(1));
+  } else if (rule.startsWith('*.')) {
+    PUBLIC_SUFFIX_WILDCARDS.add(rule.slice(2));
+  } else {
+    PUBLIC_SUFFIXES.add(rule);
+  }
+}
+
+function isIpAddress(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':');
+}
+
+// 公開サフィックス（example.co.jp なら co.jp）
+// 例外のルールが最優先で、次に一致するルールのうち最も長いもの。どれにも一致しなければ最後のラベル
+function getPublicSuffix(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    // !city.kawasaki.jp なら kawasaki.jp がサフィックス
+    if (PUBLIC_SUFFIX_EXCEPTIONS.has(labels.slice(i).join('.'))) return labels.slice(i + 1).join('.');
+  }
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (PUBLIC_SUFFIXES.has(candidate) || PUBLIC_SUFFIX_WILDCARDS.has(labels.slice(i + 1).join('.'))) return candidate;
+  }
+  return labels[labels.length - 1];
+}
+
+// 登録可能なドメイン（docs.github.com なら github.com、www.example.co.jp なら example.co.jp）
+// IPアドレスや localhost など、判定できないものはホスト名をそのまま返す
+function getRegistrableDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (!host.includes('.') || isIpAddress(host)) return host;
+
+  const suffix = getPublicSuffix(host);
+  if (host === suffix) return host;
+
+  const rest = host.slice(0, -(suffix.length + 1)).split('.');
+  return `${rest[rest.length - 1]}.${suffix}`;
+}
+
+// 登録可能なドメインより前の部分（www. は除く。なければ空文字）
+function getSubdomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  const site = getRegistrableDomain(host);
+  if (host === site) return '';
+  return host.slice(0, -(site.length + 1)).replace(/^www(\.|$)/, '');
+}
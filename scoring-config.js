@@ -0,0 +1,84 @@
+// scoring-config.js - 集計モードのスコア設定（chrome.storage.sync に保存。options.js と history.js から読み込む）
+
+// chrome.storage.sync に保存するキー
+// 値: { preset, params }（params は PARAMS のうち変更した項目。ALPHA は係数ごと）
+const SCORING_CONFIG_STORAGE_KEY = 'aggregatedScoringConfig';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// プリセット（既定値との差分）
+const SCORING_PRESETS = {
+  default: {
+    label: '標準',
+    params: {}
+  },
+  hierarchy: {
+    label: 'URLの階層を重視',
+    params: {
+      ROOT_BONUS: 300,
+      HIERARCHY_SCORE_BONUS: 160,
+      ALPHA: { path: 1.6, root: 1.3, count: 0.6 }
+    }
+  },
+  transitions: {
+    label: '実際の遷移を重視',
+    params: {
+      ROOT_BONUS: 80,
+      HIERARCHY_SCORE_BONUS: 10,
+      ALPHA: { count: 30, freq: 10, path: 0.3, root: 0.3, pattern: 0.2, domain: 0.2 }
+    }
+  },
+  recent: {
+    label: '最近の遷移を重視',
+    params: {
+      RECENCY_HALF_LIFE_MS: 3 * DAY_MS,
+      ALPHA: { recency: 40, count: 10 }
+    }
+  }
+};
+
+function getDefaultScoringConfig() {
+  return { preset: 'default', params: {} };
+}
+
+// 数値でない項目を取り除く（手で編集された同期データなどへの備え）
+function sanitizeScoringParams(params) {
+  const sanitized = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    if (key === 'ALPHA') {
+      const alpha = sanitizeScoringParams(value);
+      if (Object.keys(alpha).length > 0) sanitized.ALPHA = alpha;
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      sanitized[key] = value;
+    }
+  }
+  return sanitized;
+}
+
+async function loadScoringConfig() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) return getDefaultScoringConfig();
+
+  const result = await chrome.storage.sync.get(SCORING_CONFIG_STORAGE_KEY);
+  const config = result[SCORING_CONFIG_STORAGE_KEY];
+  if (!config) return getDefaultScoringConfig();
+  return { preset: config.preset || 'custom', params: sanitizeScoringParams(config.params) };
+}
+
+async function saveScoringConfig(config) {
+  await chrome.storage.sync.set({
+    [SCORING_CONFIG_STORAGE_KEY]: { preset: config.preset, params: sanitizeScoringParams(config.params) }
+  });
+}
+
+// 他のページ（設定ページなど）で変更されたら callback(config) を呼ぶ
+function onScoringConfigChanged(callback) {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || !changes[SCORING_CONFIG_STORAGE_KEY]) return;
+    const config = changes[SCORING_CONFIG_STORAGE_KEY].newValue;
+    callback(config
+      ? { preset: config.preset || 'custom', params: sanitizeScoringParams(config.params) }
+      : getDefaultScoringConfig());
+  });
+}
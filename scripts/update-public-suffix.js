@@ -0,0 +1,51 @@
+// update-public-suffix.js - public_suffix_list.dat から public-suffix-data.js を生成する（Node で実行）
+// 使い方: node scripts/update-public-suffix.js <public_suffix_list.dat> [元データの版]
+// 元データ: https://publicsuffix.org/list/public_suffix_list.dat
+// 版を省略した場合は .dat の先頭の VERSION / COMMIT を使う
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+const [sourcePath, sourceVersion] = process.argv.slice(2);
+if (!sourcePath) {
+  console.error('usage: node scripts/update-public-suffix.js <public_suffix_list.dat> [source version]');
+  process.exit(1);
+}
+
+const text = fs.readFileSync(sourcePath, 'utf8');
+const header = (name) => {
+  const match = text.match(new RegExp(`^// ${name}: (.+)$`, 'm'));
+  return match ? match[1].trim() : null;
+};
+const version = sourceVersion || [header('VERSION'), header('COMMIT')].filter(Boolean).join(', ') || '不明';
+
+// 1行に1ルール（空白より後は無視）。国際化ドメインは URL のホスト名と比べられるように Punycode にする
+const rules = [];
+for (const line of text.split('\n')) {
+  const rule = line.trim().split(/\s/)[0];
+  if (!rule || rule.startsWith('//')) continue;
+
+  const prefix = rule.match(/^(!|\*\.)?/)[0];
+  const domain = domainToASCII(rule.slice(prefix.length));
+  if (!domain) {
+    console.error(`skip: ${rule}`);
+    continue;
+  }
+  rules.push(prefix + domain);
+}
+
+const output = [
+  '// public-suffix-data.js - Public Suffix List のルール（scripts/update-public-suffix.js で生成。手で編集しない）',
+  '// 元データ: https://publicsuffix.org/list/public_suffix_list.dat',
+  `// 版: ${version}`,
+  '// 国際化ドメインのルールは Punycode に変換済み。public-suffix.js より前に読み込む',
+  '',
+  'const PUBLIC_SUFFIX_RULES = [',
+  ...rules.map((rule, index) => `  '${rule}'${index < rules.length - 1 ? ',' : ''}`),
+  '];',
+  ''
+].join('\n');
+
+fs.writeFileSync(path.join(__dirname, '..', 'public-suffix-data.js'), output);
+console.log(`${rules.length} rules`);
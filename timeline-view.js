@@ -0,0 +1,403 @@
+// timeline-view.js - 時系列ツリーを横軸が時刻のタイムラインとして canvas に描く（history.js のタイムライン表示で使う）
+// ルートのツリーごとに1本のレーン、訪問は訪問時刻の位置の印、親子は印の間の弧で結ぶ
+// ドラッグで期間を選択（onBrush）、Ctrl+ホイールで拡大縮小、Shift+ホイールで時間を移動、ホイールでレーンをスクロール
+
+const TIMELINE_LANE_HEIGHT = 28;
+const TIMELINE_LABEL_WIDTH = 200; // 左のレーン名の幅
+const TIMELINE_AXIS_HEIGHT = 28; // 上の時刻の目盛りの高さ
+const TIMELINE_MARK_RADIUS = 4;
+const TIMELINE_MIN_SPAN_MS = 5 * 60 * 1000; // 拡大の上限（画面の幅が5分）
+const TIMELINE_MAX_SPAN_MS = 28 * 24 * 60 * 60 * 1000; // 縮小の上限（画面の幅が4週間）
+// 目盛りの間隔の候補（目盛りの間が 80px 以上になる最小のものを使う）
+const TIMELINE_TICK_STEPS_MS = [1, 5, 15, 30, 60, 180, 360, 720, 1440, 2880, 10080].map(minutes => minutes * 60 * 1000);
+
+class TimelineViewRenderer {
+  // getMarkColor(node) -> 印の色、onOpen(node, { background }): 印をクリックした時
+  // onBrush(range): ドラッグで期間を選んだ時（range は { start, end }、選択を解除した時は null）
+  constructor(container, { getMarkColor, onOpen, onBrush }) {
+    this.container = container;
+    this.getMarkColor = getMarkColor;
+    this.onOpen = onOpen;
+    this.onBrush = onBrush;
+
+    this.items = []; // { node, parentIndex, lane, time, color }
+    this.lanes = []; // { title, start, end }（items の範囲）
+    this.viewStart = 0; // 画面の左端の時刻
+    this.viewSpan = 60 * 60 * 1000; // 画面の幅の時間
+    this.scrollTop = 0; // レーンの縦スクロール量
+    this.hasFitted = false; // 一度でも訪問が収まる範囲に合わせたか（preserveView の時、それまでは合わせる）
+    this.brush = null; // 選択中の期間 { start, end }
+    this.dragging = null; // ドラッグ中の期間の選択 { id, startX, currentX }
+    this.hoveredIndex = -1;
+    this.frame = null;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'timeline-canvas';
+    this.container.innerHTML = '';
+    this.container.appendChild(this.canvas);
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(this.container);
+    this.initializeInteractions();
+  }
+
+  // ルートのツリーを並べて、全体（最大4週間）が収まる範囲を表示する
+  // preserveView: 表示中の期間と縦スクロールをそのまま使う（ライブ更新の再描画など）
+  setTree(roots, { preserveView = false } = {}) {
+    this.items = [];
+    this.lanes = [];
+    this.hoveredIndex = -1;
+
+    const add = (node, parentIndex, lane) => {
+      const index = this.items.length;
+      this.items.push({ node, parentIndex, lane, time: node.visitTime, color: this.getMarkColor(node) });
+      node.children.forEach(child => add(child, index, lane));
+    };
+    roots.forEach((root, lane) => {
+      const start = this.items.length;
+      add(root, -1, lane);
+      this.lanes.push({ title: root.title || root.url, start, end: this.items.length });
+    });
+
+    if (preserveView && this.hasFitted) {
+      // レーンが減ったら縦スクロールを範囲内に戻す
+      this.scrollTop = Math.min(this.scrollTop, this.getMaxScrollTop());
+      this.scheduleDraw();
+    } else {
+      this.scrollTop = 0;
+      this.fit();
+    }
+  }
+
+  setBrush(range) {
+    this.brush = range;
+    this.scheduleDraw();
+  }
+
+  // すべての訪問が収まる範囲を表示（最大4週間。それより長ければ新しい側）
+  fit() {
+    if (this.items.length > 0) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const item of this.items) {
+        min = Math.min(min, item.time);
+        max = Math.max(max, item.time);
+      }
+      const span = Math.min(Math.max((max - min) * 1.05, TIMELINE_MIN_SPAN_MS), TIMELINE_MAX_SPAN_MS);
+      this.viewSpan = span;
+      this.viewStart = max - min <= span * 0.95 ? (min + max - span) / 2 : max - span * 0.975;
+      this.hasFitted = true;
+    }
+    this.scheduleDraw();
+  }
+
+  // 画面の幅を span（ミリ秒）にする（中央の時刻は変えない）
+  setSpan(span) {
+    const center = this.viewStart + this.viewSpan / 2;
+    this.viewSpan = Math.min(Math.max(span, TIMELINE_MIN_SPAN_MS), TIMELINE_MAX_SPAN_MS);
+    this.viewStart = center - this.viewSpan / 2;
+    this.scheduleDraw();
+  }
+
+  getViewportSize() {
+    return { width: this.container.clientWidth, height: this.container.clientHeight };
+  }
+
+  getMaxScrollTop() {
+    return Math.max(this.lanes.length * TIMELINE_LANE_HEIGHT - (this.getViewportSize().height - TIMELINE_AXIS_HEIGHT), 0);
+  }
+
+  getPlotWidth() {
+    return Math.max(this.getViewportSize().width - TIMELINE_LABEL_WIDTH, 1);
+  }
+
+  timeToX(time) {
+    return TIMELINE_LABEL_WIDTH + ((time - this.viewStart) / this.viewSpan) * this.getPlotWidth();
+  }
+
+  xToTime(x) {
+    return this.viewStart + ((x - TIMELINE_LABEL_WIDTH) / this.getPlotWidth()) * this.viewSpan;
+  }
+
+  laneToY(lane) {
+    return TIMELINE_AXIS_HEIGHT + lane * TIMELINE_LANE_HEIGHT + TIMELINE_LANE_HEIGHT * 0.7 - this.scrollTop;
+  }
+
+  resize() {
+    const { width, height } = this.getViewportSize();
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(width * dpr);
+    this.canvas.height = Math.round(height * dpr);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    this.scheduleDraw();
+  }
+
+  scheduleDraw() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const { width, height } = this.getViewportSize();
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const style = getComputedStyle(this.container);
+    const textColor = style.getPropertyValue('--text-primary').trim() || '#1f1f1f';
+    const secondaryColor = style.getPropertyValue('--text-secondary').trim() || '#5f6368';
+    const stripeColor = style.getPropertyValue('--bg-surface-variant').trim() || '#f1f3f4';
+    const borderColor = style.getPropertyValue('--border-color').trim() || '#dadce0';
+    const accentColor = style.getPropertyValue('--accent-primary').trim() || '#1a73e8';
+    ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+    ctx.textBaseline = 'middle';
+
+    // 画面に見えているレーン
+    const firstLane = Math.max(Math.floor(this.scrollTop / TIMELINE_LANE_HEIGHT), 0);
+    const lastLane = Math.min(Math.ceil((this.scrollTop + height - TIMELINE_AXIS_HEIGHT) / TIMELINE_LANE_HEIGHT), this.lanes.length - 1);
+
+    // レーンの背景（1本おき）と目盛りの縦線
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, TIMELINE_AXIS_HEIGHT, width, height - TIMELINE_AXIS_HEIGHT);
+    ctx.clip();
+    for (let lane = firstLane; lane <= lastLane; lane++) {
+      if (lane % 2 === 1) continue;
+      ctx.fillStyle = stripeColor;
+      ctx.fillRect(0, TIMELINE_AXIS_HEIGHT + lane * TIMELINE_LANE_HEIGHT - this.scrollTop, width, TIMELINE_LANE_HEIGHT);
+    }
+    const ticks = this.getTicks();
+    ctx.strokeStyle = borderColor;
+    ctx.lineWidth = 1;
+    for (const tick of ticks) {
+      const x = Math.round(this.timeToX(tick)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, TIMELINE_AXIS_HEIGHT);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+
+    // 選択中の期間
+    const brush = this.getDisplayedBrush();
+    if (brush) {
+      const x1 = Math.max(this.timeToX(brush.start), TIMELINE_LABEL_WIDTH);
+      const x2 = this.timeToX(brush.end);
+      if (x2 > x1) {
+        ctx.fillStyle = accentColor;
+        ctx.globalAlpha = 0.15;
+        ctx.fillRect(x1, TIMELINE_AXIS_HEIGHT, x2 - x1, height - TIMELINE_AXIS_HEIGHT);
+        ctx.globalAlpha = 1;
+      }
+    }
+
+    // 親子の弧と印（時刻の範囲は左のレーン名に重ならないように切り取る）
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(TIMELINE_LABEL_WIDTH, TIMELINE_AXIS_HEIGHT, width - TIMELINE_LABEL_WIDTH, height - TIMELINE_AXIS_HEIGHT);
+    ctx.clip();
+    for (let lane = firstLane; lane <= lastLane; lane++) {
+      const { start, end } = this.lanes[lane];
+      const y = this.laneToY(lane);
+
+      ctx.strokeStyle = secondaryColor;
+      ctx.globalAlpha = 0.6;
+      for (let i = start; i < end; i++) {
+        const item = this.items[i];
+        if (item.parentIndex === -1) continue;
+        const x1 = this.timeToX(this.items[item.parentIndex].time);
+        const x2 = this.timeToX(item.time);
+        if (Math.max(x1, x2) < TIMELINE_LABEL_WIDTH || Math.min(x1, x2) > width) continue;
+        // 離れた訪問ほど高い弧（レーンの高さまで）
+        const lift = Math.min(Math.abs(x2 - x1) / 4, TIMELINE_LANE_HEIGHT * 0.6);
+        ctx.beginPath();
+        ctx.moveTo(x1, y);
+        ctx.quadraticCurveTo((x1 + x2) / 2, y - lift * 2, x2, y);
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+
+      for (let i = start; i < end; i++) {
+        const item = this.items[i];
+        const x = this.timeToX(item.time);
+        if (x < TIMELINE_LABEL_WIDTH - TIMELINE_MARK_RADIUS || x > width + TIMELINE_MARK_RADIUS) continue;
+        ctx.beginPath();
+        ctx.arc(x, y, i === this.hoveredIndex ? TIMELINE_MARK_RADIUS + 2 : TIMELINE_MARK_RADIUS, 0, 2 * Math.PI);
+        ctx.fillStyle = item.color || accentColor;
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+
+    // レーン名
+    for (let lane = firstLane; lane <= lastLane; lane++) {
+      const title = this.lanes[lane].title;
+      ctx.fillStyle = textColor;
+      ctx.fillText(this.truncateText(ctx, title, TIMELINE_LABEL_WIDTH - 16), 8, this.laneToY(lane));
+    }
+    ctx.restore();
+
+    // 時刻の目盛り
+    ctx.fillStyle = secondaryColor;
+    ctx.strokeStyle = borderColor;
+    ctx.beginPath();
+    ctx.moveTo(0, TIMELINE_AXIS_HEIGHT - 0.5);
+    ctx.lineTo(width, TIMELINE_AXIS_HEIGHT - 0.5);
+    ctx.stroke();
+    const step = ticks.length > 1 ? ticks[1] - ticks[0] : TIMELINE_TICK_STEPS_MS[0];
+    for (const tick of ticks) {
+      const x = this.timeToX(tick);
+      if (x < TIMELINE_LABEL_WIDTH) continue;
+      ctx.fillText(this.formatTick(tick, step), x + 4, TIMELINE_AXIS_HEIGHT / 2);
+    }
+    ctx.fillText(this.formatSpan(this.viewSpan), 8, TIMELINE_AXIS_HEIGHT / 2);
+  }
+
+  // 画面の範囲の目盛りの時刻（日をまたぐ間隔はその日の0時から）
+  getTicks() {
+    const minStep = (80 / this.getPlotWidth()) * this.viewSpan;
+    const step = TIMELINE_TICK_STEPS_MS.find(candidate => candidate >= minStep) || TIMELINE_TICK_STEPS_MS[TIMELINE_TICK_STEPS_MS.length - 1];
+    // 目盛りはローカル時刻の区切りに合わせる
+    const offset = new Date(this.viewStart).getTimezoneOffset() * 60 * 1000;
+    let tick = Math.ceil((this.viewStart - offset) / step) * step + offset;
+    const ticks = [];
+    const end = this.viewStart + this.viewSpan;
+    while (tick <= end && ticks.length < 200) {
+      ticks.push(tick);
+      tick += step;
+    }
+    return ticks;
+  }
+
+  formatTick(time, step) {
+    const date = new Date(time);
+    const monthDay = `${date.getMonth() + 1}/${date.getDate()}`;
+    const hoursMinutes = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    if (step >= 24 * 60 * 60 * 1000) return monthDay;
+    // 0時の目盛りには日付もつける
+    return date.getHours() === 0 && date.getMinutes() === 0 ? `${monthDay} ${hoursMinutes}` : hoursMinutes;
+  }
+
+  formatSpan(span) {
+    const minutes = Math.round(span / 60000);
+    if (minutes < 60) return `表示幅: ${minutes}分`;
+    if (minutes < 24 * 60) return `表示幅: ${Math.round(minutes / 60 * 10) / 10}時間`;
+    return `表示幅: ${Math.round(minutes / (24 * 60) * 10) / 10}日`;
+  }
+
+  truncateText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let length = text.length;
+    while (length > 0 && ctx.measureText(`${text.slice(0, length)}…`).width > maxWidth) length--;
+    return `${text.slice(0, length)}…`;
+  }
+
+  // ドラッグ中はドラッグしている範囲、それ以外は選択中の期間
+  getDisplayedBrush() {
+    if (this.dragging && Math.abs(this.dragging.currentX - this.dragging.startX) > 4) {
+      const a = this.xToTime(this.dragging.startX);
+      const b = this.xToTime(this.dragging.currentX);
+      return { start: Math.min(a, b), end: Math.max(a, b) };
+    }
+    return this.brush;
+  }
+
+  // 画面上の位置にある印の位置（なければ -1）
+  hitTest(x, y) {
+    if (x < TIMELINE_LABEL_WIDTH || y < TIMELINE_AXIS_HEIGHT) return -1;
+    const lane = Math.floor((y - TIMELINE_AXIS_HEIGHT + this.scrollTop) / TIMELINE_LANE_HEIGHT);
+    if (lane < 0 || lane >= this.lanes.length) return -1;
+
+    const laneY = this.laneToY(lane);
+    let found = -1;
+    let foundDistance = (TIMELINE_MARK_RADIUS + 3) ** 2;
+    for (let i = this.lanes[lane].start; i < this.lanes[lane].end; i++) {
+      const distance = (this.timeToX(this.items[i].time) - x) ** 2 + (laneY - y) ** 2;
+      if (distance <= foundDistance) {
+        found = i;
+        foundDistance = distance;
+      }
+    }
+    return found;
+  }
+
+  getLocalPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  initializeInteractions() {
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      const { x } = this.getLocalPosition(e);
+      if (x < TIMELINE_LABEL_WIDTH) return;
+      this.canvas.setPointerCapture(e.pointerId);
+      this.dragging = { id: e.pointerId, startX: x, currentX: x };
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      const { x, y } = this.getLocalPosition(e);
+      if (this.dragging && this.dragging.id === e.pointerId) {
+        this.dragging.currentX = Math.max(x, TIMELINE_LABEL_WIDTH);
+        this.scheduleDraw();
+        return;
+      }
+
+      const index = this.hitTest(x, y);
+      if (index !== this.hoveredIndex) {
+        this.hoveredIndex = index;
+        const node = index === -1 ? null : this.items[index].node;
+        this.canvas.title = node ? `${new Date(node.visitTime).toLocaleString()}\n${node.title}\n${node.url}` : '';
+        this.canvas.style.cursor = node ? 'pointer' : '';
+        this.scheduleDraw();
+      }
+    });
+
+    this.canvas.addEventListener('pointerup', (e) => {
+      if (!this.dragging || this.dragging.id !== e.pointerId) return;
+      const brush = this.getDisplayedBrush();
+      const moved = Math.abs(this.dragging.currentX - this.dragging.startX) > 4;
+      this.dragging = null;
+
+      if (moved) {
+        this.brush = brush;
+        this.onBrush(brush);
+      } else {
+        const { x, y } = this.getLocalPosition(e);
+        const index = this.hitTest(x, y);
+        if (index !== -1) {
+          this.onOpen(this.items[index].node, { background: e.shiftKey || e.ctrlKey || e.metaKey });
+        } else if (this.brush) {
+          // 何もないところをクリックしたら選択を解除
+          this.brush = null;
+          this.onBrush(null);
+        }
+      }
+      this.scheduleDraw();
+    });
+
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const { x } = this.getLocalPosition(e);
+      if (e.ctrlKey || e.metaKey) {
+        // カーソルの時刻を中心に拡大縮小
+        const time = this.xToTime(Math.max(x, TIMELINE_LABEL_WIDTH));
+        const span = Math.min(Math.max(this.viewSpan * Math.exp(e.deltaY * 0.003), TIMELINE_MIN_SPAN_MS), TIMELINE_MAX_SPAN_MS);
+        this.viewStart = time - ((time - this.viewStart) * span) / this.viewSpan;
+        this.viewSpan = span;
+      } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        const delta = e.shiftKey ? e.deltaY || e.deltaX : e.deltaX;
+        this.viewStart += (delta / this.getPlotWidth()) * this.viewSpan;
+      } else {
+        this.scrollTop = Math.min(Math.max(this.scrollTop + e.deltaY, 0), this.getMaxScrollTop());
+      }
+      this.scheduleDraw();
+    }, { passive: false });
+
+    this.canvas.addEventListener('dblclick', () => this.fit());
+  }
+}
@@ -0,0 +1,3330 @@
+// tree-builder.js - 訪問履歴からツリーを構築する（tree-worker.js と history.js から読み込む）
+
+// === 集約モード強化版: Chu-Liu/Edmonds ベースの実装 ===
+
+const PARAMS = {
+  PATH_WEIGHT: 40,
+  ROOT_BONUS: 220,
+  DOMAIN_MATCH_BONUS: 20,
+  ID_PATTERN_BONUS: 30,
+  PATTERN_BONUS: 25,
+  RECENCY_HALF_LIFE_MS: 14 * 24 * 60 * 60 * 1000, // 14日
+  ALPHA: { count: 1.0, recency: 1.4, freq: 0.9, path: 1.0, root: 1.1, pattern: 0.6, domain: 0.4 },
+  TOP_K_INCOMING: 10, // 各ノードについて保持する上位incomingエッジ数（速度/品質トレードオフ）
+  HIERARCHY_SCORE_BONUS: 80, // URL 階層から推定した親子関係に与えるボーナス（大きめにすると階層が強く反映）
+  MIN_EDGE_SCORE: 0.01, // かなり低いスコアのエッジは省く
+  DEBUG: false
+};
+
+// 設定ページで保存した値（PARAMS の一部の項目。ALPHA は係数ごと）を既定値に重ねる
+function mergeScoringParams(overrides = {}) {
+  return {
+    ...PARAMS,
+    ...overrides,
+    ALPHA: { ...PARAMS.ALPHA, ...(overrides.ALPHA || {}) }
+  };
+}
+
+// --- ヘルパー: パス接頭辞一致数 ---
+function _countMatchingPathParts(parentParts, childParts) {
+  let matches = 0;
+  const minLen = Math.min(parentParts.length, childParts.length);
+  for (let i = 0; i < minLen; i++) {
+    if (parentParts[i] === childParts[i]) matches++;
+    else break;
+  }
+  return matches;
+}
+
+// --- スコア計算 ---
+function _computeEdgeScore(fromUrl, toUrl, meta, urlVisitMap, now, params = PARAMS) {
+  return _computeEdgeScoreParts(fromUrl, toUrl, meta, urlVisitMap, now, params).score;
+}
+
+// スコアと、その内訳（係数をかけた後の各項目の値。説明パネルで表示）
+function _computeEdgeScoreParts(fromUrl, toUrl, meta, urlVisitMap, now, params = PARAMS) {
+  const al = params.ALPHA;
+  const count = meta.count || 1;
+  const lastTime = meta.lastTime || 0;
+  const visitCountTo = (urlVisitMap.get(toUrl)?.visitCount) || 1;
+
+  const w_count = Math.log(1 + count);
+  const age = Math.max(0, now - lastTime);
+  const w_recency = Math.exp(-age / params.RECENCY_HALF_LIFE_MS); // 0..1
+  const w_freq = Math.log(1 + visitCountTo);
+
+  let w_path = 0, w_root = 0, w_pattern = 0, w_domain = 0;
+  try {
+    const f = new URL(fromUrl);
+    const t = new URL(toUrl);
+    if (f.hostname === t.hostname) {
+      w_domain = params.DOMAIN_MATCH_BONUS;
+      const fromParts = f.pathname.split('/').filter(Boolean);
+      const toParts = t.pathname.split('/').filter(Boolean);
+      const matching = _countMatchingPathParts(fromParts, toParts);
+      if (matching > 0) {
+        w_path = (matching / Math.max(1, fromParts.length)) * params.PATH_WEIGHT;
+      }
+      if (fromParts.length === 0) { // ルートページはボーナス
+        w_root = params.ROOT_BONUS;
+      }
+      const fromLast = (fromParts[fromParts.length - 1] || '').toLowerCase();
+      if (['category','categories','tag','tags','section','posts','articles','products','product','blog'].includes(fromLast)) {
+        w_pattern += params.PATTERN_BONUS;
+      }
+      const toLast = (toParts[toParts.length - 1] || '');
+      if (/^\d+$/.test(toLast) || /^[a-f0-9-]{8,}$/.test(toLast)) {
+        w_pattern += params.ID_PATTERN_BONUS;
+      }
+    } else if (getRegistrableDomain(f.hostname) === getRegistrableDomain(t.hostname)) {
+      w_domain = params.DOMAIN_MATCH_BONUS / 2; // 同じサイトの別のサブドメイン
+    }
+  } catch (e) {
+    // 無効URLならパス/ドメインボーナスは無視
+  }
+
+  const score =
+    al.count * w_count +
+    al.recency * w_recency +
+    al.freq * w_freq +
+    al.path * w_path +
+    al.root * w_root +
+    al.pattern * w_pattern +
+    al.domain * w_domain;
+
+  return {
+    score,
+    parts: {
+      count: al.count * w_count,
+      recency: al.recency * w_recency,
+      freq: al.freq * w_freq,
+      path: al.path * w_path,
+      root: al.root * w_root,
+      pattern: al.pattern * w_pattern,
+      domain: al.domain * w_domain
+    }
+  };
+}
+
+// === Chu-Liu/Edmonds 実装（最大重み有向被覆木） ===
+// nodes: array of node keys (string URLs), root: root key (string), edges: [{u, v, w}]
+// 戻り値: parentMap: Map(node -> parent)（root から辿れないノードは含まれない -> 呼び出し側で root の子として扱う）
+// 各ノードで最大の入辺を選び、閉路ができたら1つのノードに縮約して解き直し（contract）、
+// 縮約を戻すときに閉路へ入る辺で置き換わる閉路内の辺だけを外す（expand）
+function edmondsMaximumArborescence(root, nodes, edges) {
+  const nodeIndex = new Map(nodes.map((n, i) => [n, i]));
+  const rootIdx = nodeIndex.get(root);
+  const parentMap = new Map();
+  if (rootIdx === undefined) return parentMap;
+
+  // root から辿れるノードだけを 0..n-1 に詰め直す（辿れないノードには被覆木が存在しない）
+  const outgoing = nodes.map(() => []);
+  for (let i = 0; i < edges.length; i++) {
+    const u = nodeIndex.get(edges[i].u);
+    const v = nodeIndex.get(edges[i].v);
+    if (u === undefined || v === undefined || u === v || v === rootIdx) continue;
+    outgoing[u].push(i);
+  }
+  const compact = new Map([[rootIdx, 0]]);
+  const queue = [rootIdx];
+  for (let q = 0; q < queue.length; q++) {
+    const u = queue[q];
+    for (const i of outgoing[u]) {
+      const v = nodeIndex.get(edges[i].v);
+      if (!compact.has(v)) {
+        compact.set(v, compact.size);
+        queue.push(v);
+      }
+    }
+  }
+
+  // 縮約の各段階の辺: { u, v, w, src }（src は1つ前の段階の辺のインデックス。最初の段階では edges のインデックス）
+  let levelEdges = [];
+  for (let u = 0; u < nodes.length; u++) {
+    if (!compact.has(u)) continue;
+    for (const i of outgoing[u]) {
+      levelEdges.push({ u: compact.get(u), v: compact.get(nodeIndex.get(edges[i].v)), w: edges[i].w, src: i });
+    }
+  }
+  let n = compact.size;
+  let r = 0;
+  const levels = []; // 縮約前の段階: { edges, best, cycleId }
+
+  let chosen;
+  for (;;) {
+    // 1) 各ノードの最大の入辺（重みが同じなら先の辺）
+    const best = new Array(n).fill(-1);
+    for (let i = 0; i < levelEdges.length; i++) {
+      const e = levelEdges[i];
+      if (e.v === r || e.u === e.v) continue;
+      if (best[e.v] === -1 || e.w > levelEdges[best[e.v]].w) best[e.v] = i;
+    }
+
+    // 2) 選んだ入辺がつくる閉路を検出
+    const visitedFrom = new Array(n).fill(-1);
+    const cycleId = new Array(n).fill(-1);
+    let cycleCount = 0;
+    for (let start = 0; start < n; start++) {
+      let x = start;
+      while (x !== r && visitedFrom[x] === -1) {
+        visitedFrom[x] = start;
+        x = levelEdges[best[x]].u;
+      }
+      if (x !== r && visitedFrom[x] === start && cycleId[x] === -1) {
+        let y = x;
+        do {
+          cycleId[y] = cycleCount;
+          y = levelEdges[best[y]].u;
+        } while (y !== x);
+        cycleCount++;
+      }
+    }
+
+    if (cycleCount === 0) {
+      chosen = [];
+      for (let v = 0; v < n; v++) {
+        if (v !== r) chosen.push(best[v]);
+      }
+      break;
+    }
+
+    // 3) 閉路を1つのノードに縮約し、閉路に入る辺は置き換わる閉路内の辺の重みを引いて残す
+    const newId = new Array(n);
+    let nextId = cycleCount;
+    for (let v = 0; v < n; v++) {
+      newId[v] = cycleId[v] !== -1 ? cycleId[v] : nextId++;
+    }
+    const contractedEdges = [];
+    for (let i = 0; i < levelEdges.length; i++) {
+      const e = levelEdges[i];
+      const cu = newId[e.u];
+      const cv = newId[e.v];
+      if (cu === cv) continue;
+      const w = cycleId[e.v] !== -1 ? e.w - levelEdges[best[e.v]].w : e.w;
+      contractedEdges.push({ u: cu, v: cv, w, src: i });
+    }
+
+    levels.push({ edges: levelEdges, best, cycleId });
+    levelEdges = contractedEdges;
+    n = nextId;
+    r = newId[r];
+  }
+
+  // 4) 縮約を戻す: 閉路に入る辺の先のノード以外は、閉路内で選んだ入辺をそのまま使う
+  for (let l = levels.length - 1; l >= 0; l--) {
+    const level = levels[l];
+    const expanded = chosen.map(i => levelEdges[i].src);
+    const entered = new Set(expanded.map(i => level.edges[i].v));
+    for (let v = 0; v < level.cycleId.length; v++) {
+      if (level.cycleId[v] !== -1 && !entered.has(v)) expanded.push(level.best[v]);
+    }
+    chosen = expanded;
+    levelEdges = level.edges;
+  }
+
+  for (const i of chosen) {
+    const edge = edges[levelEdges[i].src];
+    parentMap.set(edge.v, edge.u);
+  }
+  return parentMap;
+}
+
+// 被覆木の重みの合計（parentMap の各辺について、同じ親子の辺のうち最大の重み）
+function _arborescenceWeight(parentMap, edges) {
+  let total = 0;
+  for (const [child, parent] of parentMap) {
+    let best = -Infinity;
+    for (const e of edges) {
+      if (e.u === parent && e.v === child && e.w > best) best = e.w;
+    }
+    total += best;
+  }
+  return total;
+}
+
+// edmondsMaximumArborescence の検証: 小さなランダムグラフで総当たりの最大重みと比較する
+// Worker のコンソールなどから verifyEdmondsArborescence() で実行（結果は console に出力）
+function verifyEdmondsArborescence({ trials = 200, maxNodes = 6, seed = 1 } = {}) {
+  // 再現できるように種付きの乱数（mulberry32）
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const failures = [];
+  for (let trial = 0; trial < trials; trial++) {
+    const nodeCount = 2 + Math.floor(random() * (maxNodes - 1));
+    const nodes = Array.from({ length: nodeCount }, (_, i) => `n${i}`);
+    const root = nodes[0];
+    const edges = [];
+    for (const u of nodes) {
+      for (const v of nodes) {
+        if (u === v || random() < 0.4) continue;
+        edges.push({ u, v, w: Math.round(random() * 20 - 5) });
+        // 同じ親子の辺が複数ある場合も確認
+        if (random() < 0.1) edges.push({ u, v, w: Math.round(random() * 20 - 5) });
+      }
+    }
+
+    const expected = _bruteForceMaximumArborescence(root, nodes, edges);
+    const parentMap = edmondsMaximumArborescence(root, nodes, edges);
+    const actual = _arborescenceWeight(parentMap, edges);
+    const valid = _isArborescence(root, parentMap, expected.reachable);
+
+    if (!valid || Math.abs(actual - expected.weight) > 1e-9) {
+      failures.push({ trial, nodes, edges, expected: expected.weight, actual, valid });
+    }
+  }
+
+  if (failures.length > 0) {
+    console.error(`Edmonds検証: ${failures.length}/${trials}件が不一致`, failures);
+  } else {
+    console.log(`Edmonds検証: ${trials}件すべて総当たりと一致`);
+  }
+  return { trials, failures };
+}
+
+// 総当たりで最大重みの被覆木を求める（root から辿れる各ノードの入辺の組み合わせをすべて試す）
+function _bruteForceMaximumArborescence(root, nodes, edges) {
+  const reachable = new Set([root]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const e of edges) {
+      if (reachable.has(e.u) && !reachable.has(e.v)) {
+        reachable.add(e.v);
+        grew = true;
+      }
+    }
+  }
+
+  const targets = nodes.filter(n => n !== root && reachable.has(n));
+  const candidates = targets.map(v => edges.filter(e => e.v === v && e.u !== v && reachable.has(e.u)));
+  let bestWeight = -Infinity;
+  const parentMap = new Map();
+
+  const search = (index, weight) => {
+    if (index === targets.length) {
+      if (_isArborescence(root, parentMap, reachable) && weight > bestWeight) bestWeight = weight;
+      return;
+    }
+    for (const e of candidates[index]) {
+      parentMap.set(targets[index], e.u);
+      search(index + 1, weight + e.w);
+    }
+    parentMap.delete(targets[index]);
+  };
+  search(0, 0);
+
+  return { weight: targets.length === 0 ? 0 : bestWeight, reachable };
+}
+
+// parentMap が root を根とし、reachable のノードをすべて含む閉路のない木になっているか
+function _isArborescence(root, parentMap, reachable) {
+  for (const node of reachable) {
+    if (node === root) continue;
+    const seen = new Set([node]);
+    let cur = node;
+    while (cur !== root) {
+      cur = parentMap.get(cur);
+      if (cur === undefined || seen.has(cur)) return false;
+      seen.add(cur);
+    }
+  }
+  return parentMap.size === reachable.size - 1;
+}
+
+// --- Greedy fallback: cycle-break by weakest edge (previously described) ---
+function greedyResolve(nodes, incomingMap, params = PARAMS) {
+  const VIRTUAL_ROOT = '__ROOT__';
+  const parentChoice = new Map();
+  const candidateIdx = new Map();
+
+  for (const node of nodes) {
+    const arr = incomingMap.get(node) || [];
+    if (arr.length > 0) {
+      parentChoice.set(node, arr[0].from);
+      candidateIdx.set(node, 0);
+    } else {
+      parentChoice.set(node, VIRTUAL_ROOT);
+    }
+  }
+
+  function detectCycle(parentMap) {
+    const visited = new Set();
+    const inStack = new Set();
+    for (const start of nodes) {
+      if (visited.has(start)) continue;
+      let cur = start;
+      const stack = [];
+      while (cur !== VIRTUAL_ROOT && !visited.has(cur)) {
+        visited.add(cur);
+        inStack.add(cur);
+        stack.push(cur);
+        cur = parentMap.get(cur) || VIRTUAL_ROOT;
+        if (inStack.has(cur)) {
+          // collect cycle
+          const cycle = [];
+          for (let i = stack.length - 1; i >= 0; i--) {
+            const n = stack[i];
+            cycle.push(n);
+            if (n === cur) break;
+          }
+          return cycle.reverse();
+        }
+      }
+      for (const s of stack) inStack.delete(s);
+    }
+    return null;
+  }
+
+  let cycle = detectCycle(parentChoice);
+  while (cycle) {
+    // find weakest edge in cycle (child -> parent) by score
+    let weakest = { node: null, score: Infinity };
+    for (const child of cycle) {
+      const parent = parentChoice.get(child);
+      if (!parent || parent === VIRTUAL_ROOT) continue;
+      const arr = incomingMap.get(child) || [];
+      const idx = arr.findIndex(x => x.from === parent);
+      const sc = idx >= 0 ? arr[idx].score : -Infinity;
+      if (sc < weakest.score) weakest = { node: child, score: sc };
+    }
+    if (!weakest.node) break;
+    // advance candidate for that node
+    const arr = incomingMap.get(weakest.node) || [];
+    const curIdx = candidateIdx.get(weakest.node) || 0;
+    if (curIdx + 1 < arr.length) {
+      candidateIdx.set(weakest.node, curIdx + 1);
+      parentChoice.set(weakest.node, arr[curIdx + 1].from);
+    } else {
+      parentChoice.set(weakest.node, VIRTUAL_ROOT);
+    }
+    cycle = detectCycle(parentChoice);
+  }
+  return parentChoice;
+}
+
+// 新しいタブの親を探す範囲（タブIDはブラウザ再起動で再利用されるため、古い訪問は対象外）
+const OPENER_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// SPA のURL変更の遷移元として探す訪問の範囲
+const SAME_DOCUMENT_PARENT_LOOKBACK_MS = 6 * 60 * 60 * 1000;
+
+// リダイレクト（server_redirect / client_redirect）として記録された遷移の、中継ページからの最大間隔
+const REDIRECT_MAX_INTERVAL_MS = 10 * 1000;
+
+// タブ情報がない訪問で、タイトルのない中継ページからの遷移をリダイレクトとみなす最大間隔
+const REDIRECT_GUESS_INTERVAL_MS = 2000;
+
+// 時系列モードで、これより長く訪問が途切れたら別のセッションとする（既定値）
+const SESSION_IDLE_GAP_MS = 30 * 60 * 1000;
+
+// 検索結果ページのURL（ホスト名・パス）と検索語のクエリパラメータ
+const SEARCH_ENGINES = [
+  { name: 'Google', host: /(^|\.)google\.[a-z.]+$/, path: /^\/search/, param: 'q' },
+  { name: 'Bing', host: /(^|\.)bing\.com$/, path: /^\/search/, param: 'q' },
+  { name: 'Yahoo!検索', host: /^search\.yahoo\.(com|co\.jp)$/, path: /^\/search/, param: 'p' },
+  { name: 'DuckDuckGo', host: /(^|\.)duckduckgo\.com$/, path: /^\/(html\/?)?$/, param: 'q' },
+  { name: 'Baidu', host: /(^|\.)baidu\.com$/, path: /^\/s$/, param: 'wd' },
+  { name: 'Yandex', host: /(^|\.)yandex\.[a-z.]+$/, path: /^\/search/, param: 'text' },
+  { name: 'Ecosia', host: /(^|\.)ecosia\.org$/, path: /^\/search/, param: 'q' },
+  { name: 'Brave Search', host: /^search\.brave\.com$/, path: /^\/search/, param: 'q' },
+  { name: 'YouTube', host: /(^|\.)youtube\.com$/, path: /^\/results/, param: 'search_query' },
+  { name: 'Amazon', host: /(^|\.)amazon\.(com|co\.jp)$/, path: /^\/s\/?$/, param: 'k' },
+  { name: 'Wikipedia', host: /(^|\.)wikipedia\.org$/, path: /^\/w\/index\.php/, param: 'search' },
+  { name: 'GitHub', host: /^github\.com$/, path: /^\/search/, param: 'q' },
+  { name: 'Stack Overflow', host: /^stackoverflow\.com$/, path: /^\/search/, param: 'q' },
+  { name: 'Qiita', host: /^qiita\.com$/, path: /^\/search/, param: 'q' },
+  { name: 'Zenn', host: /^zenn\.dev$/, path: /^\/search/, param: 'q' },
+  { name: 'X', host: /^(x|twitter)\.com$/, path: /^\/search/, param: 'q' }
+];
+
+// 同じ検索エンジンでの検索を、絞り込み（同じ検索セッション）とみなす間隔
+const SEARCH_SESSION_GAP_MS = 30 * 60 * 1000;
+
+// 参照元のない訪問を、直前の検索結果から開いたページとみなす間隔
+const SEARCH_RESULT_WINDOW_MS = 5 * 60 * 1000;
+
+// 検索結果ページのURLから検索語を取り出す（検索結果ページでなければ null）
+function extractSearchQuery(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  for (const engine of SEARCH_ENGINES) {
+    if (!engine.host.test(parsed.hostname) || !engine.path.test(parsed.pathname)) continue;
+    const query = (parsed.searchParams.get(engine.param) || '').trim().replace(/\s+/g, ' ');
+    if (query) return { engine: engine.name, query };
+  }
+  return null;
+}
+
+// タイトルの類似度で親を推定するときに遡る時間と、調べる訪問数の上限
+const TITLE_SIMILARITY_LOOKBACK_MS = 30 * 60 * 1000;
+const TITLE_SIMILARITY_MAX_CANDIDATES = 200;
+
+// 類似度の計算で無視する語（どのページにも現れやすい語）
+const SIMILARITY_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'you', 'your', 'how', 'what', 'why',
+  'not', 'all', 'new', 'can', 'use', 'using', 'about', 'into', 'com', 'www', 'http', 'https', 'html', 'htm',
+  'php', 'index', 'page', 'home', 'items', 'articles', 'article', 'posts', 'post', 'entry', 'blog', 'wiki'
+]);
+
+// 類似度を比べるための語の集合（タイトルとURLのパス。オフラインで使えるよう辞書は使わない）
+// - 英数字は単語ごと（2文字以上。数字だけの語は除く）
+// - 日本語・中国語は連続する文字の2文字ずつ（bigram）。ひらがなだけの bigram は助詞などが多いため除く
+function tokenizeForSimilarity(title, url) {
+  let text = title || '';
+  try {
+    const parsed = new URL(url);
+    text += ` ${decodeURIComponent(parsed.pathname).replace(/[/_\-.+]/g, ' ')}`;
+  } catch {
+    // URLとして解釈できなければタイトルだけを使う
+  }
+
+  const tokens = new Set();
+  const normalized = text.normalize('NFKC').toLowerCase();
+  const pattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]+|[a-z0-9\u00c0-\u024f]+/gu;
+  for (const [word] of normalized.matchAll(pattern)) {
+    if (/^[a-z0-9\u00c0-\u024f]+$/.test(word)) {
+      if (word.length >= 2 && !/^\d+$/.test(word) && !SIMILARITY_STOPWORDS.has(word)) tokens.add(word);
+      continue;
+    }
+    for (let i = 0; i + 1 < word.length; i++) {
+      const bigram = word.slice(i, i + 2);
+      if (!/^\p{Script=Hiragana}+$/u.test(bigram)) tokens.add(bigram);
+    }
+  }
+  return tokens;
+}
+
+// トピックモード: ページ同士を同じトピックとみなす類似度の下限
+const TOPIC_MIN_SIMILARITY = 0.25;
+// 実際に遷移したページ同士の類似度に足す値（同じ調べものの流れをまとめやすくする）
+const TOPIC_LINK_BONUS = 0.15;
+// これより多くのページに現れる語はトピックの手がかりにしない（ページ数に対する割合）
+const TOPIC_MAX_DOCUMENT_RATIO = 0.2;
+
+// 2つの語の集合の類似度（Dice係数、0〜1）と共通する語
+function compareTokenSets(a, b) {
+  if (a.size === 0 || b.size === 0) return { similarity: 0, shared: [] };
+  const shared = [];
+  for (const token of a) {
+    if (b.has(token)) shared.push(token);
+  }
+  return { similarity: (2 * shared.length) / (a.size + b.size), shared };
+}
+
+// 訪問の配列から各表示モードのツリーを構築する
+// DOM や chrome.* API には依存しない（Web Worker 上で実行するため）
+class TreeBuilder {
+  constructor(navigationTracker = new NavigationTracker()) {
+    this.allVisits = [];
+    this.navigationTracker = navigationTracker;
+    this.trees = new Map(); // mode -> 構築済みのツリー（訪問が変わるまで再利用）
+    this.params = PARAMS; // 集計モードのスコア設定
+    this.parentOverrides = { chronological: {}, aggregated: {}, beta: {} }; // 手動で付け替えた親
+    this.canonicalRules = []; // URL正規化のユーザールール（url-canonical.js の parseCanonicalRules）
+    this.urlPatternRules = []; // グループにまとめるURLパターン（url-patterns.js の compileUrlPatternRules）
+  }
+
+  // URLパターンのルールを変更する（集計・Betaモードのツリーは作り直す）
+  setUrlPatternRules(rules) {
+    this.urlPatternRules = compileUrlPatternRules(rules);
+    this.trees.delete('aggregated');
+    this.trees.delete('beta');
+  }
+
+  // URL正規化のルールを変更する（正規化したURLを付け直し、構築済みのツリーは破棄）
+  setCanonicalRules(rules) {
+    this.canonicalRules = rules;
+    this.allVisits.forEach(visit => this.annotateCanonicalUrl(visit));
+    this.trees.clear();
+  }
+
+  annotateCanonicalUrl(visit) {
+    visit.canonicalUrl = canonicalizeUrl(visit.url, this.canonicalRules);
+  }
+
+  // 同じページかを比べるためのキー（正規化したURL）
+  getCanonicalUrl(node) {
+    return node.canonicalUrl || node.url;
+  }
+
+  // 手動で付け替えた親を変更する（構築済みのツリーは破棄）
+  setParentOverrides(overrides) {
+    this.parentOverrides = overrides;
+    this.trees.clear();
+  }
+
+  // 集計モードのスコア設定を変更する（集計ツリーは作り直す）
+  setParams(overrides) {
+    this.params = mergeScoringParams(overrides);
+    this.trees.delete('aggregated');
+  }
+
+  // 訪問を置き換える（構築済みのツリーは破棄）
+  // range: 読み込んだ期間 { startTime, endTime }（SPA のURL変更を合成する範囲）
+  setVisits(visits, range = null) {
+    // 訪問時刻の新しい順でソート
+    this.allVisits = visits.slice().sort((a, b) => b.visitTime - a.visitTime);
+    // 記録済みのナビゲーションから実際のタブ情報を付与
+    const matchedCount = this.navigationTracker.annotateVisits(this.allVisits);
+    console.log(`タブ情報を付与: ${matchedCount}個 / 全訪問: ${this.allVisits.length}個`);
+    if (range) {
+      const syntheticCount = this.addSameDocumentVisits(range);
+      console.log(`SPAの訪問を合成: ${syntheticCount}個`);
+    }
+    this.allVisits.forEach(visit => this.annotateCanonicalUrl(visit));
+    const foldedCount = this.foldRedirectChains();
+    console.log(`リダイレクトの中継ページをまとめた数: ${foldedCount}個`);
+    const searchLinkCount = this.linkSearchSessions();
+    console.log(`検索セッションの関係を補完: ${searchLinkCount}個`);
+    this.trees.clear();
+  }
+
+  // リダイレクトの中継ページ（ログイン・短縮URL・計測用など）を最終的な遷移先の訪問にまとめる
+  // 遷移先の訪問には中継したページを via に記録し、参照元と遷移の種類は連鎖の起点のものを引き継ぐ
+  // 戻り値はまとめた中継ページの数
+  foldRedirectChains() {
+    const visitMap = new Map(this.allVisits.map(visit => [visit.visitId, visit]));
+    const childCounts = new Map(); // visitId -> その訪問を参照元とする訪問の数
+    for (const visit of this.allVisits) {
+      if (visit.referringVisitId) {
+        childCounts.set(visit.referringVisitId, (childCounts.get(visit.referringVisitId) || 0) + 1);
+      }
+    }
+
+    // 古い順に処理し、連鎖の途中の訪問を先にまとめておく
+    const visitsAsc = this.allVisits.slice().sort((a, b) => a.visitTime - b.visitTime);
+    const folded = new Map(); // 中継ページの visitId -> まとめ先の訪問
+    for (const visit of visitsAsc) {
+      const hop = visitMap.get(visit.referringVisitId);
+      if (!hop || !this.isRedirectHop(hop, visit, childCounts.get(hop.visitId) || 0)) continue;
+
+      this.mergeRedirectHop(hop, visit);
+      folded.set(hop.visitId, visit);
+    }
+    if (folded.size === 0) return 0;
+
+    this.allVisits = this.allVisits.filter(visit => !folded.has(visit.visitId));
+
+    // 中継ページを参照元としていた他の訪問は、まとめ先につなぎ替える
+    for (const visit of this.allVisits) {
+      let referrerId = visit.referringVisitId;
+      while (folded.has(referrerId)) {
+        referrerId = folded.get(referrerId).visitId;
+      }
+      if (referrerId !== visit.referringVisitId && referrerId !== visit.visitId) {
+        visit.referringVisitId = referrerId;
+      }
+    }
+
+    return folded.size;
+  }
+
+  // hop から visit への遷移がリダイレクトかを判定
+  isRedirectHop(hop, visit, hopChildCount) {
+    if (hop.url === visit.url || hop.isSynthetic || visit.isSynthetic) return false;
+    if (hop.tabId !== undefined && visit.tabId !== undefined && hop.tabId !== visit.tabId) return false;
+
+    const interval = visit.visitTime - hop.visitTime;
+    if (interval < 0) return false;
+
+    const qualifiers = visit.transitionQualifiers || [];
+    if (qualifiers.includes('server_redirect') || qualifiers.includes('client_redirect')) {
+      return interval <= REDIRECT_MAX_INTERVAL_MS;
+    }
+
+    // 記録がなければ、タイトルのない（表示されなかった）ページからの唯一の遷移をリダイレクトと推定
+    const hasTitle = hop.title && hop.title !== hop.url;
+    return interval <= REDIRECT_GUESS_INTERVAL_MS && hopChildCount === 1 && !hasTitle;
+  }
+
+  // 中継ページ hop を遷移先の訪問 visit にまとめる
+  mergeRedirectHop(hop, visit) {
+    visit.via = [
+      ...(hop.via || []),
+      { visitId: hop.visitId, url: hop.url, title: hop.title, visitTime: hop.visitTime }
+    ];
+    visit.referringVisitId = hop.referringVisitId || null;
+    visit.redirectTransition = visit.transition;
+    visit.transition = hop.transition;
+  }
+
+  // 検索結果ページに検索語を付与する
+  annotateSearchQuery(visit) {
+    const search = extractSearchQuery(visit.url);
+    if (search) {
+      visit.searchQuery = search.query;
+      visit.searchEngine = search.engine;
+    }
+    return search;
+  }
+
+  // 検索結果ページを検索セッションとしてまとめる
+  // - 同じ検索エンジンでの続けての検索は絞り込みとして前の検索結果ページの下につなぐ
+  // - 参照元のないリンク遷移は、直前の検索結果ページから開いたページとしてその下に置く
+  // いずれも参照元が記録されていない訪問だけを補完する（戻り値は補完した数）
+  linkSearchSessions() {
+    const visitsAsc = this.allVisits.slice().sort((a, b) => a.visitTime - b.visitTime);
+    // Chrome は参照元がない訪問にも "0" を入れるので、参照元の有無は訪問があるかで判定する
+    const visitIds = new Set(this.allVisits.map(visit => visit.visitId));
+    const hasReferrer = (visit) => Boolean(visit.referringVisitId) && visitIds.has(visit.referringVisitId);
+    const sessionQueries = new Map(); // searchSessionId -> 検索語（検索順）
+    let lastSearch = null;
+    let linkedCount = 0;
+
+    for (const visit of visitsAsc) {
+      if (this.annotateSearchQuery(visit)) {
+        const isRefinement = lastSearch &&
+          lastSearch.searchEngine === visit.searchEngine &&
+          visit.visitTime - lastSearch.visitTime < SEARCH_SESSION_GAP_MS;
+
+        if (isRefinement) {
+          visit.searchSessionId = lastSearch.searchSessionId;
+          if (!hasReferrer(visit)) {
+            visit.referringVisitId = lastSearch.visitId;
+            visit.searchRelation = 'refinement';
+            linkedCount++;
+          }
+        } else {
+          visit.searchSessionId = visit.visitId;
+          sessionQueries.set(visit.searchSessionId, []);
+        }
+
+        const queries = sessionQueries.get(visit.searchSessionId);
+        if (queries[queries.length - 1] !== visit.searchQuery) {
+          queries.push(visit.searchQuery);
+        }
+        lastSearch = visit;
+        continue;
+      }
+
+      if (
+        lastSearch &&
+        !hasReferrer(visit) &&
+        visit.transition === 'link' &&
+        visit.visitTime - lastSearch.visitTime < SEARCH_RESULT_WINDOW_MS
+      ) {
+        visit.referringVisitId = lastSearch.visitId;
+        visit.searchRelation = 'result';
+        linkedCount++;
+      }
+    }
+
+    // セッションの起点となる検索結果ページに、絞り込みの流れを記録
+    for (const visit of visitsAsc) {
+      if (visit.searchSessionId === visit.visitId) {
+        visit.searchSessionQueries = sessionQueries.get(visit.visitId);
+      }
+    }
+
+    return linkedCount;
+  }
+
+  // SPA（pushState / #fragment）のURL変更を合成の訪問として追加し、遷移元のページの下に置く
+  // 履歴に同じURL・時刻の訪問が既にある場合は合成せず、参照元がなければ遷移元を設定する
+  addSameDocumentVisits(range) {
+    const navigations = this.navigationTracker.getSameDocumentNavigations(range.startTime, range.endTime);
+    if (navigations.length === 0) return 0;
+
+    const visitsByUrl = new Map();
+    const addToIndex = (visit) => {
+      if (!visitsByUrl.has(visit.url)) visitsByUrl.set(visit.url, []);
+      visitsByUrl.get(visit.url).push(visit);
+    };
+    this.allVisits.forEach(addToIndex);
+    // Chrome は参照元がない訪問にも "0" を入れるので、参照元の有無は訪問があるかで判定する
+    const visitIds = new Set(this.allVisits.map(visit => visit.visitId));
+
+    // 遷移元: 同じURLでナビゲーションの直前の訪問（同じタブの訪問を優先）
+    const findSourceVisit = (nav) => {
+      const candidates = (visitsByUrl.get(nav.fromUrl) || []).filter(visit =>
+        visit.visitTime <= nav.timeStamp &&
+        nav.timeStamp - visit.visitTime < SAME_DOCUMENT_PARENT_LOOKBACK_MS
+      );
+      if (candidates.length === 0) return null;
+      const sameTab = candidates.filter(visit => visit.tabId === nav.tabId);
+      const pool = sameTab.length > 0 ? sameTab : candidates;
+      return pool.reduce((latest, current) => current.visitTime > latest.visitTime ? current : latest);
+    };
+
+    const syntheticVisits = [];
+    for (const nav of navigations) {
+      const source = nav.fromUrl ? findSourceVisit(nav) : null;
+      const existing = (visitsByUrl.get(nav.url) || []).find(visit =>
+        Math.abs(visit.visitTime - nav.timeStamp) <= NAVIGATION_MATCH_TOLERANCE_MS
+      );
+
+      if (existing) {
+        const hasReferrer = existing.referringVisitId && visitIds.has(existing.referringVisitId);
+        if (!hasReferrer && source && source !== existing) {
+          existing.referringVisitId = source.visitId;
+          existing.isSameDocumentReferrer = true;
+        }
+        continue;
+      }
+
+      let hostname = '';
+      try {
+        hostname = new URL(nav.url).hostname;
+      } catch {
+        // 無効なURLならファビコンなし
+      }
+
+      const visit = {
+        visitId: `spa_${nav.tabId}_${nav.timeStamp}`,
+        url: nav.url,
+        title: nav.url, // SPAのURL変更ではタイトルが記録されない
+        visitTime: nav.timeStamp,
+        referringVisitId: source ? source.visitId : null,
+        transition: nav.sameDocumentKind === 'fragment' ? 'spa_fragment' : 'spa_history_state',
+        favicon: `https://www.google.com/s2/favicons?domain=${hostname}&sz=16`,
+        tabId: nav.tabId,
+        windowId: nav.windowId ?? null,
+        openerTabId: nav.openerTabId ?? null,
+        transitionQualifiers: nav.transitionQualifiers || [],
+        isSynthetic: true
+      };
+      syntheticVisits.push(visit);
+      addToIndex(visit);
+    }
+
+    this.allVisits.push(...syntheticVisits);
+    this.allVisits.sort((a, b) => b.visitTime - a.visitTime);
+    return syntheticVisits.length;
+  }
+
+  // モードに応じたツリーを取得（構築済みなら再利用）
+  getTree(mode) {
+    if (!this.trees.has(mode)) {
+      let roots;
+      if (mode === 'aggregated') {
+        roots = this.buildAggregatedTree();
+      } else if (mode === 'beta') {
+        roots = this.buildBetaTree();
+      } else if (mode === 'topics') {
+        roots = this.buildTopicsTree();
+      } else {
+        roots = this.buildHistoryTree();
+      }
+      if (mode === 'aggregated' || mode === 'beta') {
+        roots = this.groupByUrlPatterns(roots, mode);
+      }
+      // 推定で選んだ親より、手動で付け替えた親を優先する
+      roots = this.applyParentOverrides(roots, mode);
+      this.trees.set(mode, roots);
+    }
+    return this.trees.get(mode);
+  }
+
+  // URLパターンのルールに一致するページを、グループのノード（「Issues in owner/repo」など）の子にまとめる
+  // グループは一致したページのうち最も浅いものの位置に置く（一致したページが2つ以上ある場合だけ）
+  groupByUrlPatterns(roots, mode) {
+    if (this.urlPatternRules.length === 0) return roots;
+
+    const groups = new Map(); // groupKey -> { match, members: [{ node, parent, depth }] }
+    const walk = (nodes, parent, depth) => {
+      for (const node of nodes) {
+        const match = node.url && !node.isGeneratedRoot ? matchUrlPatternRules(node.url, this.urlPatternRules) : null;
+        if (match) {
+          if (!groups.has(match.groupKey)) groups.set(match.groupKey, { match, members: [] });
+          groups.get(match.groupKey).members.push({ node, parent, depth });
+        }
+        walk(node.children, node, depth + 1);
+      }
+    };
+    walk(roots, null, 0);
+
+    let result = roots;
+    for (const { match, members } of groups.values()) {
+      if (members.length < 2) continue;
+
+      const anchor = members.reduce((shallowest, member) => (member.depth < shallowest.depth ? member : shallowest));
+      const memberNodes = members.map(member => member.node);
+      const groupNode = {
+        url: match.groupUrl,
+        canonicalUrl: `pattern:${match.groupKey}`,
+        visitId: `pattern_group_${match.groupKey}`,
+        title: match.label,
+        favicon: anchor.node.favicon,
+        visitTime: Math.max(...memberNodes.map(node => node.visitTime || 0)),
+        visitCount: mode === 'aggregated'
+          ? memberNodes.reduce((sum, node) => sum + (node.visitCount || 1), 0)
+          : memberNodes.length,
+        transition: 'generated',
+        isPatternGroup: true,
+        patternRule: match.pattern,
+        betaRelations: [],
+        children: memberNodes.slice()
+      };
+
+      // 最も浅いページの位置にグループを置き、一致したページは元の位置から取り除く
+      const siblings = anchor.parent ? anchor.parent.children : result;
+      siblings.splice(siblings.indexOf(anchor.node), 0, groupNode);
+      const memberSet = new Set(memberNodes);
+      for (const { node, parent } of members) {
+        node.patternGroup = match.label;
+        if (parent) {
+          parent.children = parent.children.filter(child => !memberSet.has(child));
+        }
+      }
+      result = result.filter(node => !memberSet.has(node));
+      groupNode.children.sort((a, b) => this.getLatestVisitTimeInTree(b) - this.getLatestVisitTimeInTree(a));
+    }
+    return result;
+  }
+
+  // 付け替えのキー（集計モードはURL、それ以外は visitId）
+  getOverrideKey(node, mode) {
+    return mode === 'aggregated' ? this.getCanonicalUrl(node) : node.visitId;
+  }
+
+  // 手動で付け替えた親をツリーに反映する（親が読み込んだ範囲にない場合や、閉路になる場合は無視）
+  applyParentOverrides(roots, mode) {
+    const overrides = this.parentOverrides[mode] || {};
+    if (Object.keys(overrides).length === 0) return roots;
+
+    const nodesByKey = new Map();
+    const parents = new Map(); // node -> 親ノード（ルートなら null）
+    const walk = (nodes, parent) => {
+      for (const node of nodes) {
+        const key = this.getOverrideKey(node, mode);
+        if (!nodesByKey.has(key)) nodesByKey.set(key, node);
+        parents.set(node, parent);
+        walk(node.children, node);
+      }
+    };
+    walk(roots, null);
+
+    let appliedCount = 0;
+    for (const [key, override] of Object.entries(overrides)) {
+      const node = nodesByKey.get(key);
+      if (!node) continue;
+      const newParent = override.parentKey === null ? null : nodesByKey.get(override.parentKey);
+      if (override.parentKey !== null && !newParent) continue;
+
+      let createsCycle = false;
+      for (let ancestor = newParent; ancestor; ancestor = parents.get(ancestor)) {
+        if (ancestor === node) {
+          createsCycle = true;
+          break;
+        }
+      }
+      if (createsCycle) {
+        console.warn(`付け替えを無視（閉路になる）: ${key} -> ${override.parentKey}`);
+        continue;
+      }
+
+      const oldSiblings = parents.get(node) ? parents.get(node).children : roots;
+      oldSiblings.splice(oldSiblings.indexOf(node), 1);
+      const newSiblings = newParent ? newParent.children : roots;
+      newSiblings.push(node);
+      newSiblings.sort((a, b) => this.getLatestVisitTimeInTree(b) - this.getLatestVisitTimeInTree(a));
+      parents.set(node, newParent);
+      node.isOverridden = true;
+      appliedCount++;
+    }
+
+    console.log(`手動の付け替えを反映: ${appliedCount}個`);
+    return roots;
+  }
+
+  // 表示用のツリーを作成（時系列モードは連続する同じアイテムをまとめ、検索語と期間で絞り込む）
+  // timeRange: { start, end }（タイムライン表示で選んだ期間。null なら絞り込まない）
+  buildView(mode, searchTerm, timeRange = null) {
+    let roots = this.getTree(mode);
+
+    if (mode === 'chronological') {
+      roots = this.mergeConsecutiveSameItems(roots);
+    }
+
+    if (searchTerm) {
+      roots = this.filterTree(roots, searchTerm);
+    }
+
+    if (timeRange) {
+      roots = this.filterTreeByTimeRange(roots, timeRange);
+    }
+
+    return roots;
+  }
+
+  // 訪問が gapMs より長く途切れたところで区切ったセッション（新しい順）
+  // 各セッション: { id, startTime, endTime, visitCount, topDomains: [{ domain, count }] }
+  detectSessions(gapMs = SESSION_IDLE_GAP_MS) {
+    const times = this.allVisits.map(visit => ({ time: visit.visitTime, url: visit.url }))
+      .sort((a, b) => a.time - b.time);
+    const sessions = [];
+    let current = null;
+    let domainCounts = null;
+
+    const finish = () => {
+      current.topDomains = Array.from(domainCounts, ([domain, count]) => ({ domain, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 3);
+      sessions.push(current);
+    };
+
+    for (const { time, url } of times) {
+      if (!current || time - current.endTime > gapMs) {
+        if (current) finish();
+        current = { id: `session_${time}`, startTime: time, endTime: time, visitCount: 0 };
+        domainCounts = new Map();
+      }
+      current.endTime = time;
+      current.visitCount++;
+      try {
+        const domain = new URL(url).hostname;
+        if (domain) domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
+      } catch {
+        // 無効なURLは集計しない
+      }
+    }
+    if (current) finish();
+
+    return sessions.reverse();
+  }
+
+  // 時系列モードのルートをセッションごとに分ける（ルートはツリー内の最新の訪問時刻のセッションに属する）
+  // sessionId を指定するとそのセッションのルートだけを返す
+  // 戻り値: { roots, sessions }（sessions の rootStart/rootCount は roots 内の範囲。表示するルートがないセッションも含む）
+  splitIntoSessions(roots, gapMs = SESSION_IDLE_GAP_MS, sessionId = null) {
+    const sessions = this.detectSessions(gapMs).map(session => ({ ...session, rootStart: 0, rootCount: 0 }));
+    if (sessionId && !sessions.some(session => session.id === sessionId)) {
+      sessionId = null; // 読み込んだ期間にないセッションなら絞り込まない
+    }
+    const sessionOf = (time) => sessions.find(session => session.startTime <= time) || sessions[sessions.length - 1];
+
+    const rootsBySession = new Map(sessions.map(session => [session, []]));
+    for (const root of roots) {
+      const session = sessionOf(this.getLatestVisitTimeInTree(root));
+      if (session) rootsBySession.get(session).push(root);
+    }
+
+    const orderedRoots = [];
+    for (const session of sessions) {
+      if (sessionId && session.id !== sessionId) continue;
+      session.rootStart = orderedRoots.length;
+      session.rootCount = rootsBySession.get(session).length;
+      orderedRoots.push(...rootsBySession.get(session));
+    }
+
+    return { roots: orderedRoots, sessions };
+  }
+
+  // 新しい訪問を追加し、構築済みのツリーをその場で更新する
+  addVisits(visits) {
+    const sorted = visits.slice().sort((a, b) => a.visitTime - b.visitTime);
+    this.navigationTracker.annotateVisits(sorted);
+    let hasFoldedRedirect = false;
+    for (const visit of sorted) {
+      this.annotateCanonicalUrl(visit);
+      this.annotateSearchQuery(visit);
+      const hop = visit.referringVisitId && this.allVisits.find(v => v.visitId === visit.referringVisitId);
+      // 中継ページからの遷移の数（この訪問を含む）
+      const hopChildren = hop ? this.allVisits.filter(v => v.referringVisitId === hop.visitId) : [];
+      if (hop && this.isRedirectHop(hop, visit, hopChildren.length + 1)) {
+        // 表示済みの中継ページを取り除く必要があるため、ツリーは作り直す
+        this.mergeRedirectHop(hop, visit);
+        this.allVisits = this.allVisits.filter(v => v !== hop);
+        // 中継ページを参照元としていた他の訪問は、まとめ先につなぎ替える（foldRedirectChains と同じ）
+        for (const child of hopChildren) {
+          child.referringVisitId = visit.visitId;
+        }
+        hasFoldedRedirect = true;
+      }
+      this.allVisits.unshift(visit);
+      if (hasFoldedRedirect) continue;
+      this.insertVisitIntoChronologicalTree(visit);
+      this.updateAggregatedTreeForVisit(visit);
+    }
+    if (hasFoldedRedirect) {
+      this.trees.clear();
+    } else {
+      this.trees.delete('beta'); // Betaモードの推定は全体に依存するため再構築
+      this.trees.delete('topics'); // トピックも全体の語の頻度に依存する
+    }
+  }
+
+  // 削除されたURLの訪問をツリーから取り除く
+  removeUrls({ allHistory, urls }) {
+    if (allHistory) {
+      this.allVisits = [];
+      this.trees.clear();
+      return;
+    }
+
+    const removedUrls = new Set(urls || []);
+    this.allVisits = this.allVisits.filter(visit => !removedUrls.has(visit.url));
+    const chronologicalRoots = this.trees.get('chronological');
+    this.trees.clear();
+    if (chronologicalRoots) {
+      this.trees.set('chronological', this.removeNodesByUrl(chronologicalRoots, removedUrls));
+    }
+  }
+
+  // 時系列ツリーを構築（referringVisitId と直接入力などの推定による親子関係）
+  buildHistoryTree() {
+    // visitIdでマップを構築
+    const visitMap = new Map();
+    for (const visit of this.allVisits) {
+      visitMap.set(visit.visitId, { ...visit, children: [] });
+    }
+
+    // 親子関係を構築
+    const roots = [];
+    const processedVisits = new Set();
+
+    // まず明確な親子関係（referringVisitIdがある）を構築
+    for (const visit of visitMap.values()) {
+      if (visit.referringVisitId && visitMap.has(visit.referringVisitId)) {
+        const parent = visitMap.get(visit.referringVisitId);
+        parent.children.push(visit);
+        processedVisits.add(visit.visitId);
+      }
+    }
+
+    // 次に、新規タブなどの推定親子関係を構築
+    const orphanVisits = Array.from(visitMap.values()).filter(visit =>
+      !visit.referringVisitId || !visitMap.has(visit.referringVisitId)
+    );
+
+    for (const orphan of orphanVisits) {
+      if (processedVisits.has(orphan.visitId)) continue;
+
+      // 時系列的に近い親候補を探す（5分以内）
+      const potentialParents = Array.from(visitMap.values()).filter(parent =>
+        parent.visitId !== orphan.visitId &&
+        parent.visitTime > orphan.visitTime - 5 * 60 * 1000 && // 5分前まで
+        parent.visitTime < orphan.visitTime && // 自分より前
+        (orphan.transition === 'typed' || orphan.transition === 'auto_bookmark' || orphan.transition === 'generated')
+      );
+
+      if (potentialParents.length > 0) {
+        // 最も近い時刻の親を選択
+        potentialParents.sort((a, b) => b.visitTime - a.visitTime);
+        const bestParent = potentialParents[0];
+        bestParent.children.push(orphan);
+        orphan.inferredParent = 'recent_visit';
+        processedVisits.add(orphan.visitId);
+        console.log(`推定親子関係: ${bestParent.title} -> ${orphan.title} (${orphan.transition})`);
+      } else {
+        roots.push(orphan);
+      }
+    }
+
+    console.log(`構築されたツリー: ${roots.length}個のルート, 総訪問数: ${this.allVisits.length}`);
+
+    // 親子関係の統計をログ出力
+    let totalChildren = 0;
+    const countChildren = (node) => {
+      if (node.children.length > 0) {
+        totalChildren += node.children.length;
+        if (node.children.length > 1) {
+          console.log(`複数子要素: ${node.title || node.url} (${node.children.length}個の子)`);
+        }
+        node.children.forEach(countChildren);
+      }
+    };
+    roots.forEach(countChildren);
+    console.log(`総子要素数: ${totalChildren}`);
+
+    // ルートノードも最新の履歴時刻でソート（ツリー全体を考慮）
+    roots.sort((a, b) => {
+      const aLatest = this.getLatestVisitTimeInTree(a);
+      const bLatest = this.getLatestVisitTimeInTree(b);
+      return bLatest - aLatest; // 新しい順
+    });
+
+    // 子要素を時刻順（新しい順）でソート
+    function sortChildren(node) {
+      if (node.children.length > 0) {
+        node.children.sort((a, b) => b.visitTime - a.visitTime);
+        node.children.forEach(sortChildren);
+      }
+    }
+    roots.forEach(sortChildren);
+
+    // 重複する親子ノードを削除
+    const cleanedRoots = this.removeDuplicateNodes(roots);
+
+    return cleanedRoots;
+  }
+
+  // --- メイン: buildAggregatedTree の置換（TreeBuilder.prototype.buildAggregatedTree） ---
+  buildAggregatedTree() {
+    const params = this.params;
+    // 1) aggregate visits by URL
+    // 正規化したURLごとに集計する（url には最新の訪問の元のURLを表示用に残す）
+    const urlVisitMap = new Map();
+    for (const v of this.allVisits) {
+      const key = this.getCanonicalUrl(v);
+      if (!urlVisitMap.has(key)) {
+        urlVisitMap.set(key, {
+          url: v.url,
+          canonicalUrl: key,
+          originalUrls: new Set(),
+          title: v.title || v.url,
+          favicon: v.favicon,
+          searchQuery: v.searchQuery,
+          searchEngine: v.searchEngine,
+          via: null,
+          visits: [],
+          firstVisitTime: v.visitTime,
+          lastVisitTime: v.visitTime,
+          visitCount: 0
+        });
+      }
+      const info = urlVisitMap.get(key);
+      info.originalUrls.add(v.url);
+      info.visits.push(v);
+      info.visitCount++;
+      info.firstVisitTime = Math.min(info.firstVisitTime, v.visitTime);
+      info.lastVisitTime = Math.max(info.lastVisitTime, v.visitTime);
+      // 経由したリダイレクトは最新の訪問のものを表示
+      if (v.via && (!info.via || v.visitTime >= info.viaVisitTime)) {
+        info.via = v.via;
+        info.viaVisitTime = v.visitTime;
+      }
+    }
+
+    // 2) transitions via visit.referringVisitId (O(n))
+    const visitIdMap = new Map(this.allVisits.map(v => [v.visitId, v]));
+    const rawTransitions = new Map(); // fromUrl -> Map(toUrl -> {count, firstTime, lastTime})
+    for (const v of this.allVisits) {
+      // 検索セッションとして補完した参照元は実際の遷移として数えない
+      if (!v.referringVisitId || v.searchRelation) continue;
+      const r = visitIdMap.get(v.referringVisitId);
+      if (!r) continue;
+      const from = this.getCanonicalUrl(r), to = this.getCanonicalUrl(v);
+      if (from === to) continue;
+      if (!rawTransitions.has(from)) rawTransitions.set(from, new Map());
+      const m = rawTransitions.get(from);
+      if (!m.has(to)) m.set(to, { count: 0, firstTime: v.visitTime, lastTime: v.visitTime });
+      const meta = m.get(to);
+      meta.count++;
+      meta.firstTime = Math.min(meta.firstTime, v.visitTime);
+      meta.lastTime = Math.max(meta.lastTime, v.visitTime);
+    }
+
+    // 3) compute edges with scoring
+    const now = Date.now();
+    const incomingMap = new Map(); // toUrl -> [{from, to, score, meta}, ...]
+    // transitions first
+    for (const [from, m] of rawTransitions) {
+      for (const [to, meta] of m) {
+        const { score, parts } = _computeEdgeScoreParts(from, to, meta, urlVisitMap, now, params);
+        if (score < params.MIN_EDGE_SCORE) continue;
+        if (!incomingMap.has(to)) incomingMap.set(to, []);
+        incomingMap.get(to).push({ from, to, score, meta, parts });
+      }
+    }
+
+    // 4) add URL-hierarchy inferred edges (orphans & general)
+    // Build URL info for path comparison
+    const urlInfo = new Map();
+    for (const [url, info] of urlVisitMap) {
+      try {
+        const u = new URL(url);
+        const parts = u.pathname.split('/').filter(Boolean);
+        urlInfo.set(url, { hostname: u.hostname, site: getRegistrableDomain(u.hostname), parts });
+      } catch (e) {
+        urlInfo.set(url, { hostname: null, site: null, parts: [] });
+      }
+    }
+    const urls = Array.from(urlVisitMap.keys());
+    // For each pair same-domain where path prefix suggests parent, add boosted edge
+    for (let i = 0; i < urls.length; i++) {
+      const a = urls[i];
+      const ai = urlInfo.get(a);
+      if (!ai || !ai.hostname) continue;
+      for (let j = 0; j < urls.length; j++) {
+        if (i === j) continue;
+        const b = urls[j];
+        const bi = urlInfo.get(b);
+        if (!bi) continue;
+        if (bi.hostname !== ai.hostname) {
+          // サブドメインのページは、同じサイトのトップページ（github.com/ など）の下に置く
+          // 同じホストの親より弱くして、サブドメイン内の階層を優先する
+          if (bi.site === ai.site && ai.parts.length === 0 && this.isSiteHost(ai.hostname, ai.site)) {
+            const root = params.ROOT_BONUS / 4;
+            const hierarchy = params.HIERARCHY_SCORE_BONUS / 4;
+            if (!incomingMap.has(b)) incomingMap.set(b, []);
+            incomingMap.get(b).push({
+              from: a, to: b, score: root + hierarchy, meta: { count: 0 }, inferred: true,
+              parts: { root, hierarchy }
+            });
+          }
+          continue;
+        }
+        // check if a is potential parent of b
+        if (ai.parts.length < bi.parts.length) {
+          const matching = _countMatchingPathParts(ai.parts, bi.parts);
+          if (matching > 0) {
+            // base score from matching parts
+            const base = (matching / Math.max(1, ai.parts.length)) * params.PATH_WEIGHT;
+            // add hierarchy bonus to make these competitive
+            const meta = { count: 0, firstTime: 0, lastTime: 0 };
+            const score = base + params.HIERARCHY_SCORE_BONUS;
+            if (score >= params.MIN_EDGE_SCORE) {
+              if (!incomingMap.has(b)) incomingMap.set(b, []);
+              incomingMap.get(b).push({
+                from: a, to: b, score, meta, inferred: true,
+                parts: { path: base, hierarchy: params.HIERARCHY_SCORE_BONUS }
+              });
+            }
+          }
+        } else if (ai.parts.length === 0 && bi.parts.length >= 1) {
+          // root -> child preference
+          const score = params.ROOT_BONUS + params.HIERARCHY_SCORE_BONUS / 2;
+          if (!incomingMap.has(b)) incomingMap.set(b, []);
+          incomingMap.get(b).push({
+            from: a, to: b, score, meta: { count:0 }, inferred: true,
+            parts: { root: params.ROOT_BONUS, hierarchy: params.HIERARCHY_SCORE_BONUS / 2 }
+          });
+        }
+      }
+    }
+
+    // 5) prune incoming edges to topK per node
+    for (const [to, arr] of incomingMap) {
+      arr.sort((A, B) => {
+        if (B.score !== A.score) return B.score - A.score;
+        // tie-breaker: prefer transitions over inferred
+        if ((B.meta?.count || 0) !== (A.meta?.count || 0)) return (B.meta?.count || 0) - (A.meta?.count || 0);
+        return (A.from || '').localeCompare(B.from || '');
+      });
+      if (arr.length > params.TOP_K_INCOMING) {
+        incomingMap.set(to, arr.slice(0, params.TOP_K_INCOMING));
+      } else {
+        incomingMap.set(to, arr);
+      }
+    }
+
+    // 6) prepare nodes + edges list for Edmonds
+    const nodesList = urls.slice(); // nodes are URLs
+    const VIRTUAL_ROOT = '__ROOT__';
+    nodesList.push(VIRTUAL_ROOT);
+
+    const edges = [];
+    for (const [to, arr] of incomingMap) {
+      for (const e of arr) {
+        edges.push({ u: e.from, v: e.to, w: e.score });
+      }
+    }
+    // Also allow any node to be attached to VIRTUAL_ROOT with small base weight so tree spans all
+    const rootEdgeWeight = 1.0;
+    for (const url of urls) {
+      edges.push({ u: VIRTUAL_ROOT, v: url, w: rootEdgeWeight }); // small weight ensures connectivity
+    }
+
+    // 7) run Edmonds maximum arborescence
+    let parentMap = null;
+    try {
+      parentMap = edmondsMaximumArborescence(VIRTUAL_ROOT, nodesList, edges);
+      if (params.DEBUG) console.log('Edmonds result parentMap:', parentMap);
+    } catch (e) {
+      console.warn('Edmonds failed:', e);
+      parentMap = null;
+    }
+
+    // 8) fallback to greedyResolve if edmonds failed
+    if (!parentMap) {
+      if (params.DEBUG) console.log('Falling back to greedy cycle-breaker');
+      const greedyMap = greedyResolve(urls, incomingMap, params);
+      parentMap = greedyMap;
+    }
+
+    // 9) build parentToChildren mapping
+    const parentToChildren = new Map();
+    for (const url of urls) parentToChildren.set(url, []);
+    for (const url of urls) {
+      const p = parentMap.get(url) || VIRTUAL_ROOT;
+      if (p && p !== VIRTUAL_ROOT) {
+        if (!parentToChildren.has(p)) parentToChildren.set(p, []);
+        parentToChildren.get(p).push(url);
+      }
+    }
+
+    // 10) construct node objects with children recursively
+    const makeNode = (u) => {
+      const info = urlVisitMap.get(u);
+      return {
+        url: info.url,
+        canonicalUrl: info.canonicalUrl,
+        originalUrls: info.originalUrls.size > 1 ? Array.from(info.originalUrls) : undefined,
+        title: info.title,
+        favicon: info.favicon,
+        visitTime: info.lastVisitTime,
+        visitTimes: info.visits.map(visit => visit.visitTime), // 期間での絞り込み用
+        visitCount: info.visitCount,
+        searchQuery: info.searchQuery,
+        searchEngine: info.searchEngine,
+        via: info.via,
+        explanation: this.explainAggregatedParent(parentMap.get(u), incomingMap.get(u) || [], rootEdgeWeight),
+        children: []
+      };
+    };
+    const nodeObjects = new Map();
+    for (const url of urls) nodeObjects.set(url, makeNode(url));
+    for (const [p, children] of parentToChildren) {
+      const pn = nodeObjects.get(p);
+      if (!pn) continue;
+      // sort children by visitCount desc then lastVisitTime
+      children.sort((a,b) => {
+        const A = urlVisitMap.get(a), B = urlVisitMap.get(b);
+        if (B.visitCount !== A.visitCount) return B.visitCount - A.visitCount;
+        return B.lastVisitTime - A.lastVisitTime;
+      });
+      pn.children = children.map(c => nodeObjects.get(c));
+    }
+
+    // 11) roots: parent == VIRTUAL_ROOT
+    let roots = [];
+    for (const url of urls) {
+      const p = parentMap.get(url) || VIRTUAL_ROOT;
+      if (p === VIRTUAL_ROOT) roots.push(nodeObjects.get(url));
+    }
+
+    // 12) 同じサイトの複数のサブドメインがルートに並ぶ場合はサイトのノードにまとめる
+    roots = this.groupRootsBySite(roots, rootEdgeWeight);
+    // 集計モードでもツリー全体の最新時刻でソート
+    roots.sort((a, b) => {
+      const aLatest = this.getLatestVisitTimeInTree(a);
+      const bLatest = this.getLatestVisitTimeInTree(b);
+      return bLatest - aLatest; // 新しい順
+    });
+
+    if (params.DEBUG) console.log(`AggregatedTree built: ${nodesList.length-1} URLs, roots: ${roots.length}`);
+    return roots;
+  }
+
+  // ホスト名がサイトそのもの（github.com、www.github.com）か
+  isSiteHost(hostname, site) {
+    return hostname === site || hostname === `www.${site}`;
+  }
+
+  // 集計モードのルートを登録可能なドメイン（eTLD+1）ごとに見て、2つ以上のホストがあればサイトのノードの子にする
+  groupRootsBySite(roots, rootEdgeWeight) {
+    const rootsBySite = new Map();
+    for (const root of roots) {
+      let hostname;
+      try {
+        hostname = new URL(root.url).hostname;
+      } catch {
+        continue;
+      }
+      const site = getRegistrableDomain(hostname);
+      if (!rootsBySite.has(site)) rootsBySite.set(site, { hostnames: new Set(), roots: [] });
+      const group = rootsBySite.get(site);
+      group.hostnames.add(hostname);
+      group.roots.push(root);
+    }
+
+    const grouped = new Set();
+    const siteNodes = [];
+    for (const [site, group] of rootsBySite) {
+      if (group.hostnames.size < 2) continue;
+
+      // サイトそのもののページ（github.com/）がルートにあればそれを親にし、なければサイトのノードを生成する
+      const siteUrl = `https://${site}`;
+      const siteCanonicalUrl = canonicalizeUrl(siteUrl, this.canonicalRules);
+      const existingSiteRoot = group.roots.find(root => this.getCanonicalUrl(root) === siteCanonicalUrl);
+      const otherRoots = group.roots
+        .filter(root => root !== existingSiteRoot)
+        .sort((a, b) => this.getLatestVisitTimeInTree(b) - this.getLatestVisitTimeInTree(a));
+      const siteGroupExplanation = { mode: 'aggregated', parentUrl: null, chosen: null, rootScore: rootEdgeWeight, runnersUp: [], siteGroup: site };
+      const siteNode = existingSiteRoot
+        ? {
+          ...existingSiteRoot,
+          explanation: { ...(existingSiteRoot.explanation || siteGroupExplanation), siteGroup: site },
+          children: [...existingSiteRoot.children, ...otherRoots]
+        }
+        : {
+          url: siteUrl,
+          canonicalUrl: siteCanonicalUrl,
+          title: this.generateRootDomainTitle(site),
+          favicon: `https://www.google.com/s2/favicons?domain=${site}&sz=16`,
+          visitTime: group.roots.reduce((latest, root) => Math.max(latest, root.visitTime || 0), 0),
+          visitCount: 0,
+          isGeneratedRoot: true,
+          explanation: siteGroupExplanation,
+          children: otherRoots
+        };
+      for (const root of group.roots) {
+        grouped.add(root);
+        if (root !== existingSiteRoot && root.explanation) root.explanation = { ...root.explanation, siteParent: site };
+      }
+      siteNodes.push(siteNode);
+    }
+
+    if (siteNodes.length === 0) return roots;
+    return [...roots.filter(root => !grouped.has(root)), ...siteNodes];
+  }
+
+  // 集計モードで親が選ばれた理由（選ばれた辺のスコアの内訳と、次点の親の候補）
+  // incoming は親の候補の辺（スコアの高い順）、親がない場合はルートとして表示される
+  explainAggregatedParent(parentUrl, incoming, rootEdgeWeight) {
+    const toCandidate = (edge) => ({
+      url: edge.from,
+      score: edge.score,
+      inferred: !!edge.inferred,
+      count: edge.meta?.count || 0,
+      parts: edge.parts || null
+    });
+    const hasParent = parentUrl && parentUrl !== '__ROOT__';
+    const chosenEdge = hasParent ? incoming.find(edge => edge.from === parentUrl) : null;
+
+    return {
+      mode: 'aggregated',
+      parentUrl: hasParent ? parentUrl : null,
+      chosen: chosenEdge ? toCandidate(chosenEdge) : null,
+      rootScore: rootEdgeWeight,
+      runnersUp: incoming
+        .filter(edge => edge !== chosenEdge)
+        .slice(0, 3)
+        .map(toCandidate)
+    };
+  }
+
+  // トピックモード：タイトル・URLの語が重なるページをトピックにまとめ、トピック内は遷移の流れをツリーにする
+  // ルートはトピックのノード（どのトピックにも入らないページは最後の「その他のページ」にまとめる）
+  buildTopicsTree() {
+    // 1) ページ（正規化したURL）ごとにまとめる（allVisits は新しい順）
+    const pages = new Map();
+    for (const visit of this.allVisits) {
+      const key = this.getCanonicalUrl(visit);
+      if (!pages.has(key)) {
+        pages.set(key, {
+          url: visit.url,
+          canonicalUrl: key,
+          title: visit.title || visit.url,
+          favicon: visit.favicon,
+          visitTime: visit.visitTime,
+          visitCount: 0,
+          searchQuery: visit.searchQuery,
+          searchEngine: visit.searchEngine,
+          visits: []
+        });
+      }
+      const page = pages.get(key);
+      page.visitCount++;
+      page.visits.push(visit);
+    }
+    const pageList = Array.from(pages.values());
+    if (pageList.length === 0) return [];
+
+    // 2) 語の集合と、各語が現れるページ数
+    const documentFrequency = new Map();
+    for (const page of pageList) {
+      page.tokens = tokenizeForSimilarity(page.searchQuery || page.title, page.url);
+      for (const token of page.tokens) {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+    }
+    const maxFrequency = Math.max(3, pageList.length * TOPIC_MAX_DOCUMENT_RATIO);
+    const idf = new Map();
+    for (const [token, count] of documentFrequency) {
+      if (count >= 2 && count <= maxFrequency) idf.set(token, Math.log(pageList.length / count) + 1);
+    }
+
+    // 3) 語の重み（idf）で見た類似度が最も高いページと同じトピックにする
+    const clusterOf = this.clusterPagesByTopic(pageList, idf, pages);
+
+    // 4) トピックごとのノードを作る
+    const clusters = new Map();
+    pageList.forEach((page, index) => {
+      const root = clusterOf(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(page);
+    });
+
+    const topicNodes = [];
+    const otherPages = [];
+    for (const clusterPages of clusters.values()) {
+      if (clusterPages.length < 2) {
+        otherPages.push(...clusterPages);
+        continue;
+      }
+      const keywords = this.getTopicKeywords(clusterPages, idf);
+      // 同じ語のトピックが複数あっても区別できるよう、最初に訪問したページ（新しい訪問では変わらない）をIDに含める
+      const firstPage = clusterPages.reduce((first, page) =>
+        (page.visits[page.visits.length - 1].visitTime < first.visits[first.visits.length - 1].visitTime ? page : first));
+      const topicId = `topic_${keywords.join('_')}|${firstPage.canonicalUrl}`;
+      topicNodes.push(this.createTopicNode(topicId, keywords.join(' / ') || clusterPages[0].title, keywords, clusterPages, idf));
+    }
+    topicNodes.sort((a, b) => b.visitTime - a.visitTime);
+
+    if (otherPages.length > 0) {
+      const otherNode = this.createTopicNode('topic_other', 'その他のページ', [], otherPages, idf);
+      otherNode.isOtherTopic = true;
+      topicNodes.push(otherNode);
+    }
+
+    console.log(`トピック: ${topicNodes.length}個 / ページ: ${pageList.length}個`);
+    return topicNodes;
+  }
+
+  // ページを類似度の高いもの同士でまとめる（各ページを最も似ているページと結び、つながったものを1つのトピックにする）
+  // 戻り値: ページの位置からトピックの代表の位置を返す関数
+  clusterPagesByTopic(pageList, idf, pages) {
+    const parent = pageList.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      const rootA = find(a), rootB = find(b);
+      if (rootA !== rootB) parent[rootA] = rootB;
+    };
+
+    // 語 -> その語を含むページの位置
+    const pagesByToken = new Map();
+    const norms = pageList.map((page, index) => {
+      let sum = 0;
+      for (const token of page.tokens) {
+        const weight = idf.get(token);
+        if (!weight) continue;
+        sum += weight * weight;
+        if (!pagesByToken.has(token)) pagesByToken.set(token, []);
+        pagesByToken.get(token).push(index);
+      }
+      return Math.sqrt(sum);
+    });
+
+    // 実際の遷移でつながったページの組
+    const indexByKey = new Map(pageList.map((page, index) => [page.canonicalUrl, index]));
+    const visitById = new Map(this.allVisits.map(visit => [visit.visitId, visit]));
+    const linked = pageList.map(() => new Set());
+    pageList.forEach((page, index) => {
+      for (const visit of page.visits) {
+        const referrer = visitById.get(visit.referringVisitId);
+        if (!referrer) continue;
+        const other = indexByKey.get(this.getCanonicalUrl(referrer));
+        if (other === undefined || other === index) continue;
+        linked[index].add(other);
+        linked[other].add(index);
+      }
+    });
+
+    pageList.forEach((page, index) => {
+      if (norms[index] === 0) return;
+      const overlap = new Map();
+      for (const token of page.tokens) {
+        const weight = idf.get(token);
+        if (!weight) continue;
+        for (const other of pagesByToken.get(token)) {
+          if (other !== index) overlap.set(other, (overlap.get(other) || 0) + weight * weight);
+        }
+      }
+
+      let best = -1;
+      let bestSimilarity = TOPIC_MIN_SIMILARITY;
+      for (const [other, sum] of overlap) {
+        let similarity = sum / (norms[index] * norms[other]);
+        if (linked[index].has(other)) similarity += TOPIC_LINK_BONUS;
+        if (similarity >= bestSimilarity) {
+          best = other;
+          bestSimilarity = similarity;
+        }
+      }
+      if (best >= 0) union(index, best);
+    });
+
+    return find;
+  }
+
+  // トピックの見出しにする語（トピック内の多くのページに現れ、全体では珍しい語を最大3つ）
+  // 日本語などの bigram は、重なる文字でつなげて語にする（「フッ」「ック」->「フック」）
+  getTopicKeywords(clusterPages, idf) {
+    const scores = new Map();
+    for (const page of clusterPages) {
+      for (const token of page.tokens) {
+        const weight = idf.get(token);
+        if (weight) scores.set(token, (scores.get(token) || 0) + weight);
+      }
+    }
+    const ranked = Array.from(scores.entries())
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, 8)
+      .map(([token]) => token);
+
+    const phrases = [];
+    for (const token of ranked) {
+      const isBigram = token.length === 2 && !/^[a-z0-9\u00c0-\u024f]+$/.test(token);
+      const index = isBigram
+        ? phrases.findIndex(phrase => phrase.cjk && (phrase.text.endsWith(token[0]) || phrase.text.startsWith(token[1])))
+        : -1;
+      if (index >= 0) {
+        const phrase = phrases[index];
+        phrase.text = phrase.text.endsWith(token[0]) ? phrase.text + token[1] : token[0] + phrase.text;
+      } else {
+        phrases.push({ text: token, cjk: isBigram });
+      }
+    }
+    // 前後のひらがな（助詞など）は見出しから除く
+    return phrases
+      .map(phrase => phrase.text.replace(/^\p{Script=Hiragana}+|\p{Script=Hiragana}+$/gu, ''))
+      .filter((text, index, texts) => text.length >= 2 && texts.indexOf(text) === index)
+      .slice(0, 3);
+  }
+
+  // トピックのノード（子はトピック内の参照元をたどったページのツリー）
+  createTopicNode(topicId, title, keywords, clusterPages, idf) {
+    const pageNodes = new Map();
+    for (const page of clusterPages) {
+      pageNodes.set(page.canonicalUrl, {
+        url: page.url,
+        canonicalUrl: page.canonicalUrl,
+        title: page.title,
+        favicon: page.favicon,
+        visitTime: page.visitTime,
+        visitTimes: page.visits.map(visit => visit.visitTime), // 期間での絞り込み用
+        visitCount: page.visitCount,
+        searchQuery: page.searchQuery,
+        searchEngine: page.searchEngine,
+        topicId,
+        topicTitle: title,
+        // トピック内の他のページとも共通する語（説明パネルで表示）
+        topicTokens: Array.from(page.tokens).filter(token =>
+          idf.has(token) && clusterPages.some(other => other !== page && other.tokens.has(token))
+        ).slice(0, 8),
+        children: []
+      });
+    }
+
+    // トピック内で参照元のページがあれば、その子にする（閉路になる場合は付けない）
+    const visitById = new Map(this.allVisits.map(visit => [visit.visitId, visit]));
+    const parentOf = new Map();
+    for (const page of clusterPages) {
+      for (const visit of page.visits) {
+        const referrer = visitById.get(visit.referringVisitId);
+        const parentKey = referrer && this.getCanonicalUrl(referrer);
+        if (!parentKey || parentKey === page.canonicalUrl || !pageNodes.has(parentKey)) continue;
+
+        let ancestor = parentKey;
+        while (ancestor && ancestor !== page.canonicalUrl) ancestor = parentOf.get(ancestor);
+        if (ancestor === page.canonicalUrl) continue;
+
+        parentOf.set(page.canonicalUrl, parentKey);
+        break;
+      }
+    }
+
+    const trailRoots = [];
+    for (const [key, node] of pageNodes) {
+      const parentKey = parentOf.get(key);
+      if (parentKey) {
+        node.trailParentUrl = pageNodes.get(parentKey).url;
+        pageNodes.get(parentKey).children.push(node);
+      } else {
+        trailRoots.push(node);
+      }
+    }
+    for (const node of pageNodes.values()) {
+      node.children.sort((a, b) => b.visitTime - a.visitTime);
+    }
+    trailRoots.sort((a, b) => this.getLatestVisitTimeInTree(b) - this.getLatestVisitTimeInTree(a));
+
+    return {
+      url: '',
+      title,
+      isTopic: true,
+      topicId,
+      topicKeywords: keywords,
+      visitTime: clusterPages.reduce((latest, page) => Math.max(latest, page.visitTime), 0),
+      visitCount: clusterPages.length,
+      children: trailRoots
+    };
+  }
+
+  // Beta機能：高度なナビゲーション解析によるツリー構築
+  buildBetaTree() {
+    console.log('=== Beta Tree Mode: 高度なナビゲーション解析開始 ===');
+
+    // 基本的な訪問マップを作成
+    const visitMap = new Map();
+    for (const visit of this.allVisits) {
+      visitMap.set(visit.visitId, { ...visit, children: [], betaRelations: [] });
+    }
+
+    const processedVisits = new Set();
+    const betaRelations = []; // Beta機能で検出された関係
+
+    // 1. 基本的な親子関係（referringVisitIdベース）を構築
+    for (const visit of visitMap.values()) {
+      if (visit.referringVisitId && visitMap.has(visit.referringVisitId)) {
+        const parent = visitMap.get(visit.referringVisitId);
+        parent.children.push(visit);
+        visit.betaRelations.push({
+          type: 'referring_visit',
+          confidence: 1.0,
+          parentVisitId: visit.referringVisitId,
+          observed: !visit.searchRelation && !visit.isSameDocumentReferrer // 検索セッション・SPAのURL変更から補完した参照元は推定
+        });
+        processedVisits.add(visit.visitId);
+      }
+    }
+
+    // 2. 孤立した訪問に対してBeta機能を適用
+    const orphanVisits = Array.from(visitMap.values()).filter(visit =>
+      !visit.referringVisitId || !visitMap.has(visit.referringVisitId)
+    );
+
+    console.log(`孤立した訪問: ${orphanVisits.length}個 / 全訪問: ${this.allVisits.length}個`);
+
+    // タブ情報が付与された訪問をタブごとにまとめる（古い順）
+    const visitsByTab = this.groupVisitsByTab(visitMap);
+
+    // タイトルの類似度で親を探すための、古い順の訪問と語の集合
+    const visitsByTime = Array.from(visitMap.values()).sort((a, b) => a.visitTime - b.visitTime);
+    const tokenCache = new Map();
+
+    for (const orphan of orphanVisits) {
+      if (processedVisits.has(orphan.visitId)) continue;
+
+      let bestParent = null;
+      let bestRelation = null;
+      let bestScore = 0;
+      const candidates = []; // 検討した親の候補（説明パネルで次点として表示）
+      const consider = (parent, relation) => {
+        candidates.push({ parentUrl: parent.url, parentTitle: parent.title, relation });
+        if (relation.confidence > bestScore) {
+          bestParent = parent;
+          bestRelation = relation;
+          bestScore = relation.confidence;
+        }
+      };
+
+      // 2.0 実際の openerTabId から新しいタブを開いた元の訪問を特定（観測された関係）
+      const openerParent = this.findOpenerParentVisit(orphan, visitsByTab);
+      if (openerParent) {
+        consider(openerParent, {
+          type: 'new_tab',
+          confidence: 1.0,
+          parentUrl: openerParent.url,
+          observed: true,
+          details: {
+            relationType: 'opener_tab',
+            tabId: orphan.tabId,
+            windowId: orphan.windowId,
+            parentTabId: orphan.openerTabId
+          }
+        });
+      }
+
+      // 2.1 新しいタブで開かれた関係を検出（タブ作成時刻からの推定）
+      const newTabRelation = openerParent ? null : this.navigationTracker.findNewTabParent(
+        orphan.url,
+        orphan.visitTime,
+        orphan.tabId
+      );
+
+      if (newTabRelation && newTabRelation.confidence > 0.6) {
+        const parentVisit = this.findVisitByUrl(newTabRelation.parentUrl, orphan.visitTime, visitMap);
+        if (parentVisit) {
+          consider(parentVisit, {
+            type: 'new_tab',
+            confidence: newTabRelation.confidence,
+            parentUrl: newTabRelation.parentUrl,
+            details: newTabRelation
+          });
+        }
+      }
+
+      // 2.2 戻る動作を検出
+      const backNavigation = this.navigationTracker.detectBackNavigation(
+        orphan.url,
+        orphan.visitTime,
+        orphan.tabId
+      );
+
+      if (backNavigation) {
+        // 戻る動作の場合、過去の同じURLへの訪問を親として設定
+        const previousVisit = this.findPreviousSameUrlVisit(orphan, visitMap);
+        if (previousVisit) {
+          consider(previousVisit, {
+            type: 'back_navigation',
+            confidence: backNavigation.confidence,
+            details: backNavigation
+          });
+        }
+      }
+
+      // 2.3 階層移動を検出
+      for (const candidateParent of visitMap.values()) {
+        if (candidateParent.visitId === orphan.visitId) continue;
+        if (Math.abs(candidateParent.visitTime - orphan.visitTime) > 300000) continue; // 5分以内
+
+        const hierarchyRelation = this.navigationTracker.detectHierarchyNavigation(
+          candidateParent.url,
+          orphan.url,
+          orphan.visitTime
+        );
+
+        if (hierarchyRelation) {
+          consider(candidateParent, {
+            type: 'hierarchy_navigation',
+            confidence: hierarchyRelation.confidence,
+            parentUrl: candidateParent.url,
+            details: hierarchyRelation
+          });
+        }
+      }
+
+      // 2.4 時系列パターン（短時間での同一URL再訪問）
+      const timeBasedRelation = this.detectTimeBasedPattern(orphan, visitMap);
+      if (timeBasedRelation) {
+        consider(timeBasedRelation.parent, {
+          type: 'time_based_pattern',
+          confidence: timeBasedRelation.confidence,
+          details: timeBasedRelation
+        });
+      }
+
+      // 2.5 タイトル・URLの類似度（直接入力や貼り付けで開いた、同じ話題のページ）
+      const similarityRelation = this.detectTitleSimilarity(orphan, visitsByTime, tokenCache);
+      if (similarityRelation) {
+        consider(similarityRelation.parent, {
+          type: 'title_similarity',
+          confidence: similarityRelation.confidence,
+          parentUrl: similarityRelation.parent.url,
+          details: {
+            similarity: similarityRelation.similarity,
+            sharedTokens: similarityRelation.sharedTokens,
+            timeDiff: similarityRelation.timeDiff
+          }
+        });
+      }
+
+      // 選ばれなかった候補（URLごとに最も信頼度の高いもの）を次点として記録
+      const runnerUpByUrl = new Map();
+      for (const candidate of candidates) {
+        if (bestScore > 0.3 && candidate.parentUrl === bestParent.url) continue;
+        const current = runnerUpByUrl.get(candidate.parentUrl);
+        if (!current || candidate.relation.confidence > current.confidence) {
+          runnerUpByUrl.set(candidate.parentUrl, {
+            url: candidate.parentUrl,
+            title: candidate.parentTitle,
+            type: candidate.relation.type,
+            confidence: candidate.relation.confidence
+          });
+        }
+      }
+      orphan.betaCandidates = Array.from(runnerUpByUrl.values())
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, 3);
+
+      // 3. 最適な親子関係を設定
+      if (bestParent && bestScore > 0.3) { // 最低信頼度30%
+        bestParent.children.push(orphan);
+        orphan.betaRelations.push(bestRelation);
+        processedVisits.add(orphan.visitId);
+
+        betaRelations.push({
+          child: orphan,
+          parent: bestParent,
+          relation: bestRelation
+        });
+
+        console.log(`Beta関係検出: ${bestRelation.type} (信頼度: ${bestScore.toFixed(2)}) ${bestParent.title || bestParent.url} -> ${orphan.title || orphan.url}`);
+      }
+    }
+
+    // 4. Beta特殊機能：全ドメインでルートドメインを生成
+    this.generateRootDomainsForAllUrls(visitMap, processedVisits);
+    this.groupDomainRootsBySite(visitMap, processedVisits);
+
+    // 5. ルートノードを抽出（親を持たない訪問）
+    const roots = Array.from(visitMap.values()).filter(visit => {
+      // 他の訪問の子要素になっていない訪問がルート
+      return !Array.from(visitMap.values()).some(parent =>
+        parent.children.includes(visit)
+      );
+    });
+
+    // 5. 子要素を時刻順でソート
+    const sortChildren = (node) => {
+      if (node.children.length > 0) {
+        node.children.sort((a, b) => b.visitTime - a.visitTime);
+        node.children.forEach(sortChildren);
+      }
+    };
+    roots.forEach(sortChildren);
+
+    // 7. Beta特殊機能：同じ階層の重複URLをマージ
+    this.mergeDuplicateUrlsInBetaTree(roots);
+
+    // 8. ルートノードを最新の履歴時刻でソート（ツリー全体を考慮）
+    roots.sort((a, b) => {
+      const aLatest = this.getLatestVisitTimeInTree(a);
+      const bLatest = this.getLatestVisitTimeInTree(b);
+      return bLatest - aLatest; // 新しい順
+    });
+
+    console.log(`=== Beta Tree 構築完了 ===`);
+    console.log(`ルートノード: ${roots.length}個`);
+    console.log(`検出された関係: ${betaRelations.length}個`);
+    console.log(`関係タイプ別:`, this.summarizeBetaRelations(betaRelations));
+
+    return roots;
+  }
+
+  // ツリー全体から最新の訪問時刻を取得
+  getLatestVisitTimeInTree(node) {
+    let latestTime = node.visitTime;
+
+    // 子ノードも再帰的にチェック
+    if (node.children && node.children.length > 0) {
+      for (const child of node.children) {
+        const childLatest = this.getLatestVisitTimeInTree(child);
+        if (childLatest > latestTime) {
+          latestTime = childLatest;
+        }
+      }
+    }
+
+    return latestTime;
+  }
+
+  // Beta専用：同じ階層の重複URLをマージ
+  mergeDuplicateUrlsInBetaTree(nodes) {
+    console.log('=== Beta Tree: 同じ階層の重複URL統合開始 ===');
+
+    this.mergeDuplicateUrlsInLevel(nodes);
+
+    // 子ノードも再帰的に処理
+    for (const node of nodes) {
+      if (node.children && node.children.length > 0) {
+        this.mergeDuplicateUrlsInLevel(node.children);
+        this.mergeDuplicateUrlsInBetaTree(node.children);
+      }
+    }
+
+    console.log('=== Beta Tree: 重複URL統合完了 ===');
+  }
+
+  // 同じ階層内で重複するURLをマージ
+  mergeDuplicateUrlsInLevel(nodes) {
+    if (!nodes || nodes.length <= 1) return;
+
+    const urlGroups = new Map(); // URL -> ノード配列
+
+    // 同じURLのノードをグループ化
+    for (const node of nodes) {
+      const key = this.getCanonicalUrl(node);
+      if (!urlGroups.has(key)) {
+        urlGroups.set(key, []);
+      }
+      urlGroups.get(key).push(node);
+    }
+
+    // 重複があるURLのみ処理
+    for (const [url, duplicateNodes] of urlGroups) {
+      if (duplicateNodes.length > 1) {
+        console.log(`重複URL統合: ${url} (${duplicateNodes.length}個のノード)`);
+
+        // 最新の訪問時刻を持つノードを主ノードとして選択
+        const mainNode = duplicateNodes.reduce((latest, current) =>
+          current.visitTime > latest.visitTime ? current : latest
+        );
+
+        // 他のノードの子要素と関係情報を主ノードに統合
+        for (const duplicateNode of duplicateNodes) {
+          if (duplicateNode === mainNode) continue;
+
+          // 子要素をマージ
+          if (duplicateNode.children && duplicateNode.children.length > 0) {
+            if (!mainNode.children) mainNode.children = [];
+            mainNode.children.push(...duplicateNode.children);
+          }
+
+          // Beta関係情報をマージ
+          if (duplicateNode.betaRelations && duplicateNode.betaRelations.length > 0) {
+            if (!mainNode.betaRelations) mainNode.betaRelations = [];
+            mainNode.betaRelations.push(...duplicateNode.betaRelations);
+          }
+
+          // 重複ノードをnodesから削除
+          const index = nodes.indexOf(duplicateNode);
+          if (index > -1) {
+            nodes.splice(index, 1);
+          }
+        }
+
+        // 主ノードに統合情報を追加
+        if (duplicateNodes.length > 1) {
+          mainNode.isBetaMerged = true;
+          mainNode.betaMergedCount = duplicateNodes.length;
+          mainNode.betaMergedVisits = duplicateNodes.map(node => ({
+            visitId: node.visitId,
+            url: node.url,
+            visitTime: node.visitTime,
+            transition: node.transition
+          }));
+          const originalUrls = new Set(duplicateNodes.map(node => node.url));
+          if (originalUrls.size > 1) mainNode.originalUrls = Array.from(originalUrls);
+        }
+
+        // 子要素を時刻順でソート
+        if (mainNode.children && mainNode.children.length > 0) {
+          mainNode.children.sort((a, b) => b.visitTime - a.visitTime);
+
+          // 子要素レベルでも重複をチェック
+          this.mergeDuplicateUrlsInLevel(mainNode.children);
+        }
+      }
+    }
+  }
+
+  // Beta特殊機能：全ドメインでルートドメインを生成
+  generateRootDomainsForAllUrls(visitMap, processedVisits) {
+    console.log('=== 全ドメイン用ルートドメイン生成開始 ===');
+
+    const generatedRoots = new Map(); // ドメイン -> 生成されたルートノード
+    const domainGroups = new Map(); // ドメイン -> 訪問リスト
+
+    // 1. まず各ドメインごとに訪問をグループ化
+    for (const visit of visitMap.values()) {
+      try {
+        const url = new URL(visit.url);
+        const hostname = url.hostname;
+
+        if (!domainGroups.has(hostname)) {
+          domainGroups.set(hostname, []);
+        }
+        domainGroups.get(hostname).push(visit);
+      } catch (error) {
+        // 無効なURLの場合はスキップ
+        console.warn(`URL解析エラー: ${visit.url}`, error);
+      }
+    }
+
+    // 2. 各ドメインで処理
+    for (const [hostname, visits] of domainGroups) {
+      // ドメイン内で親子関係がない（孤立した）訪問を特定
+      // ただし、既にツリー構造がある場合は最上位の親のみを対象とする
+      const orphanVisits = visits.filter(visit => {
+        // まだ処理されていない訪問のみ
+        if (processedVisits.has(visit.visitId)) return false;
+
+        // 他の訪問の子になっていない訪問（= 最上位の親または孤立）
+        const isTopLevel = !visits.some(otherVisit =>
+          otherVisit.children && otherVisit.children.includes(visit)
+        );
+
+        return isTopLevel;
+      });
+
+      if (orphanVisits.length === 0) continue;
+
+      // ドメインのルートURL（ホームページ）を構築
+      const rootUrl = `https://${hostname}`;
+
+      // 既存のルートページ（ホームページ）があるかチェック
+      const existingRootVisit = visits.find(visit => {
+        try {
+          const visitUrl = new URL(visit.url);
+          return visitUrl.pathname === '/' && visitUrl.search === '' && visitUrl.hash === '';
+        } catch {
+          return false;
+        }
+      });
+
+      // 複数の孤立した訪問がある場合、またはルートページが存在しない場合にルートドメインを生成
+      // ただし、単一の孤立した訪問でも、それが既にツリー構造を持っている場合は対象とする
+      const hasTreeStructure = orphanVisits.some(visit => visit.children && visit.children.length > 0);
+      const shouldGenerateRoot = orphanVisits.length > 1 || !existingRootVisit || hasTreeStructure;
+
+      if (shouldGenerateRoot) {
+        let rootNode = generatedRoots.get(hostname);
+
+        if (!rootNode) {
+          if (existingRootVisit) {
+            // 既存のルートページを使用
+            rootNode = existingRootVisit;
+            console.log(`既存のルートページを使用: ${rootUrl}`);
+          } else {
+            // 新しいルートドメインノードを生成
+            // 再構築しても同じIDになるようにする（折りたたみ状態の維持のため）
+            const rootVisitId = `generated_root_${hostname}`;
+
+            // 最初の訪問時間を基準にルートの時間を設定
+            const earliestVisit = orphanVisits.reduce((earliest, current) =>
+              current.visitTime < earliest.visitTime ? current : earliest
+            );
+
+            rootNode = {
+              visitId: rootVisitId,
+              url: rootUrl,
+              title: this.generateRootDomainTitle(hostname),
+              visitTime: earliestVisit.visitTime - 1000, // 最初の訪問より少し前
+              referringVisitId: null,
+              transition: 'generated',
+              favicon: `https://www.google.com/s2/favicons?domain=${hostname}&sz=16`,
+              children: [],
+              betaRelations: [],
+              isGeneratedRoot: true
+            };
+
+            visitMap.set(rootVisitId, rootNode);
+            console.log(`新しいルートドメインを生成: ${rootUrl}`);
+          }
+
+          generatedRoots.set(hostname, rootNode);
+        }
+
+        // 孤立した訪問をルートドメインの子にする
+        for (const orphanVisit of orphanVisits) {
+          // ただし、既にルートページとして使用している場合や、ルートページが子孫にある場合（循環になる）は除外
+          if (orphanVisit === rootNode || this.containsNode(orphanVisit, rootNode)) continue;
+
+          rootNode.children.push(orphanVisit);
+          orphanVisit.betaRelations.push({
+            type: 'generated_root_domain',
+            confidence: 1.0,
+            parentUrl: rootUrl,
+            details: {
+              domain: hostname,
+              isGenerated: !existingRootVisit || rootNode.isGeneratedRoot,
+              reason: 'domain_organization'
+            }
+          });
+
+          processedVisits.add(orphanVisit.visitId);
+
+          console.log(`URLを${hostname}ルートドメインの子に設定: ${orphanVisit.url}`);
+        }
+      }
+    }
+
+    console.log(`=== 全ドメイン用ルートドメイン生成完了: ${generatedRoots.size}個のルートドメイン ===`);
+  }
+
+  // node の子孫に target があるか
+  containsNode(node, target) {
+    return node.children.some(child => child === target || this.containsNode(child, target));
+  }
+
+  // Beta特殊機能：同じサイト（登録可能なドメイン）の別のホストのルートを、サイトのルートの子にする
+  // docs.github.com と gist.github.com のルートは github.com のルート（なければ生成）の下にまとめる
+  groupDomainRootsBySite(visitMap, processedVisits) {
+    const childSet = new Set();
+    for (const visit of visitMap.values()) {
+      visit.children.forEach(child => childSet.add(child));
+    }
+
+    const topLevelBySite = new Map(); // サイト -> { hostnames, entries: [{ visit, hostname }] }
+    for (const visit of visitMap.values()) {
+      if (childSet.has(visit)) continue;
+      let parsed;
+      try {
+        parsed = new URL(visit.url);
+      } catch {
+        continue;
+      }
+      const site = getRegistrableDomain(parsed.hostname);
+      if (!topLevelBySite.has(site)) topLevelBySite.set(site, { hostnames: new Set(), entries: [] });
+      const group = topLevelBySite.get(site);
+      group.hostnames.add(parsed.hostname);
+      group.entries.push({ visit, hostname: parsed.hostname, pathname: parsed.pathname });
+    }
+
+    for (const [site, group] of topLevelBySite) {
+      if (group.hostnames.size < 2) continue;
+
+      const siteEntry = group.entries.find(entry =>
+        this.isSiteHost(entry.hostname, site) && (entry.visit.isGeneratedRoot || entry.pathname === '/')
+      );
+      let siteRoot = siteEntry ? siteEntry.visit : null;
+      if (!siteRoot) {
+        const earliestVisit = group.entries.reduce((earliest, entry) =>
+          entry.visit.visitTime < earliest.visitTime ? entry.visit : earliest, group.entries[0].visit);
+        const rootVisitId = `generated_root_${site}`;
+        siteRoot = {
+          visitId: rootVisitId,
+          url: `https://${site}`,
+          title: this.generateRootDomainTitle(site),
+          visitTime: earliestVisit.visitTime - 1000,
+          referringVisitId: null,
+          transition: 'generated',
+          favicon: `https://www.google.com/s2/favicons?domain=${site}&sz=16`,
+          children: [],
+          betaRelations: [],
+          isGeneratedRoot: true
+        };
+        visitMap.set(rootVisitId, siteRoot);
+        console.log(`新しいサイトのルートを生成: ${siteRoot.url}`);
+      }
+
+      for (const { visit } of group.entries) {
+        if (visit === siteRoot) continue;
+        siteRoot.children.push(visit);
+        visit.betaRelations.push({
+          type: 'generated_root_domain',
+          confidence: 1.0,
+          parentUrl: siteRoot.url,
+          details: {
+            domain: site,
+            isGenerated: !!siteRoot.isGeneratedRoot,
+            reason: 'site_organization'
+          }
+        });
+        processedVisits.add(visit.visitId);
+      }
+    }
+  }
+
+  // ルートドメインのタイトルを生成
+  generateRootDomainTitle(hostname) {
+    const domainTitles = {
+      'www.google.com': 'Google',
+      'google.com': 'Google',
+      'search.yahoo.com': 'Yahoo!検索',
+      'www.yahoo.com': 'Yahoo!',
+      'yahoo.com': 'Yahoo!',
+      'www.bing.com': 'Bing',
+      'bing.com': 'Bing',
+      'duckduckgo.com': 'DuckDuckGo',
+      'www.youtube.com': 'YouTube',
+      'youtube.com': 'YouTube',
+      'www.facebook.com': 'Facebook',
+      'facebook.com': 'Facebook',
+      'www.twitter.com': 'Twitter',
+      'twitter.com': 'Twitter',
+      'x.com': 'X (Twitter)',
+      'www.instagram.com': 'Instagram',
+      'instagram.com': 'Instagram',
+      'www.linkedin.com': 'LinkedIn',
+      'linkedin.com': 'LinkedIn',
+      'github.com': 'GitHub',
+      'www.github.com': 'GitHub',
+      'stackoverflow.com': 'Stack Overflow',
+      'www.amazon.com': 'Amazon',
+      'amazon.com': 'Amazon',
+      'www.amazon.co.jp': 'Amazon Japan',
+      'amazon.co.jp': 'Amazon Japan',
+      'www.wikipedia.org': 'Wikipedia',
+      'ja.wikipedia.org': 'Wikipedia (日本語)',
+      'en.wikipedia.org': 'Wikipedia (English)',
+      'www.reddit.com': 'Reddit',
+      'reddit.com': 'Reddit',
+      'qiita.com': 'Qiita',
+      'zenn.dev': 'Zenn'
+    };
+
+    // 既知のドメインの場合は専用タイトルを返す
+    if (domainTitles[hostname]) {
+      return domainTitles[hostname];
+    }
+
+    // 未知のドメインの場合は、登録可能なドメインから推測してタイトルを生成
+    // www.example.com -> Example、example.co.jp -> Example、docs.example.com -> Example (docs)
+    const site = getRegistrableDomain(hostname);
+    const subdomain = getSubdomain(hostname);
+    let siteTitle = domainTitles[site];
+    if (!siteTitle) {
+      const label = site === getPublicSuffix(site) || isIpAddress(site) ? '' : site.split('.')[0];
+      if (!label) return hostname; // フォールバック：そのままホスト名を返す
+      // 最初の文字を大文字にする
+      siteTitle = label.charAt(0).toUpperCase() + label.slice(1);
+    }
+    return subdomain ? `${siteTitle} (${subdomain})` : siteTitle;
+  }
+
+  // URLに基づいて訪問を検索
+  findVisitByUrl(url, referenceTime, visitMap, timeWindow = 10000) {
+    const candidates = Array.from(visitMap.values()).filter(visit =>
+      visit.url === url &&
+      Math.abs(visit.visitTime - referenceTime) < timeWindow
+    );
+
+    if (candidates.length === 0) return null;
+
+    // 参照時刻に最も近い訪問を返す
+    candidates.sort((a, b) =>
+      Math.abs(a.visitTime - referenceTime) - Math.abs(b.visitTime - referenceTime)
+    );
+
+    return candidates[0];
+  }
+
+  // タブ情報が付与された訪問をタブごとにまとめる（古い順）
+  groupVisitsByTab(visitMap) {
+    const visitsByTab = new Map();
+    for (const visit of visitMap.values()) {
+      if (visit.tabId === undefined || visit.tabId === null) continue;
+      if (!visitsByTab.has(visit.tabId)) {
+        visitsByTab.set(visit.tabId, []);
+      }
+      visitsByTab.get(visit.tabId).push(visit);
+    }
+    for (const visits of visitsByTab.values()) {
+      visits.sort((a, b) => a.visitTime - b.visitTime);
+    }
+    return visitsByTab;
+  }
+
+  // 新しいタブの最初の訪問について、openerTabId のタブでその直前に表示していた訪問を返す
+  findOpenerParentVisit(visit, visitsByTab) {
+    if (visit.tabId === undefined || visit.tabId === null) return null;
+    if (visit.openerTabId === undefined || visit.openerTabId === null) return null;
+
+    // 同じタブに直前の訪問があれば、新しいタブの最初の訪問ではない
+    const sameTabVisits = visitsByTab.get(visit.tabId) || [];
+    const hasEarlierVisitInTab = sameTabVisits.some(candidate =>
+      candidate.visitTime < visit.visitTime &&
+      visit.visitTime - candidate.visitTime < OPENER_LOOKBACK_MS
+    );
+    if (hasEarlierVisitInTab) return null;
+
+    const openerVisits = visitsByTab.get(visit.openerTabId) || [];
+    for (let i = openerVisits.length - 1; i >= 0; i--) {
+      const candidate = openerVisits[i];
+      if (candidate.visitTime > visit.visitTime) continue;
+      if (visit.visitTime - candidate.visitTime > OPENER_LOOKBACK_MS) break;
+      return candidate;
+    }
+    return null;
+  }
+
+  // 過去の同じURLへの訪問を検索
+  findPreviousSameUrlVisit(visit, visitMap) {
+    const candidates = Array.from(visitMap.values()).filter(candidate =>
+      candidate.url === visit.url &&
+      candidate.visitTime < visit.visitTime &&
+      candidate.visitTime > visit.visitTime - 300000 // 5分以内
+    );
+
+    if (candidates.length === 0) return null;
+
+    // 最も近い過去の訪問を返す
+    candidates.sort((a, b) => b.visitTime - a.visitTime);
+    return candidates[0];
+  }
+
+  // 時系列パターンを検出
+  detectTimeBasedPattern(visit, visitMap) {
+    // 同じURLへの短時間での再訪問パターン
+    const sameUrlVisits = Array.from(visitMap.values()).filter(candidate =>
+      candidate.url === visit.url &&
+      candidate.visitId !== visit.visitId &&
+      Math.abs(candidate.visitTime - visit.visitTime) < 30000 // 30秒以内
+    );
+
+    if (sameUrlVisits.length > 0) {
+      const closestVisit = sameUrlVisits.reduce((closest, current) =>
+        Math.abs(current.visitTime - visit.visitTime) <
+        Math.abs(closest.visitTime - visit.visitTime) ? current : closest
+      );
+
+      const timeDiff = Math.abs(closestVisit.visitTime - visit.visitTime);
+      const confidence = Math.max(0.4, 1 - (timeDiff / 30000));
+
+      return {
+        parent: closestVisit,
+        confidence: confidence,
+        timeDiff: timeDiff,
+        patternType: 'same_url_revisit'
+      };
+    }
+
+    // 遷移タイプベースのパターン検出
+    if (visit.transition) {
+      const transitionScores = {
+        'reload': 0.8,          // リロードは高い関連性
+        'auto_bookmark': 0.6,   // ブックマークからは中程度
+        'typed': 0.4,           // 直接入力は低め
+        'form_submit': 0.7      // フォーム送信は高め
+      };
+
+      const score = transitionScores[visit.transition];
+      if (score) {
+        // 直前の訪問を親候補として検索
+        const recentVisits = Array.from(visitMap.values()).filter(candidate =>
+          candidate.visitTime < visit.visitTime &&
+          candidate.visitTime > visit.visitTime - 60000 && // 1分以内
+          candidate.visitId !== visit.visitId
+        );
+
+        if (recentVisits.length > 0) {
+          const mostRecent = recentVisits.reduce((recent, current) =>
+            current.visitTime > recent.visitTime ? current : recent
+          );
+
+          return {
+            parent: mostRecent,
+            confidence: score,
+            patternType: `transition_${visit.transition}`
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // 直前 TITLE_SIMILARITY_LOOKBACK_MS 以内の訪問から、タイトル・URLの語が最も重なるものを探す
+  // 共通する語が2つ以上あり、類似度が0.3以上のときだけ候補にする（信頼度は最大0.75）
+  detectTitleSimilarity(visit, visitsByTime, tokenCache) {
+    const getTokens = (target) => {
+      if (!tokenCache.has(target.visitId)) {
+        tokenCache.set(target.visitId, tokenizeForSimilarity(target.title, target.url));
+      }
+      return tokenCache.get(target.visitId);
+    };
+
+    const tokens = getTokens(visit);
+    if (tokens.size === 0) return null;
+
+    // visit より前の訪問の位置を二分探索で求め、新しい順に調べる
+    let low = 0, high = visitsByTime.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (visitsByTime[mid].visitTime < visit.visitTime) low = mid + 1;
+      else high = mid;
+    }
+
+    let best = null;
+    let checked = 0;
+    for (let i = low - 1; i >= 0 && checked < TITLE_SIMILARITY_MAX_CANDIDATES; i--) {
+      const candidate = visitsByTime[i];
+      const timeDiff = visit.visitTime - candidate.visitTime;
+      if (timeDiff > TITLE_SIMILARITY_LOOKBACK_MS) break;
+      if (this.getCanonicalUrl(candidate) === this.getCanonicalUrl(visit)) continue; // 同じページは他の検出に任せる
+      checked++;
+
+      const { similarity, shared } = compareTokenSets(tokens, getTokens(candidate));
+      if (shared.length < 2 || similarity < 0.3) continue;
+      if (!best || similarity > best.similarity) {
+        best = { parent: candidate, similarity, sharedTokens: shared.slice(0, 5), timeDiff };
+      }
+    }
+
+    if (!best) return null;
+    return { ...best, confidence: Math.min(0.75, 0.3 + best.similarity * 0.5) };
+  }
+
+  // Beta関係の統計情報を作成
+  summarizeBetaRelations(betaRelations) {
+    const summary = {};
+    for (const rel of betaRelations) {
+      const type = rel.relation.type;
+      if (!summary[type]) {
+        summary[type] = 0;
+      }
+      summary[type]++;
+    }
+    return summary;
+  }
+
+  // 最適なツリー構造を構築
+  buildOptimalTree(urlVisitMap, urlTransitions) {
+    const nodes = new Map();
+    const childToParent = new Map(); // 子→親の関係を記録
+    const parentToChildren = new Map(); // 親→子の関係を記録
+
+    // 各URLのノードを作成
+    for (const [url, urlInfo] of urlVisitMap) {
+      nodes.set(url, {
+        url: urlInfo.url,
+        title: urlInfo.title,
+        favicon: urlInfo.favicon,
+        visitTime: urlInfo.lastVisitTime, // 表示用は最後の訪問時間
+        visitCount: urlInfo.visitCount,
+        children: []
+      });
+      parentToChildren.set(url, []);
+    }
+
+    // 全ての遷移関係を分析して最適な親子関係を決定
+    const allTransitions = [];
+    for (const [fromUrl, transitions] of urlTransitions) {
+      for (const [toUrl, transitionInfo] of transitions) {
+        allTransitions.push({
+          from: fromUrl,
+          to: toUrl,
+          count: transitionInfo.count,
+          firstTime: transitionInfo.firstTime,
+          lastTime: transitionInfo.lastTime
+        });
+      }
+    }
+
+    // 遷移を優先度順にソート（回数多い順、同じなら早い順）
+    allTransitions.sort((a, b) => {
+      if (b.count !== a.count) {
+        return b.count - a.count; // 回数の多い順
+      }
+      return a.firstTime - b.firstTime; // 時間の早い順
+    });
+
+    // 循環参照を避けながら最適な親子関係を構築
+    for (const transition of allTransitions) {
+      const { from, to, count } = transition;
+
+      // 既に親子関係が逆向きに存在しないか確認
+      if (!this.wouldCreateCycle(from, to, childToParent)) {
+        // 子が既に他の親を持っていない場合、または現在の関係の方が強い場合
+        const currentParent = childToParent.get(to);
+        if (!currentParent || this.shouldReplaceParent(from, currentParent, to, urlTransitions)) {
+          // 既存の親子関係を削除
+          if (currentParent) {
+            const currentParentChildren = parentToChildren.get(currentParent);
+            const index = currentParentChildren.indexOf(to);
+            if (index > -1) {
+              currentParentChildren.splice(index, 1);
+            }
+          }
+
+          // 新しい親子関係を設定
+          childToParent.set(to, from);
+          parentToChildren.get(from).push(to);
+        }
+      }
+    }
+
+    // ノードに子要素を設定
+    for (const [parentUrl, childUrls] of parentToChildren) {
+      const parentNode = nodes.get(parentUrl);
+      if (parentNode) {
+        // 子ノードを追加（訪問回数順、同じなら時間順）
+        const childNodes = childUrls
+          .map(childUrl => nodes.get(childUrl))
+          .filter(child => child)
+          .sort((a, b) => {
+            const aTransition = urlTransitions.get(parentUrl)?.get(a.url);
+            const bTransition = urlTransitions.get(parentUrl)?.get(b.url);
+
+            if (aTransition && bTransition) {
+              if (bTransition.count !== aTransition.count) {
+                return bTransition.count - aTransition.count;
+              }
+              return aTransition.firstTime - bTransition.firstTime;
+            }
+            return b.visitTime - a.visitTime;
+          });
+
+        parentNode.children = childNodes;
+      }
+    }
+
+    // ルートノード（親を持たない）を取得
+    const rootUrls = Array.from(nodes.keys()).filter(url => !childToParent.has(url));
+
+    // 孤立したノード（親も子も持たない）に対してURL階層分析を適用
+    const orphanUrls = rootUrls.filter(url => parentToChildren.get(url).length === 0);
+
+    // さらに、全てのルートノード間でもURL階層分析を適用してツリー合体を検討
+    console.log(`全ルートノード ${rootUrls.length} 個に対してURL階層分析を実行...`);
+    console.log(`うち孤立ノード: ${orphanUrls.length} 個`);
+
+    if (rootUrls.length > 1) {
+      // URL階層から親子関係を推定（全ルートノードを対象）
+      const inferredRelations = this.inferParentFromURL(rootUrls, urlVisitMap);
+
+      // 推定された関係を適用（スコアの高い順、より多くの関係を検討）
+      for (const relation of inferredRelations.slice(0, Math.min(25, inferredRelations.length))) {
+        const { parent: parentUrl, child: childUrl, score } = relation;
+
+        // 循環参照チェック
+        if (!this.wouldCreateCycle(parentUrl, childUrl, childToParent)) {
+          const currentParent = childToParent.get(childUrl);
+
+          // 以下の場合に親子関係を設定/更新：
+          // 1. 子が現在親を持っていない場合
+          // 2. より高いスコアの関係が見つかった場合（スコア50以上なら適用を検討）
+          // 3. 確実な階層関係（スコア800以上）なら強制適用
+          let shouldApply = false;
+          let reason = '';
+
+          if (!currentParent) {
+            shouldApply = true;
+            reason = '現在親なし';
+          } else if (score >= 800) {
+            // ルートページなどの確実な階層関係は既存関係を上書き
+            shouldApply = true;
+            reason = `確実な階層関係(${score})で既存関係を上書き`;
+          } else if (score >= 100) {
+            // かなり良いスコアの場合も上書きを検討
+            shouldApply = true;
+            reason = `高スコア(${score})で既存関係を上書き`;
+          } else if (score >= 50) {
+            // 中程度のスコアでも、孤立ノード同士なら積極的に合体
+            const parentHasNoChildren = parentToChildren.get(parentUrl).length === 0;
+            const childIsOrphan = orphanUrls.includes(childUrl);
+
+            if (parentHasNoChildren || childIsOrphan) {
+              shouldApply = true;
+              reason = `中スコア(${score})で孤立ノード同士を合体`;
+            }
+          }
+
+          if (shouldApply) {
+            // 既存の親子関係を削除（存在する場合）
+            if (currentParent) {
+              const currentParentChildren = parentToChildren.get(currentParent);
+              const index = currentParentChildren.indexOf(childUrl);
+              if (index > -1) {
+                currentParentChildren.splice(index, 1);
+                // 元の親ノードからも子を削除
+                const oldParentNode = nodes.get(currentParent);
+                if (oldParentNode) {
+                  const childIndex = oldParentNode.children.findIndex(child => child.url === childUrl);
+                  if (childIndex > -1) {
+                    oldParentNode.children.splice(childIndex, 1);
+                  }
+                }
+              }
+            }
+
+            // 新しい親子関係を設定
+            childToParent.set(childUrl, parentUrl);
+            parentToChildren.get(parentUrl).push(childUrl);
+
+            // ノードの子要素を更新
+            const parentNode = nodes.get(parentUrl);
+            const childNode = nodes.get(childUrl);
+            if (parentNode && childNode) {
+              parentNode.children.push(childNode);
+              console.log(`URL階層分析により ${parentUrl} → ${childUrl} の関係を追加 (${reason})`);
+            }
+          }
+        }
+      }
+    }
+
+    // 親子関係の逆転チェック - 子の方が親として適切な場合は関係を逆転
+    console.log('\n=== 親子関係の逆転チェックを実行 ===');
+    const relationsToReverse = [];
+
+    for (const [childUrl, parentUrl] of childToParent) {
+      const childInfo = urlVisitMap.get(childUrl);
+      const parentInfo = urlVisitMap.get(parentUrl);
+
+      if (childInfo && parentInfo) {
+        const shouldReverse = this.shouldReverseParentChild(childUrl, parentUrl, urlVisitMap);
+        if (shouldReverse) {
+          relationsToReverse.push({ currentChild: childUrl, currentParent: parentUrl });
+          console.log(`関係逆転候補: ${childUrl} が ${parentUrl} より適切な親`);
+        }
+      }
+    }
+
+    // 逆転を実行
+    for (const { currentChild, currentParent } of relationsToReverse) {
+      // 循環参照を避けるため、逆転後に問題がないかチェック
+      if (!this.wouldCreateCycleAfterReverse(currentChild, currentParent, childToParent)) {
+        this.reverseParentChildRelation(currentChild, currentParent, childToParent, parentToChildren, nodes);
+        console.log(`関係を逆転: ${currentChild} → ${currentParent}`);
+      } else {
+        console.log(`循環参照のため逆転をスキップ: ${currentChild} ↔ ${currentParent}`);
+      }
+    }
+
+    // 最終的なルートノードを取得
+    const finalRootUrls = Array.from(nodes.keys()).filter(url => !childToParent.has(url));
+    const rootNodes = finalRootUrls
+      .map(url => nodes.get(url))
+      .sort((a, b) => b.visitTime - a.visitTime); // 時間順（新しい順）
+
+    console.log(`集計モード: ${nodes.size}個のURL、${finalRootUrls.length}個のルートノード`);
+
+    return rootNodes;
+  }
+
+  // 循環参照チェック
+  wouldCreateCycle(from, to, childToParent) {
+    let current = from;
+    while (current) {
+      if (current === to) {
+        return true; // 循環が発生する
+      }
+      current = childToParent.get(current);
+    }
+    return false;
+  }
+
+  // より強い親子関係かどうか判定
+  shouldReplaceParent(newParent, currentParent, child, urlTransitions) {
+    const newTransition = urlTransitions.get(newParent)?.get(child);
+    const currentTransition = urlTransitions.get(currentParent)?.get(child);
+
+    if (!newTransition || !currentTransition) {
+      return !!newTransition; // 新しい遷移が存在すれば置き換え
+    }
+
+    // 遷移回数で比較
+    if (newTransition.count !== currentTransition.count) {
+      return newTransition.count > currentTransition.count;
+    }
+
+    // 同じ回数なら時間で比較（早い方を優先）
+    return newTransition.firstTime < currentTransition.firstTime;
+  }
+
+  // URLの階層構造から親子関係を推定（孤立ノード用）
+  inferParentFromURL(orphanNodes, urlVisitMap) {
+    const urlHierarchy = new Map();
+
+    // 各URLを解析してパス階層を構築
+    for (const [url, urlInfo] of urlVisitMap) {
+      try {
+        const urlObj = new URL(url);
+        const pathParts = urlObj.pathname.split('/').filter(part => part.length > 0);
+        const domain = urlObj.hostname;
+
+        urlHierarchy.set(url, {
+          domain: domain,
+          pathParts: pathParts,
+          depth: pathParts.length,
+          url: url,
+          urlInfo: urlInfo
+        });
+      } catch (error) {
+        // 無効なURLの場合はスキップ
+        continue;
+      }
+    }
+
+    // 孤立ノードに対して階層的な親を見つける
+    const newRelations = [];
+
+    for (const orphanUrl of orphanNodes) {
+      const orphan = urlHierarchy.get(orphanUrl);
+      if (!orphan) continue;
+
+      console.log(`\n=== 孤立ノードの親を検索: ${orphanUrl} ===`);
+      console.log(`ドメイン: ${orphan.domain}, パス: [${orphan.pathParts.join(', ')}], 深さ: ${orphan.depth}`);
+
+      let bestParent = null;
+      let bestScore = -1;
+
+      // 他のURLと比較して最適な親を見つける
+      for (const [candidateUrl, candidate] of urlHierarchy) {
+        if (candidateUrl === orphanUrl) continue;
+
+        const score = this.calculateParentScore(orphan, candidate);
+        if (score > 0) {
+          console.log(`  候補: ${candidateUrl} -> スコア: ${score}`);
+          console.log(`    パス: [${candidate.pathParts.join(', ')}], 深さ: ${candidate.depth}`);
+        }
+
+        if (score > bestScore) {
+          bestScore = score;
+          bestParent = candidate;
+        }
+      }
+
+      console.log(`  最適な親: ${bestParent ? bestParent.url : 'なし'} (スコア: ${bestScore})`);
+
+      // 確実な階層関係または十分なスコアがあれば親子関係を追加
+      // 確実な階層関係の場合はスコア1000以上として判定
+      if (bestParent && (bestScore >= 1000 || bestScore > 0)) {
+        newRelations.push({
+          parent: bestParent.url,
+          child: orphanUrl,
+          score: bestScore,
+          type: bestScore >= 1000 ? 'url_hierarchy_certain' : 'url_hierarchy'
+        });
+      }
+    }
+
+    // スコア順にソートして返す
+    return newRelations.sort((a, b) => b.score - a.score);
+  }
+
+  // URLの親子関係スコアを計算
+  calculateParentScore(child, parent) {
+    // 同じドメインでない場合は0
+    if (child.domain !== parent.domain) {
+      return 0;
+    }
+
+    // 子の方が浅い場合は0
+    if (child.depth <= parent.depth) {
+      return 0;
+    }
+
+    let score = 0;
+
+    // パス接頭辞の一致度をチェック
+    const matchingParts = this.countMatchingPathParts(parent.pathParts, child.pathParts);
+
+    if (matchingParts === parent.pathParts.length && matchingParts > 0) {
+      // 完全なパス接頭辞マッチ - 確実な階層関係
+      score += 1000; // 確実性を示す高いスコア
+
+      // 深さの差が小さいほど高スコア（直接の親子関係を優先）
+      const depthDiff = child.depth - parent.depth;
+      score += Math.max(0, 100 - depthDiff * 5);
+
+      // 特定のパターンにボーナス
+      score += this.getUrlPatternBonus(parent.pathParts, child.pathParts);
+
+      console.log(`    確実な階層関係: ${parent.url} -> ${child.url} (スコア: ${score})`);
+    } else if (parent.pathParts.length === 0) {
+      // ルートページ（/）は同じドメインの全てのページの確実な親
+      score += 800; // 非常に高いスコアでルートページを親として優先
+      console.log(`    ルートページ親候補 (スコア: ${score})`);
+    } else if (matchingParts > 0) {
+      // 部分的なパス一致
+      score += matchingParts * 20;
+      console.log(`    部分的パス一致: ${matchingParts}個の共通パス (スコア: ${score})`);
+    } else {
+      // 同じドメインで階層が浅い場合、潜在的な親として考慮
+      const depthDiff = child.depth - parent.depth;
+      if (depthDiff <= 3) { // 深さの差を3以下に緩和
+        score += Math.max(0, 60 - depthDiff * 10); // ベーススコアを60に大幅増加
+        console.log(`    同じドメインの浅い階層 (深さ差: ${depthDiff}, スコア: ${score})`);
+
+        // 特に親が浅い場合はさらにボーナス
+        if (parent.depth <= 1) {
+          score += 20; // 親が浅い場合のボーナス
+          console.log(`    浅い親へのボーナス (+20, 総スコア: ${score})`);
+        }
+      }
+    }
+
+    return score;
+  }
+
+  // パス部分の一致数を数える
+  countMatchingPathParts(parentParts, childParts) {
+    let matches = 0;
+    const minLength = Math.min(parentParts.length, childParts.length);
+
+    for (let i = 0; i < minLength; i++) {
+      if (parentParts[i] === childParts[i]) {
+        matches++;
+      } else {
+        break; // 接頭辞でなくなったら終了
+      }
+    }
+
+    return matches;
+  }
+
+  // URLパターンに基づくボーナススコア
+  getUrlPatternBonus(parentParts, childParts) {
+    let bonus = 0;
+
+    // よくあるパターンにボーナスを付与
+    if (parentParts.length > 0) {
+      const parentLast = parentParts[parentParts.length - 1].toLowerCase();
+
+      // カテゴリ系のパターン
+      if (['category', 'categories', 'tag', 'tags', 'section'].includes(parentLast)) {
+        bonus += 20;
+      }
+
+      // 商品・記事系のパターン
+      if (['products', 'items', 'posts', 'articles', 'blog'].includes(parentLast)) {
+        bonus += 20;
+      }
+
+      // ユーザー系のパターン
+      if (['user', 'users', 'profile', 'account'].includes(parentLast)) {
+        bonus += 15;
+      }
+    }
+
+    // 数値IDパターン（詳細ページ）
+    if (childParts.length > 0) {
+      const childLast = childParts[childParts.length - 1];
+      if (/^\d+$/.test(childLast) || /^[a-f0-9-]{8,}/.test(childLast)) {
+        bonus += 25; // ID的なものは詳細ページの可能性が高い
+      }
+    }
+
+    return bonus;
+  }
+
+  // 親と子が同じURL/タイトルの場合、重複する子を削除し孫を親に移す
+  removeDuplicateNodes(nodes) {
+    let removedCount = 0;
+
+    const processNode = (node) => {
+      // まず子ノードたちを再帰的に処理
+      const processedChildren = node.children.map(processNode);
+
+      // 現在のノードと同じURL/タイトルの子ノードを見つける
+      const duplicateChildren = [];
+      const uniqueChildren = [];
+
+      for (const child of processedChildren) {
+        if (this.isSameNode(node, child)) {
+          // 重複する子ノードの場合、その子たち（孫）を取得
+          duplicateChildren.push(...child.children);
+          removedCount++;
+          console.log(`重複ノードを削除: ${child.title || child.url} (${child.children.length}個の子を親に移動)`);
+        } else {
+          uniqueChildren.push(child);
+        }
+      }
+
+      // 重複しない子ノードと、重複した子の孫ノードを合わせる
+      const allChildren = [...uniqueChildren, ...duplicateChildren];
+
+      // 時刻順でソート（新しい順）
+      allChildren.sort((a, b) => b.visitTime - a.visitTime);
+
+      return {
+        ...node,
+        children: allChildren
+      };
+    };
+
+    const result = nodes.map(processNode);
+
+    if (removedCount > 0) {
+      console.log(`合計 ${removedCount} 個の重複ノードを削除しました`);
+    }
+
+    return result;
+  }
+
+  // 2つのノードが同じかどうかを判定
+  isSameNode(node1, node2) {
+    // URLが同じで、かつタイトルも同じ場合に重複と判定
+    // ただし、タイトルが空やURLと同じ場合は、URLだけで判定
+    const url1 = this.getCanonicalUrl(node1);
+    const url2 = this.getCanonicalUrl(node2);
+    const title1 = node1.title === node1.url ? '' : node1.title;
+    const title2 = node2.title === node2.url ? '' : node2.title;
+
+    // SPAのURL変更から合成した訪問は、#fragment などを除くと同じでも元のページと区別する
+    if (url1 !== url2 || !!node1.isSynthetic !== !!node2.isSynthetic) {
+      return false;
+    }
+
+    // URLが同じ場合
+    if (!title1 || !title2) {
+      // どちらかのタイトルが空ならURLだけで判定
+      return true;
+    }
+
+    // 両方にタイトルがある場合はタイトルも比較
+    return title1 === title2;
+  }
+
+  // 時系列モードで連続する同じアイテムをまとめる
+  mergeConsecutiveSameItems(nodes) {
+    if (!nodes || nodes.length === 0) return nodes;
+
+    const merged = [];
+    let currentGroup = null;
+
+    for (const node of nodes) {
+      // 親子関係がない（ルートレベル）かつ子要素を持たないノードのみ対象
+      if (node.children.length === 0) {
+        if (currentGroup && this.isSameItem(currentGroup.node, node)) {
+          // 同じアイテムの場合、グループに追加
+          currentGroup.visits.push(node);
+          currentGroup.visitCount++;
+          // 最新の訪問時間を保持
+          if (node.visitTime > currentGroup.node.visitTime) {
+            currentGroup.node.visitTime = node.visitTime;
+          }
+        } else {
+          // 異なるアイテムの場合、前のグループを確定して新しいグループを開始
+          if (currentGroup) {
+            merged.push(this.createMergedNode(currentGroup));
+          }
+          currentGroup = {
+            node: { ...node },
+            visits: [node],
+            visitCount: 1
+          };
+        }
+      } else {
+        // 子要素を持つノードの場合、前のグループを確定して個別に追加
+        if (currentGroup) {
+          merged.push(this.createMergedNode(currentGroup));
+          currentGroup = null;
+        }
+
+        // 子要素に対しても再帰的に処理
+        const mergedChildren = this.mergeConsecutiveSameItems(node.children);
+        merged.push({
+          ...node,
+          children: mergedChildren
+        });
+      }
+    }
+
+    // 最後のグループを追加
+    if (currentGroup) {
+      merged.push(this.createMergedNode(currentGroup));
+    }
+
+    return merged;
+  }
+
+  // 2つのアイテムが同じかどうかを判定（URLとタイトルで比較）
+  isSameItem(item1, item2) {
+    return this.getCanonicalUrl(item1) === this.getCanonicalUrl(item2) && item1.title === item2.title;
+  }
+
+  // マージされたノードを作成
+  createMergedNode(group) {
+    const node = { ...group.node };
+
+    // 複数の訪問がある場合は、マージ情報を追加
+    if (group.visitCount > 1) {
+      node.isMerged = true;
+      node.mergedVisitCount = group.visitCount;
+      node.allVisits = group.visits;
+      const originalUrls = new Set(group.visits.map(visit => visit.url));
+      if (originalUrls.size > 1) node.originalUrls = Array.from(originalUrls);
+
+      // 最初と最後の訪問時間を記録
+      const sortedVisits = group.visits.sort((a, b) => a.visitTime - b.visitTime);
+      node.firstVisitTime = sortedVisits[0].visitTime;
+      node.lastVisitTime = sortedVisits[sortedVisits.length - 1].visitTime;
+    }
+
+    return node;
+  }
+
+  filterTree(nodes, searchTerm) {
+    const filtered = [];
+
+    for (const node of nodes) {
+      const titleMatch = node.title.toLowerCase().includes(searchTerm);
+      const urlMatch = node.url.toLowerCase().includes(searchTerm);
+      const queryMatch = Boolean(node.searchQuery) && node.searchQuery.toLowerCase().includes(searchTerm);
+      const filteredChildren = this.filterTree(node.children, searchTerm);
+
+      if (titleMatch || urlMatch || queryMatch || filteredChildren.length > 0) {
+        filtered.push({
+          ...node,
+          children: filteredChildren
+        });
+      }
+    }
+
+    return filtered;
+  }
+
+  // 期間内に訪問したノードと、その祖先だけを残す
+  // 複数の訪問をまとめたノード（集計モード、トピック、時系列とBetaのマージ）は、どれかの訪問が期間内なら残す
+  // トピックなどの見出しのノードは子が残る場合だけ
+  filterTreeByTimeRange(nodes, { start, end }) {
+    const filtered = [];
+
+    for (const node of nodes) {
+      const mergedVisits = node.allVisits || node.betaMergedVisits;
+      const visitTimes = mergedVisits ? mergedVisits.map(visit => visit.visitTime) : node.visitTimes || [node.visitTime];
+      const isHeading = node.isTopic || node.isPatternGroup || node.isGeneratedRoot;
+      const inRange = !isHeading && visitTimes.some(time => time >= start && time <= end);
+      const filteredChildren = this.filterTreeByTimeRange(node.children, { start, end });
+
+      if (inRange || filteredChildren.length > 0) {
+        filtered.push({
+          ...node,
+          children: filteredChildren
+        });
+      }
+    }
+
+    return filtered;
+  }
+
+  // 親子関係を逆転すべきかを判定
+  shouldReverseParentChild(currentChildUrl, currentParentUrl, urlVisitMap) {
+    try {
+      const childInfo = urlVisitMap.get(currentChildUrl);
+      const parentInfo = urlVisitMap.get(currentParentUrl);
+
+      const childUrl = new URL(currentChildUrl);
+      const parentUrl = new URL(currentParentUrl);
+
+      // ドメインが違う場合は逆転しない
+      if (childUrl.hostname !== parentUrl.hostname) {
+        return false;
+      }
+
+      const childParts = childUrl.pathname.split('/').filter(part => part.length > 0);
+      const parentParts = parentUrl.pathname.split('/').filter(part => part.length > 0);
+
+      // 子の方が階層が浅い場合（より一般的）は逆転候補
+      if (childParts.length < parentParts.length) {
+        console.log(`    ${currentChildUrl} (深さ${childParts.length}) < ${currentParentUrl} (深さ${parentParts.length})`);
+        return true;
+      }
+
+      // 深さが同じで、子がルートページ系の場合
+      if (childParts.length === parentParts.length) {
+        const childLast = childParts[childParts.length - 1]?.toLowerCase() || '';
+        const parentLast = parentParts[parentParts.length - 1]?.toLowerCase() || '';
+
+        // 子がより汎用的なページ名の場合
+        const genericPages = ['index', 'home', 'main', 'top', 'root'];
+        if (genericPages.includes(childLast) && !genericPages.includes(parentLast)) {
+          console.log(`    ${currentChildUrl} は汎用的ページ (${childLast})`);
+          return true;
+        }
+      }
+
+      // 子がルートページ（/）の場合
+      if (childParts.length === 0 && parentParts.length > 0) {
+        console.log(`    ${currentChildUrl} はルートページ`);
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('親子逆転判定エラー:', error);
+      return false;
+    }
+  }
+
+  // 親子関係逆転後に循環参照が起きないかチェック
+  wouldCreateCycleAfterReverse(newParent, newChild, childToParent) {
+    // newChildが既に他の親を持つ場合、その親がnewParentの祖先でないかチェック
+    let current = childToParent.get(newChild);
+    const visited = new Set([newParent]); // 新しい親は既に訪問済みとして扱う
+
+    while (current && !visited.has(current)) {
+      if (current === newParent) {
+        return true; // 循環参照が発生
+      }
+      visited.add(current);
+      current = childToParent.get(current);
+    }
+
+    return false;
+  }
+
+  // 親子関係を逆転する
+  reverseParentChildRelation(newParentUrl, newChildUrl, childToParent, parentToChildren, nodes) {
+    // 現在の関係を削除
+    childToParent.delete(newChildUrl);
+    const currentParentChildren = parentToChildren.get(newParentUrl);
+    const childIndex = currentParentChildren.indexOf(newChildUrl);
+    if (childIndex > -1) {
+      currentParentChildren.splice(childIndex, 1);
+    }
+
+    // 新しい関係を設定
+    childToParent.set(newChildUrl, newParentUrl);
+    parentToChildren.get(newParentUrl).push(newChildUrl);
+
+    // ノードの子要素も更新
+    const newParentNode = nodes.get(newParentUrl);
+    const newChildNode = nodes.get(newChildUrl);
+
+    if (newParentNode && newChildNode) {
+      // 旧親から子を削除
+      const oldChildIndex = newParentNode.children.findIndex(child => child.url === newChildUrl);
+      if (oldChildIndex > -1) {
+        newParentNode.children.splice(oldChildIndex, 1);
+      }
+
+      // 新親に子を追加
+      newChildNode.children.push(newParentNode);
+    }
+  }
+
+  // 時系列ツリーに新しい訪問を追加（buildHistoryTree と同じ規則で親を決める）
+  insertVisitIntoChronologicalTree(visit) {
+    const roots = this.trees.get('chronological');
+    if (!roots) return;
+
+    const node = { ...visit, children: [] };
+    let parent = visit.referringVisitId
+      ? this.findNodeByVisitId(roots, visit.referringVisitId)
+      : null;
+
+    // 参照元がない直接入力などは、5分以内の直前の訪問を親と推定
+    if (!parent && (visit.transition === 'typed' || visit.transition === 'auto_bookmark' || visit.transition === 'generated')) {
+      const previous = this.allVisits.find(v =>
+        v.visitId !== visit.visitId &&
+        v.visitTime < visit.visitTime &&
+        v.visitTime > visit.visitTime - 5 * 60 * 1000
+      );
+      if (previous) {
+        parent = this.findNodeByVisitId(roots, previous.visitId);
+        if (parent) node.inferredParent = 'recent_visit';
+      }
+    }
+
+    if (parent) {
+      // 親と同じページの子は removeDuplicateNodes と同様に追加しない
+      if (this.isSameNode(parent, node)) return;
+      parent.children.unshift(node);
+    } else {
+      roots.unshift(node);
+    }
+
+    roots.sort((a, b) => this.getLatestVisitTimeInTree(b) - this.getLatestVisitTimeInTree(a));
+  }
+
+  // 集計ツリーに既に同じURLがあれば訪問回数だけ更新し、なければ再構築させる
+  updateAggregatedTreeForVisit(visit) {
+    const roots = this.trees.get('aggregated');
+    if (!roots) return;
+
+    const node = this.findNodeByUrl(roots, this.getCanonicalUrl(visit));
+    if (node) {
+      if (node.url !== visit.url) {
+        node.originalUrls = Array.from(new Set([...(node.originalUrls || [node.url]), visit.url]));
+      }
+      node.visitCount = (node.visitCount || 1) + 1;
+      node.visitTimes = [...(node.visitTimes || [node.visitTime]), visit.visitTime];
+      node.visitTime = Math.max(node.visitTime, visit.visitTime);
+      roots.sort((a, b) => this.getLatestVisitTimeInTree(b) - this.getLatestVisitTimeInTree(a));
+    } else {
+      this.trees.delete('aggregated');
+    }
+  }
+
+  findNodeByVisitId(nodes, visitId) {
+    for (const node of nodes) {
+      if (node.visitId === visitId) return node;
+      const found = this.findNodeByVisitId(node.children, visitId);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // url は正規化したURL
+  findNodeByUrl(nodes, url) {
+    for (const node of nodes) {
+      if (this.getCanonicalUrl(node) === url) return node;
+      const found = this.findNodeByUrl(node.children, url);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // 削除されたURLのノードを取り除き、その子は同じ位置に繰り上げる
+  removeNodesByUrl(nodes, removedUrls) {
+    const result = [];
+    for (const node of nodes) {
+      const children = this.removeNodesByUrl(node.children, removedUrls);
+      if (removedUrls.has(node.url)) {
+        result.push(...children);
+      } else {
+        node.children = children;
+        result.push(node);
+      }
+    }
+    return result;
+  }
+}
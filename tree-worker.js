@@ -0,0 +1,72 @@
+// tree-worker.js - ツリー構築用の Web Worker（UIスレッドを止めないため）
+//
+// メッセージ（history.js -> worker）
+//   { type: 'setVisits', visits, range, navigationState }  訪問を置き換える
+//   { type: 'addVisits', visits }                    新しい訪問を追加（ライブ更新）
+//   { type: 'removeUrls', allHistory, urls }         削除された履歴を反映
+//   { type: 'setParams', params }                    集計モードのスコア設定を変更
+//   { type: 'setParentOverrides', overrides }        手動で付け替えた親を変更
+//   { type: 'setCanonicalRules', rulesText }         URL正規化のルールを変更
+//   { type: 'setUrlPatternRules', rules }            グループにまとめるURLパターンを変更
+//   { type: 'build', requestId, mode, searchTerm, timeRange, sessionGapMs, sessionId }
+//                                                    ツリーを構築（時系列モードはセッションに分け、sessionId で絞り込む）
+//                                                    timeRange は { start, end }（null なら期間で絞り込まない）
+// メッセージ（worker -> history.js）
+//   { type: 'built', requestId, roots, sessions }    sessions は時系列モード以外では null
+//   { type: 'error', requestId, message }
+importScripts('navigation-tracker.js', 'url-canonical.js', 'public-suffix-data.js', 'public-suffix.js', 'url-patterns.js', 'tree-builder.js');
+
+const navigationTracker = new NavigationTracker();
+const treeBuilder = new TreeBuilder(navigationTracker);
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'setVisits':
+      navigationTracker.restore(message.navigationState);
+      treeBuilder.setVisits(message.visits, message.range);
+      break;
+
+    case 'addVisits':
+      treeBuilder.addVisits(message.visits);
+      break;
+
+    case 'removeUrls':
+      treeBuilder.removeUrls(message);
+      break;
+
+    case 'setParams':
+      treeBuilder.setParams(message.params);
+      break;
+
+    case 'setParentOverrides':
+      treeBuilder.setParentOverrides(message.overrides);
+      break;
+
+    case 'setCanonicalRules':
+      treeBuilder.setCanonicalRules(parseCanonicalRules(message.rulesText).rules);
+      break;
+
+    case 'setUrlPatternRules':
+      treeBuilder.setUrlPatternRules(message.rules);
+      break;
+
+    case 'build':
+      try {
+        let roots = treeBuilder.buildView(message.mode, message.searchTerm, message.timeRange || null);
+        let sessions = null;
+        if (message.mode === 'chronological') {
+          ({ roots, sessions } = treeBuilder.splitIntoSessions(roots, message.sessionGapMs, message.sessionId));
+        }
+        self.postMessage({ type: 'built', requestId: message.requestId, roots, sessions });
+      } catch (error) {
+        console.error('ツリー構築エラー:', error);
+        self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+      }
+      break;
+
+    default:
+      console.warn('不明なメッセージ:', message.type);
+  }
+};
@@ -0,0 +1,116 @@
+// url-canonical.js - URLの正規化（計測用パラメータなどの違いを同じページとして扱う）
+// tree-worker.js・history.js・options.js から読み込む。ルールは chrome.storage.sync に保存
+
+// chrome.storage.sync に保存するキー（値はルールのテキスト）
+const CANONICAL_RULES_STORAGE_KEY = 'urlCanonicalRules';
+
+// どのサイトでも削除する計測用パラメータ
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/,
+  /^(fbclid|gclid|gclsrc|dclid|gbraid|wbraid|msclkid|yclid|twclid|ttclid|igshid|srsltid)$/,
+  /^(mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|mkt_tok|vero_id|wickedid|oly_anon_id|oly_enc_id|ref_src)$/
+];
+
+// ルールのテキスト（1行に1ルール。# で始まる行はコメント）
+//   <ホスト> <指定...>
+//   ホスト: example.com（サブドメインも含む）または *（すべてのサイト）
+//   指定:   -param  パラメータを削除
+//           =param  指定したパラメータだけを残す（複数指定可）
+//           #       #fragment を残す
+// 例:
+//   *                -ref -source
+//   shop.example.com =id =page
+//   app.example.com  #
+// 戻り値: { rules, errors }（errors は解釈できなかった行の説明）
+function parseCanonicalRules(text) {
+  const rules = [];
+  const errors = [];
+
+  (text || '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [host, ...specs] = line.split(/\s+/);
+    const rule = { host: host.toLowerCase().replace(/^www\./, ''), removeParams: [], keepOnlyParams: null, keepFragment: false };
+    const errorCount = errors.length;
+    for (const spec of specs) {
+      if (spec === '#') {
+        rule.keepFragment = true;
+      } else if (spec.startsWith('-') && spec.length > 1) {
+        rule.removeParams.push(spec.slice(1));
+      } else if (spec.startsWith('=') && spec.length > 1) {
+        rule.keepOnlyParams = rule.keepOnlyParams || [];
+        rule.keepOnlyParams.push(spec.slice(1));
+      } else {
+        errors.push(`${index + 1}行目: 「${spec}」を解釈できません`);
+      }
+    }
+    if (specs.length === 0) {
+      errors.push(`${index + 1}行目: 指定がありません`);
+    }
+    if (errors.length === errorCount) rules.push(rule);
+  });
+
+  return { rules, errors };
+}
+
+function canonicalRuleMatches(rule, hostname) {
+  return rule.host === '*' || hostname === rule.host || hostname.endsWith(`.${rule.host}`);
+}
+
+// 比較用の正規化したURL（表示には使わない）
+// - http/https の違い、www.、既定のポート、末尾の /、#fragment、計測用パラメータを無視
+// - #/ や #! で始まる fragment（ハッシュでの画面遷移）は残す
+// - 残ったクエリパラメータは名前順に並べる
+function canonicalizeUrl(url, rules = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const matchedRules = rules.filter(rule => canonicalRuleMatches(rule, hostname));
+
+  const removeParams = new Set(matchedRules.flatMap(rule => rule.removeParams));
+  const keepOnlyRules = matchedRules.filter(rule => rule.keepOnlyParams);
+  const keepOnlyParams = keepOnlyRules.length > 0 ? new Set(keepOnlyRules.flatMap(rule => rule.keepOnlyParams)) : null;
+  const params = Array.from(parsed.searchParams)
+    .filter(([name]) => !TRACKING_PARAM_PATTERNS.some(pattern => pattern.test(name)))
+    .filter(([name]) => !removeParams.has(name))
+    .filter(([name]) => !keepOnlyParams || keepOnlyParams.has(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  let pathname = parsed.pathname;
+  if (pathname.length > 1 && pathname.endsWith('/')) pathname = pathname.replace(/\/+$/, '');
+
+  const keepFragment = matchedRules.some(rule => rule.keepFragment) || /^#[/!]/.test(parsed.hash);
+  const hash = keepFragment ? parsed.hash : '';
+
+  const port = parsed.port ? `:${parsed.port}` : '';
+  return `https://${hostname}${port}${pathname}${query}${hash}`;
+}
+
+async function loadCanonicalRulesText() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) return '';
+
+  const result = await chrome.storage.sync.get(CANONICAL_RULES_STORAGE_KEY);
+  return result[CANONICAL_RULES_STORAGE_KEY] || '';
+}
+
+async function saveCanonicalRulesText(text) {
+  await chrome.storage.sync.set({ [CANONICAL_RULES_STORAGE_KEY]: text });
+}
+
+// 他のページ（設定ページなど）で変更されたら callback(text) を呼ぶ
+function onCanonicalRulesChanged(callback) {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || !changes[CANONICAL_RULES_STORAGE_KEY]) return;
+    callback(changes[CANONICAL_RULES_STORAGE_KEY].newValue || '');
+  });
+}
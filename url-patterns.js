@@ -0,0 +1,158 @@
+// url-patterns.js - URLパターンのルール（一致するページをグループのノードにまとめる）
+// tree-worker.js・history.js・options.js から読み込む。ルールは chrome.storage.sync に保存
+
+// chrome.storage.sync に保存するキー
+// 値: [{ pattern, label }]
+//   pattern: github.com/:owner/:repo/issues/:id、example.com/product/* など
+//            :name と * は1つのセグメントに一致する（セグメントの数が同じURLだけ一致）
+//            最後のセグメントが各ページ、それより前が同じグループになる
+//   label:   グループの名前（:name は一致した値に置き換える。空なら URL の前半）
+const URL_PATTERN_RULES_STORAGE_KEY = 'urlPatternRules';
+
+// pattern を解釈する。戻り値: { compiled, error }（解釈できなければ compiled は null）
+function compileUrlPattern(pattern) {
+  const text = (pattern || '').trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  const [host, ...segments] = text.split('/');
+  if (!host || !/^[a-z0-9.-]+$/i.test(host)) {
+    return { compiled: null, error: 'ホスト名がありません' };
+  }
+  if (segments.length === 0) {
+    return { compiled: null, error: 'パスがありません' };
+  }
+
+  const parts = [];
+  for (const segment of segments) {
+    if (segment === '*') {
+      parts.push({ wildcard: true });
+    } else if (/^:[A-Za-z_][A-Za-z0-9_]*$/.test(segment)) {
+      parts.push({ param: segment.slice(1) });
+    } else if (segment && !segment.includes(':') && !segment.includes('*')) {
+      parts.push({ literal: segment });
+    } else {
+      return { compiled: null, error: `「${segment}」を解釈できません` };
+    }
+  }
+  if (parts[parts.length - 1].literal !== undefined) {
+    return { compiled: null, error: '最後のセグメントは :name か * にしてください' };
+  }
+
+  return { compiled: { host: host.toLowerCase().replace(/^www\./, ''), parts }, error: null };
+}
+
+// 保存・読み込み用に整える（解釈できないルールも編集できるように残す）
+function normalizeUrlPatternRules(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(rule => rule && typeof rule.pattern === 'string')
+    .map(rule => ({ pattern: rule.pattern.trim(), label: typeof rule.label === 'string' ? rule.label.trim() : '' }));
+}
+
+// ツリーの構築で使う形にする（解釈できないルールは除く）
+function compileUrlPatternRules(rules) {
+  const compiledRules = [];
+  for (const rule of normalizeUrlPatternRules(rules)) {
+    const { compiled } = compileUrlPattern(rule.pattern);
+    if (compiled) compiledRules.push({ ...compiled, pattern: rule.pattern, label: rule.label });
+  }
+  return compiledRules;
+}
+
+// 最初に一致したルールと、グループのキー・URL・名前（一致しなければ null）
+function matchUrlPatternRules(url, compiledRules) {
+  if (compiledRules.length === 0) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const segments = parsed.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+
+  for (const rule of compiledRules) {
+    if (hostname !== rule.host && !hostname.endsWith(`.${rule.host}`)) continue;
+    if (segments.length !== rule.parts.length) continue;
+
+    const params = {};
+    const matched = rule.parts.every((part, index) => {
+      if (part.literal !== undefined) return part.literal === segments[index];
+      if (part.param) params[part.param] = segments[index];
+      return true;
+    });
+    if (!matched) continue;
+
+    const groupPath = `${hostname}/${segments.slice(0, -1).join('/')}`.replace(/\/$/, '');
+    const label = rule.label
+      ? rule.label.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (text, name) => params[name] ?? text)
+      : groupPath;
+    return {
+      pattern: rule.pattern,
+      groupKey: `${rule.pattern}|${groupPath}`,
+      groupUrl: `${parsed.protocol}//${parsed.host}/${segments.slice(0, -1).map(encodeURIComponent).join('/')}`,
+      label,
+      params
+    };
+  }
+  return null;
+}
+
+// 書き出し用のJSON
+function serializeUrlPatternRules(rules) {
+  return JSON.stringify(normalizeUrlPatternRules(rules), null, 2);
+}
+
+// 読み込んだJSONを解釈する。戻り値: { rules, errors }（errors は解釈できなかったルールの説明）
+function parseUrlPatternRulesJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { rules: [], errors: [`JSONとして読み込めません: ${error.message}`] };
+  }
+  if (!Array.isArray(parsed)) {
+    return { rules: [], errors: ['ルールの配列ではありません'] };
+  }
+
+  const rules = [];
+  const errors = [];
+  normalizeUrlPatternRules(parsed).forEach((rule, index) => {
+    const { error } = compileUrlPattern(rule.pattern);
+    if (error) {
+      errors.push(`${index + 1}番目（${rule.pattern}）: ${error}`);
+    } else {
+      rules.push(rule);
+    }
+  });
+  if (rules.length + errors.length < parsed.length) {
+    errors.push('pattern のない項目は読み込みませんでした');
+  }
+  return { rules, errors };
+}
+
+async function loadUrlPatternRules() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) return [];
+
+  const result = await chrome.storage.sync.get(URL_PATTERN_RULES_STORAGE_KEY);
+  return normalizeUrlPatternRules(result[URL_PATTERN_RULES_STORAGE_KEY]);
+}
+
+async function saveUrlPatternRules(rules) {
+  await chrome.storage.sync.set({ [URL_PATTERN_RULES_STORAGE_KEY]: normalizeUrlPatternRules(rules) });
+}
+
+// 他のページ（設定ページなど）で変更されたら callback(rules) を呼ぶ
+function onUrlPatternRulesChanged(callback) {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || !changes[URL_PATTERN_RULES_STORAGE_KEY]) return;
+    callback(normalizeUrlPatternRules(changes[URL_PATTERN_RULES_STORAGE_KEY].newValue));
+  });
+}
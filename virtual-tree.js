@@ -0,0 +1,167 @@
+// virtual-tree.js - 表示範囲にある行だけを DOM に作るリスト（history.js のツリー表示で使う）
+// ページ全体（window）のスクロールに合わせて、前後の余白の高さと表示する行を入れ替える
+
+// 画面の上下に余分に作っておく範囲（速いスクロールで空白が見えないように）
+const VIRTUAL_TREE_OVERSCAN_PX = 800;
+
+class VirtualTreeRenderer {
+  // renderRow(row) -> 行の要素、getRowKey(row) -> 高さを覚えておくためのキー、estimateRowHeight(row) -> 未計測の行の高さ
+  constructor(container, { renderRow, getRowKey, estimateRowHeight }) {
+    this.container = container;
+    this.renderRow = renderRow;
+    this.getRowKey = getRowKey;
+    this.estimateRowHeight = estimateRowHeight;
+
+    this.rows = [];
+    this.heights = new Map(); // 行のキー -> 計測した高さ
+    this.offsets = [0]; // offsets[i] は i 番目の行の上端の位置（offsets[rows.length] は全体の高さ）
+    this.elements = new Map(); // 行の位置 -> 作成済みの要素（同じ rows の間だけ使い回す）
+    this.renderedStart = -1;
+    this.renderedEnd = -1;
+    this.frame = null;
+
+    this.topSpacer = document.createElement('div');
+    this.list = document.createElement('ul');
+    this.list.className = 'virtual-tree-rows';
+    this.bottomSpacer = document.createElement('div');
+
+    // 行の高さが変わったら（説明パネルを開いた時など）位置を計算し直す
+    this.resizeObserver = new ResizeObserver((entries) => {
+      let changed = false;
+      for (const entry of entries) {
+        const key = entry.target.dataset.rowKey;
+        const height = entry.target.offsetHeight;
+        if (key !== undefined && height > 0 && this.heights.get(key) !== height) {
+          this.heights.set(key, height);
+          changed = true;
+        }
+      }
+      if (changed) {
+        this.rebuildOffsets();
+        this.scheduleUpdate(true);
+      }
+    });
+
+    window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+    window.addEventListener('resize', () => this.scheduleUpdate(true));
+  }
+
+  // 表示する行を差し替える
+  setRows(rows) {
+    this.rows = rows;
+    this.elements.clear();
+    // 表示しなくなった行の高さは忘れる
+    const keys = new Set(rows.map(row => this.getRowKey(row)));
+    for (const key of this.heights.keys()) {
+      if (!keys.has(key)) this.heights.delete(key);
+    }
+    this.rebuildOffsets();
+    if (this.list.parentNode !== this.container) {
+      this.container.innerHTML = '';
+      this.container.append(this.topSpacer, this.list, this.bottomSpacer);
+    }
+    this.update(true);
+  }
+
+  getRowHeight(row) {
+    return this.heights.get(this.getRowKey(row)) ?? this.estimateRowHeight(row);
+  }
+
+  // 行の高さの累積（行を差し替えた時と、高さが変わった時に作り直す）
+  rebuildOffsets() {
+    this.offsets = new Array(this.rows.length + 1);
+    this.offsets[0] = 0;
+    for (let i = 0; i < this.rows.length; i++) {
+      this.offsets[i + 1] = this.offsets[i] + this.getRowHeight(this.rows[i]);
+    }
+  }
+
+  // 行の上端の位置（最初の行の上端から）
+  getRowOffset(index) {
+    return this.offsets[Math.min(Math.max(index, 0), this.rows.length)];
+  }
+
+  // 下端が position より下にある最初の行（二分探索）
+  findRowAt(position) {
+    let low = 0;
+    let high = this.rows.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.offsets[mid + 1] > position) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  scheduleUpdate(force = false) {
+    this.forceUpdate = this.forceUpdate || force;
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      const force = this.forceUpdate;
+      this.forceUpdate = false;
+      this.update(force);
+    });
+  }
+
+  update(force = false) {
+    if (!this.container.isConnected) return;
+
+    // 画面に見えている範囲（最初の行の上端からの位置）
+    const listTop = this.topSpacer.getBoundingClientRect().top;
+    const viewTop = -listTop - VIRTUAL_TREE_OVERSCAN_PX;
+    const viewBottom = -listTop + window.innerHeight + VIRTUAL_TREE_OVERSCAN_PX;
+
+    const start = this.findRowAt(viewTop);
+    const end = Math.min(this.findRowAt(viewBottom) + 1, this.rows.length);
+    const totalHeight = this.offsets[this.rows.length];
+
+    this.topSpacer.style.height = `${this.offsets[start]}px`;
+    this.bottomSpacer.style.height = `${totalHeight - this.offsets[end]}px`;
+    if (!force && start === this.renderedStart && end === this.renderedEnd) return;
+
+    this.renderedStart = start;
+    this.renderedEnd = end;
+    this.resizeObserver.disconnect();
+    for (const index of this.elements.keys()) {
+      if (index < start || index >= end) this.elements.delete(index);
+    }
+
+    const fragment = document.createDocumentFragment();
+    for (let i = start; i < end; i++) {
+      let element = this.elements.get(i);
+      if (!element) {
+        element = this.renderRow(this.rows[i]);
+        element.dataset.rowKey = this.getRowKey(this.rows[i]);
+        this.elements.set(i, element);
+      }
+      fragment.appendChild(element);
+    }
+    this.list.replaceChildren(fragment);
+    for (const element of this.list.children) {
+      this.resizeObserver.observe(element);
+    }
+  }
+
+  // index の行が画面内に入るようにスクロールする
+  scrollToIndex(index) {
+    if (index < 0 || index >= this.rows.length) return;
+    const listTop = this.topSpacer.getBoundingClientRect().top;
+    const rowTop = listTop + this.getRowOffset(index);
+    const rowBottom = listTop + this.getRowOffset(index + 1);
+    if (rowTop < 0) {
+      window.scrollBy(0, rowTop);
+    } else if (rowBottom > window.innerHeight) {
+      window.scrollBy(0, rowBottom - window.innerHeight);
+    }
+    this.update();
+  }
+
+  // 作成済みの行の要素（画面外なら null）
+  getElement(index) {
+    return this.elements.get(index) || null;
+  }
+}
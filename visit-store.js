@@ -0,0 +1,328 @@
+// visit-store.js - 訪問履歴のローカルキャッシュ（IndexedDB）
+
+// Promise wrapper for chrome.history APIs
+function historySearch(query) {
+  return new Promise((resolve) => chrome.history.search(query, resolve));
+}
+
+function historyGetVisits(details) {
+  return new Promise((resolve) => chrome.history.getVisits(details, resolve));
+}
+
+// chrome.history.search の1回あたりの取得上限
+const HISTORY_SEARCH_LIMIT = 10000;
+// これ以上は分割しない最小の時間窓（この幅で上限に達した場合は部分的な読み込みとして扱う）
+const HISTORY_MIN_WINDOW_MS = 60 * 1000;
+// 前回読み込みきれなかった範囲を取得し直す時の最小の時間窓
+const HISTORY_RETRY_MIN_WINDOW_MS = 1000;
+
+// getVisits を同時に実行する URL 数
+const HISTORY_VISIT_CONCURRENCY = 8;
+
+// items を最大 limit 個ずつ並列に処理する（signal で中断、onProgress(完了数, 総数) で進捗通知）
+async function runWithConcurrency(items, limit, task, { signal, onProgress } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      signal?.throwIfAborted();
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+      completed++;
+      if (onProgress) onProgress(completed, items.length);
+    }
+  };
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+  signal?.throwIfAborted();
+  return results;
+}
+
+// startTime～endTime を、上限に達しない大きさの時間窓に分割しながらすべて検索する
+// 戻り値の truncatedRanges は最小の時間窓（minWindowMs）でも上限に達した（読み込みきれなかった）範囲
+async function searchHistoryInWindows(startTime, endTime, { signal, minWindowMs = HISTORY_MIN_WINDOW_MS } = {}) {
+  const itemMap = new Map(); // url -> HistoryItem（時間窓の境界で重複するため URL で統合）
+  const truncatedRanges = [];
+  const pending = [[startTime, endTime]];
+
+  while (pending.length > 0) {
+    signal?.throwIfAborted();
+    const [from, to] = pending.pop();
+    const results = await historySearch({ text: '', startTime: from, endTime: to, maxResults: HISTORY_SEARCH_LIMIT });
+
+    if (results.length >= HISTORY_SEARCH_LIMIT) {
+      if (to - from > minWindowMs) {
+        // 上限に達した時間窓は半分に分割して再検索（新しい側から処理）
+        const mid = Math.floor((from + to) / 2);
+        pending.push([from, mid], [mid, to]);
+        continue;
+      }
+      truncatedRanges.push({ startTime: from, endTime: to });
+    }
+
+    for (const item of results) {
+      itemMap.set(item.url, item);
+    }
+  }
+
+  return { items: Array.from(itemMap.values()), truncatedRanges };
+}
+
+const VISIT_DB_NAME = 'historyTreeCache';
+const VISIT_DB_VERSION = 1;
+// 差分同期の際に重ねて取得する幅（境界付近の取りこぼし防止）
+const VISIT_SYNC_OVERLAP_MS = 60 * 1000;
+
+// IDBRequest を Promise に変換
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// トランザクション完了を待つ
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+// visitId をキーにした訪問キャッシュ
+// - visits: { visitId, url, visitTime, referringVisitId, transition }
+// - pages:  { url, title }（タイトルは URL 単位で最新のものを保持）
+// - meta:   { key: 'sync', syncedFrom, syncedUntil, incompleteRanges }
+//           （syncedFrom～syncedUntil の訪問はキャッシュ済み。ただし incompleteRanges は読み込みきれなかった範囲）
+class VisitStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(VISIT_DB_NAME, VISIT_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('visits')) {
+            const visits = db.createObjectStore('visits', { keyPath: 'visitId' });
+            visits.createIndex('visitTime', 'visitTime');
+            visits.createIndex('url', 'url');
+          }
+          if (!db.objectStoreNames.contains('pages')) {
+            db.createObjectStore('pages', { keyPath: 'url' });
+          }
+          if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta', { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async getSyncState() {
+    const db = await this.open();
+    const state = await idbRequest(db.transaction('meta').objectStore('meta').get('sync'));
+    return state || null;
+  }
+
+  async setSyncState(state) {
+    const db = await this.open();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put({ key: 'sync', ...state });
+    await idbTransactionDone(tx);
+  }
+
+  // 訪問とページタイトルをまとめて保存（visitId が同じなら上書き）
+  async putVisits(visits, pages = []) {
+    if (visits.length === 0 && pages.length === 0) return;
+
+    const db = await this.open();
+    const tx = db.transaction(['visits', 'pages'], 'readwrite');
+    const visitStore = tx.objectStore('visits');
+    const pageStore = tx.objectStore('pages');
+    for (const visit of visits) visitStore.put(visit);
+    for (const page of pages) pageStore.put(page);
+    await idbTransactionDone(tx);
+  }
+
+  async deleteVisitsByUrls(urls) {
+    const db = await this.open();
+    const tx = db.transaction(['visits', 'pages'], 'readwrite');
+    const urlIndex = tx.objectStore('visits').index('url');
+    const pageStore = tx.objectStore('pages');
+    for (const url of urls) {
+      urlIndex.openKeyCursor(IDBKeyRange.only(url)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        tx.objectStore('visits').delete(cursor.primaryKey);
+        cursor.continue();
+      };
+      pageStore.delete(url);
+    }
+    await idbTransactionDone(tx);
+  }
+
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(['visits', 'pages', 'meta'], 'readwrite');
+    tx.objectStore('visits').clear();
+    tx.objectStore('pages').clear();
+    tx.objectStore('meta').clear();
+    await idbTransactionDone(tx);
+  }
+
+  // 期間内の訪問をタイトル付きで取得（新しい順）
+  async getVisitsInRange(startTime, endTime) {
+    const db = await this.open();
+    const tx = db.transaction(['visits', 'pages']);
+    const visits = await idbRequest(
+      tx.objectStore('visits').index('visitTime').getAll(IDBKeyRange.bound(startTime, endTime))
+    );
+    const pageStore = tx.objectStore('pages');
+    const urls = Array.from(new Set(visits.map(v => v.url)));
+    const pageRecords = await Promise.all(urls.map(url => idbRequest(pageStore.get(url))));
+    const pages = new Map(urls.map((url, i) => [url, pageRecords[i]]));
+
+    return visits
+      .map(visit => ({ ...visit, title: pages.get(visit.url)?.title || visit.url }))
+      .sort((a, b) => b.visitTime - a.visitTime);
+  }
+
+  // chrome.history から期間内の訪問を取得（URL ごとの getVisits は並列に実行）
+  async fetchVisits(startTime, endTime, { signal, onProgress, minWindowMs } = {}) {
+    const { items, truncatedRanges } = await searchHistoryInWindows(startTime, endTime, { signal, minWindowMs });
+    const visits = [];
+    const pages = items.map(item => ({ url: item.url, title: item.title || '' }));
+
+    if (onProgress) onProgress(0, items.length);
+    await runWithConcurrency(items, HISTORY_VISIT_CONCURRENCY, async (item) => {
+      const itemVisits = await historyGetVisits({ url: item.url });
+      for (const visit of itemVisits) {
+        if (visit.visitTime >= startTime && visit.visitTime <= endTime) {
+          visits.push(this.toRecord(item.url, visit));
+        }
+      }
+    }, { signal, onProgress });
+
+    return { visits, pages, truncatedRanges };
+  }
+
+  toRecord(url, visit) {
+    return {
+      visitId: visit.visitId,
+      url: url,
+      visitTime: visit.visitTime,
+      referringVisitId: visit.referringVisitId || null,
+      transition: visit.transition || ''
+    };
+  }
+
+  // 指定期間がキャッシュで賄えるように、未取得の部分だけを chrome.history から取得する
+  // 戻り値: { visits, incompleteRanges }（incompleteRanges は指定期間内で読み込みきれなかった範囲）
+  // signal で中断された場合は同期状態を更新せずに AbortError を投げる
+  async sync({ startTime, endTime }, { signal, onProgress } = {}) {
+    const now = Date.now();
+    const state = await this.getSyncState();
+    const ranges = [];
+    const incompleteRanges = [];
+
+    if (!state) {
+      ranges.push([startTime, now]);
+    } else {
+      // 前回同期以降の新しい訪問
+      if (now > state.syncedUntil) {
+        ranges.push([state.syncedUntil - VISIT_SYNC_OVERLAP_MS, now]);
+      }
+      // キャッシュより古い期間が要求された場合のみ遡って取得
+      if (startTime < state.syncedFrom) {
+        ranges.push([startTime, state.syncedFrom + VISIT_SYNC_OVERLAP_MS]);
+      }
+    }
+
+    for (const [from, to] of ranges) {
+      const { visits, pages, truncatedRanges } = await this.fetchVisits(from, to, { signal, onProgress });
+      await this.putVisits(visits, pages);
+      incompleteRanges.push(...truncatedRanges);
+      console.log(`キャッシュ同期: ${new Date(from).toLocaleString()} ～ ${new Date(to).toLocaleString()} (${visits.length}件)`);
+      if (truncatedRanges.length > 0) {
+        console.warn(`読み込みきれなかった範囲: ${truncatedRanges.length}個`, truncatedRanges);
+      }
+    }
+
+    // 前回読み込みきれなかった範囲は、より小さい時間窓で取得し直す（まだ読み込みきれなければ残す）
+    // 今回取得した範囲に含まれるものは、その結果の truncatedRanges で置き換わっている
+    const retryRanges = (state?.incompleteRanges || []).filter(range =>
+      !ranges.some(([from, to]) => from <= range.startTime && range.endTime <= to)
+    );
+    for (const range of retryRanges) {
+      const { visits, pages, truncatedRanges } = await this.fetchVisits(range.startTime, range.endTime, {
+        signal,
+        onProgress,
+        minWindowMs: HISTORY_RETRY_MIN_WINDOW_MS
+      });
+      await this.putVisits(visits, pages);
+      if (truncatedRanges.length > 0) {
+        incompleteRanges.push(range);
+      } else {
+        console.log(`読み込みきれなかった範囲を取得: ${new Date(range.startTime).toLocaleString()} (${visits.length}件)`);
+      }
+    }
+
+    signal?.throwIfAborted();
+    await this.setSyncState({
+      syncedFrom: state ? Math.min(state.syncedFrom, startTime) : startTime,
+      syncedUntil: now,
+      incompleteRanges
+    });
+
+    return {
+      visits: await this.getVisitsInRange(startTime, endTime),
+      incompleteRanges: incompleteRanges.filter(range =>
+        range.endTime >= startTime && range.startTime <= endTime
+      )
+    };
+  }
+
+  // onVisited: 訪問されたページの訪問をキャッシュに追加
+  async recordVisitedItem(item) {
+    const state = await this.getSyncState();
+    if (!state) return; // 未同期なら初回同期に任せる
+
+    const itemVisits = await historyGetVisits({ url: item.url });
+    const visits = itemVisits
+      .filter(visit => visit.visitTime >= state.syncedFrom)
+      .map(visit => this.toRecord(item.url, visit));
+    await this.putVisits(visits, [{ url: item.url, title: item.title || '' }]);
+  }
+
+  // onVisitRemoved: 削除された履歴をキャッシュからも削除
+  async removeVisits(removed) {
+    if (removed.allHistory) {
+      await this.clear();
+    } else if (removed.urls && removed.urls.length > 0) {
+      await this.deleteVisitsByUrls(removed.urls);
+    }
+  }
+
+  // background.js から呼び出す：履歴の追加・削除をキャッシュに反映
+  startLiveUpdates() {
+    if (typeof chrome === 'undefined' || !chrome.history) return;
+
+    chrome.history.onVisited.addListener((item) => {
+      this.recordVisitedItem(item).catch((error) => console.error('訪問キャッシュ更新エラー:', error));
+    });
+
+    chrome.history.onVisitRemoved.addListener((removed) => {
+      this.removeVisits(removed).catch((error) => console.error('訪問キャッシュ削除エラー:', error));
+    });
+  }
+}